@@ -0,0 +1,131 @@
+/**
+ * User confirmation for destructive tool calls.
+ *
+ * Which calls need confirming is a list of tool-policy rules (see
+ * tool-policy.js), by default "delete,destroy,batch_update,graphql" (for
+ * graphql, only mutations are held), minus exemptions such as
+ * "delete:notes". A call is confirmed either through MCP elicitation,
+ * when the client supports it, or by repeating it with the one-time token a
+ * first, dry-run call returned. Tokens are bound to the tool, its arguments
+ * and the caller's credential, so they cannot be replayed for another call.
+ */
+
+import crypto from 'crypto';
+import { matches, parseRule } from './tool-policy.js';
+
+export const DEFAULT_CONFIRM_OPERATIONS = ['delete', 'destroy', 'batch_update', 'graphql'];
+export const CONFIRMATION_TOKEN_TTL_MS = 5 * 60 * 1000;
+
+// How long an elicitation prompt may stay open before falling back to a token
+export const CONFIRMATION_PROMPT_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Form shown by clients that support elicitation
+export const CONFIRMATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    confirm: {
+      type: 'boolean',
+      title: 'Confirm',
+      description: 'Tick to let the assistant go ahead'
+    }
+  },
+  required: ['confirm']
+};
+
+// structuredContent of a dry run; tools that may be held accept it besides their usual output
+export const CONFIRMATION_REQUIRED_OUTPUT_SCHEMA = {
+  type: 'object',
+  properties: {
+    confirmationRequired: { type: 'boolean', const: true },
+    summary: { type: 'string' },
+    confirmationToken: { type: 'string' },
+    expiresInMinutes: { type: 'number' }
+  },
+  required: ['confirmationRequired', 'summary', 'confirmationToken', 'expiresInMinutes']
+};
+
+export class ConfirmationPolicy {
+  /**
+   * @param {Object} [options]
+   * @param {string[]} [options.confirm] - Rules for calls that need confirming
+   * @param {string[]} [options.skip] - Rules exempted from confirmation
+   */
+  constructor({ confirm = DEFAULT_CONFIRM_OPERATIONS, skip = [] } = {}) {
+    this.confirm = confirm.filter(Boolean).map(rule => parseRule(rule, 'TWENTY_CONFIRM_OPERATIONS'));
+    this.skip = skip.filter(Boolean).map(rule => parseRule(rule, 'TWENTY_SKIP_CONFIRMATION'));
+  }
+
+  /**
+   * @param {string} operation
+   * @param {string[]} [objectNames] - Plural and singular name of the object, if any
+   * @returns {boolean}
+   */
+  requires(operation, objectNames = []) {
+    const names = objectNames.filter(Boolean).map(name => name.toLowerCase());
+    return this.confirm.some(rule => matches(rule, operation, names))
+      && !this.skip.some(rule => matches(rule, operation, names));
+  }
+}
+
+/**
+ * JSON with sorted object keys, so equal arguments fingerprint the same.
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    const entries = Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`);
+    return `{${entries.join(',')}}`;
+  }
+  return JSON.stringify(value) ?? 'null';
+}
+
+function fingerprint(tool, args, owner) {
+  return crypto.createHash('sha256').update(stableStringify({ tool, args, owner })).digest('hex');
+}
+
+/**
+ * One-time confirmation tokens, kept in memory.
+ */
+export class ConfirmationTokens {
+  constructor({ ttlMs = CONFIRMATION_TOKEN_TTL_MS } = {}) {
+    this.ttlMs = ttlMs;
+    this.pending = new Map();
+  }
+
+  /**
+   * @param {string} tool
+   * @param {Object} args - Tool arguments without the token
+   * @param {string|null} owner - Caller's credential; only its hash is kept
+   * @returns {string}
+   */
+  issue(tool, args, owner) {
+    this.prune();
+    const token = crypto.randomBytes(16).toString('hex');
+    this.pending.set(token, { fingerprint: fingerprint(tool, args, owner), expiresAt: Date.now() + this.ttlMs });
+    return token;
+  }
+
+  /**
+   * Check a token against the call it was issued for and use it up.
+   * @returns {boolean}
+   */
+  consume(token, tool, args, owner) {
+    const entry = this.pending.get(token);
+    if (!entry || entry.expiresAt < Date.now() || entry.fingerprint !== fingerprint(tool, args, owner)) {
+      return false;
+    }
+    this.pending.delete(token);
+    return true;
+  }
+
+  prune() {
+    const now = Date.now();
+    for (const [token, entry] of this.pending) {
+      if (entry.expiresAt < now) {
+        this.pending.delete(token);
+      }
+    }
+  }
+}
@@ -0,0 +1,564 @@
+/**
+ * Compile structured list filters into Twenty's REST filter grammar.
+ *
+ * Input is a plain object keyed by field path:
+ *   { "name.firstName": { "ilike": "%ada%" }, employees: { gte: 10 }, city: "Paris" }
+ * A bare value means `eq`, an array means `in` and null means `is NULL`.
+ * `and` / `or` take arrays of filter objects and `not` takes one.
+ * Conditions are validated against the object's field metadata and compiled to
+ *   and(name.firstName[ilike]:"%ada%",employees[gte]:10,city[eq]:"Paris")
+ * Filters already written in that syntax are parsed and validated the same way.
+ *
+ * Sort orders ([{ field: "amount", direction: "desc" }]) are compiled the same
+ * way into Twenty's order_by syntax: amount.amountMicros[DescNullsLast]
+ */
+
+export const FILTER_OPERATORS = ['eq', 'neq', 'in', 'containsAny', 'is', 'gt', 'gte', 'lt', 'lte', 'startsWith', 'like', 'ilike'];
+
+export const COMPOSITE_SUBFIELDS = {
+  FULL_NAME: ['firstName', 'lastName'],
+  LINKS: ['primaryLinkUrl', 'primaryLinkLabel', 'secondaryLinks'],
+  EMAILS: ['primaryEmail', 'additionalEmails'],
+  PHONES: ['primaryPhoneNumber', 'primaryPhoneCountryCode', 'primaryPhoneCallingCode', 'additionalPhones'],
+  ADDRESS: ['addressStreet1', 'addressStreet2', 'addressCity', 'addressState', 'addressCountry', 'addressPostcode', 'addressLat', 'addressLng'],
+  CURRENCY: ['amountMicros', 'currencyCode'],
+  ACTOR: ['source', 'workspaceMemberId', 'name'],
+  RICH_TEXT_V2: ['blocknote', 'markdown']
+};
+
+// Subfield used when a filter names a composite field without one
+export const PRIMARY_SUBFIELDS = {
+  LINKS: 'primaryLinkUrl',
+  EMAILS: 'primaryEmail',
+  PHONES: 'primaryPhoneNumber'
+};
+
+const LOGICAL_KEYS = new Set(['and', 'or', 'not']);
+const ARRAY_OPERATORS = new Set(['in', 'containsAny']);
+const TEXT_OPERATORS = new Set(['startsWith', 'like', 'ilike']);
+const RANGE_OPERATORS = new Set(['gt', 'gte', 'lt', 'lte']);
+const NON_TEXT_TYPES = new Set(['NUMBER', 'NUMERIC', 'BOOLEAN', 'DATE', 'DATE_TIME', 'UUID', 'POSITION']);
+const ARRAY_TYPES = new Set(['MULTI_SELECT', 'ARRAY']);
+
+const SORT_DEFAULT_SUBFIELDS = { ...PRIMARY_SUBFIELDS, CURRENCY: 'amountMicros' };
+const UNSORTABLE_TYPES = new Set(['MULTI_SELECT', 'ARRAY', 'RAW_JSON', 'RICH_TEXT', 'RICH_TEXT_V2', 'TS_VECTOR', 'FILES']);
+const UNSORTABLE_SUBFIELDS = new Set(['secondaryLinks', 'additionalEmails', 'additionalPhones']);
+const SORT_DIRECTIONS = ['asc', 'desc'];
+const NULLS_POSITIONS = ['first', 'last'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Format a scalar for the filter grammar (strings quoted, other scalars bare).
+ * @param {string|number|boolean} value
+ * @returns {string}
+ */
+export function formatFilterValue(value) {
+  if (typeof value === 'string') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+/**
+ * Field lookup for one object schema. Without field metadata (fallback
+ * registry) every path is accepted as-is.
+ */
+class FilterFields {
+  constructor(schema) {
+    this.objectName = schema?.namePlural || 'object';
+    this.fields = new Map((schema?.fieldMetadata || []).map(field => [field.name, field]));
+    this.relations = new Map((schema?.relationMetadata || []).map(relation => [relation.name, relation]));
+    this.aliases = new Map(
+      (schema?.relationMetadata || [])
+        .filter(relation => relation.alias && (relation.relationType === 'MANY_TO_ONE' || relation.relationType === 'ONE_TO_ONE'))
+        .map(relation => [relation.alias, relation])
+    );
+    this.validate = this.fields.size > 0;
+  }
+
+  names({ exclude = new Set() } = {}) {
+    const names = new Set(['id']);
+    for (const field of this.fields.values()) {
+      if (field.type !== 'RELATION' && !exclude.has(field.type)) names.add(field.name);
+    }
+    for (const alias of this.aliases.keys()) names.add(alias);
+    return Array.from(names).sort();
+  }
+
+  /**
+   * @param {string} key - Field path such as "employees" or "name.firstName"
+   * @param {'filter'|'sort'} [kind] - Only changes error wording
+   * @returns {{ path: string, field: Object|null }}
+   */
+  resolve(key, kind = 'filter') {
+    const label = kind === 'sort' ? 'Sort' : 'Filter';
+
+    if (!this.validate) {
+      return { path: key, field: null };
+    }
+
+    const [name, ...subPath] = key.split('.');
+
+    if (name === 'id' || this.aliases.has(name)) {
+      if (subPath.length > 0) {
+        throw new Error(`${label} field "${name}" has no subfields`);
+      }
+      return { path: name, field: { name, type: 'UUID' } };
+    }
+
+    const field = this.fields.get(name);
+    if (!field) {
+      const available = kind === 'sort' ? this.names({ exclude: UNSORTABLE_TYPES }) : this.names();
+      throw new Error(`Unknown ${kind} field "${name}" on ${this.objectName}; ${kind === 'sort' ? 'sortable' : 'filterable'} fields: ${available.join(', ')}`);
+    }
+
+    if (field.type === 'RELATION') {
+      const alias = this.aliases.get(this.relations.get(name)?.alias)?.alias;
+      if (!alias || subPath.length > 0) {
+        throw new Error(`Cannot ${kind} ${this.objectName} on relation "${name}"${alias ? `; use "${alias}"` : `; ${kind} the related object instead`}`);
+      }
+      return { path: alias, field: { name: alias, type: 'UUID' } };
+    }
+
+    const subfields = COMPOSITE_SUBFIELDS[field.type];
+    if (subfields) {
+      if (subPath.length === 0) {
+        const primary = PRIMARY_SUBFIELDS[field.type];
+        if (primary) {
+          return { path: `${name}.${primary}`, field: null };
+        }
+        throw new Error(`${label} field "${name}" is composite; use one of: ${subfields.map(sub => `${name}.${sub}`).join(', ')}`);
+      }
+      if (subPath.length > 1 || !subfields.includes(subPath[0])) {
+        throw new Error(`Unknown subfield "${subPath.join('.')}" for "${name}"; use one of: ${subfields.join(', ')}`);
+      }
+      return { path: key, field: null };
+    }
+
+    if (subPath.length > 0) {
+      throw new Error(`${label} field "${name}" has no subfields`);
+    }
+
+    return { path: name, field };
+  }
+}
+
+function checkOperand(path, operator, value, field) {
+  if (operator === 'is') {
+    if (value === null || value === 'NULL') return 'NULL';
+    if (value === 'NOT_NULL') return 'NOT_NULL';
+    throw new Error(`Operator "is" on "${path}" takes null, "NULL" or "NOT_NULL"`);
+  }
+
+  const values = ARRAY_OPERATORS.has(operator) ? value : [value];
+  if (ARRAY_OPERATORS.has(operator) && (!Array.isArray(value) || value.length === 0)) {
+    throw new Error(`Operator "${operator}" on "${path}" takes a non-empty array`);
+  }
+
+  for (const item of values) {
+    if (!['string', 'number', 'boolean'].includes(typeof item)) {
+      throw new Error(`Filter value for "${path}" [${operator}] must be a string, number or boolean`);
+    }
+  }
+
+  const options = Array.isArray(field?.options) ? field.options.map(option => option.value) : null;
+  if (options && options.length > 0 && (field.type === 'SELECT' || field.type === 'MULTI_SELECT') && !TEXT_OPERATORS.has(operator)) {
+    const invalid = values.filter(item => !options.includes(item));
+    if (invalid.length > 0) {
+      throw new Error(`Invalid value ${invalid.map(item => JSON.stringify(item)).join(', ')} for "${path}"; expected one of: ${options.join(', ')}`);
+    }
+  }
+
+  return value;
+}
+
+function checkOperator(path, operator, field) {
+  if (!FILTER_OPERATORS.includes(operator)) {
+    throw new Error(`Unknown filter operator "${operator}" for "${path}"; use one of: ${FILTER_OPERATORS.join(', ')}`);
+  }
+
+  const type = field?.type;
+  if (!type) {
+    return;
+  }
+
+  if (TEXT_OPERATORS.has(operator) && NON_TEXT_TYPES.has(type)) {
+    throw new Error(`Operator "${operator}" is not supported on ${type} field "${path}"`);
+  }
+  if (RANGE_OPERATORS.has(operator) && type === 'BOOLEAN') {
+    throw new Error(`Operator "${operator}" is not supported on BOOLEAN field "${path}"`);
+  }
+  if (operator === 'containsAny' && !ARRAY_TYPES.has(type)) {
+    throw new Error(`Operator "containsAny" only applies to MULTI_SELECT and ARRAY fields, not "${path}"`);
+  }
+}
+
+// Filters are parsed into nodes first so the same validation feeds both the
+// REST string renderer and the GraphQL filter-object renderer:
+//   { kind: 'condition', path, operator, value } | { kind: 'and'|'or', children } | { kind: 'not', child }
+
+function parseField(key, condition, fields) {
+  const { path, field } = fields.resolve(key);
+
+  let operators;
+  if (isPlainObject(condition)) {
+    operators = Object.entries(condition).filter(([, value]) => value !== undefined);
+    if (operators.length === 0) {
+      throw new Error(`Filter for "${key}" has no operators`);
+    }
+  } else if (condition === null) {
+    operators = [['is', null]];
+  } else if (Array.isArray(condition)) {
+    operators = [[field && ARRAY_TYPES.has(field.type) ? 'containsAny' : 'in', condition]];
+  } else {
+    operators = [['eq', condition]];
+  }
+
+  return operators.map(([operator, value]) => {
+    checkOperator(path, operator, field);
+    return { kind: 'condition', path, operator, value: checkOperand(path, operator, value, field) };
+  });
+}
+
+function joinAnd(nodes, location) {
+  if (nodes.length === 0) {
+    throw new Error(`Filter group "${location}" is empty`);
+  }
+  return nodes.length === 1 ? nodes[0] : { kind: 'and', children: nodes };
+}
+
+function parseGroup(filter, fields, location) {
+  if (!isPlainObject(filter)) {
+    throw new Error(`"${location}" must be a filter object`);
+  }
+
+  const nodes = [];
+
+  for (const [key, value] of Object.entries(filter)) {
+    if (value === undefined) continue;
+
+    if (!LOGICAL_KEYS.has(key)) {
+      nodes.push(...parseField(key, value, fields));
+      continue;
+    }
+
+    if (key === 'not') {
+      nodes.push({ kind: 'not', child: joinAnd(parseGroup(value, fields, `${location}.not`), `${location}.not`) });
+      continue;
+    }
+
+    if (!Array.isArray(value) || value.length === 0) {
+      throw new Error(`"${location}.${key}" must be a non-empty array of filter objects`);
+    }
+    const branches = value.map((entry, index) => {
+      const branchLocation = `${location}.${key}[${index}]`;
+      return joinAnd(parseGroup(entry, fields, branchLocation), branchLocation);
+    });
+    nodes.push(branches.length === 1 ? branches[0] : { kind: key, children: branches });
+  }
+
+  return nodes;
+}
+
+const STRING_GROUP_PATTERN = /^(and|or|not)\(/;
+const STRING_CONDITION_PATTERN = /^([A-Za-z_][\w.]*)\[(\w+)\]:/;
+const QUOTED_VALUE_PATTERN = /^"(?:[^"\\]|\\.)*"/;
+const BARE_VALUE_PATTERN = /^[^,()[\]"]+/;
+
+/**
+ * Parse a filter written in Twenty's own syntax, e.g.
+ *   and(name[eq]:"Acme",or(employees[gte]:10,domainName[is]:NULL))
+ * into the same nodes as a filter object, so it goes through the same field,
+ * operator and value checks.
+ */
+function parseFilterString(source, fields) {
+  let position = 0;
+
+  const fail = expected => {
+    throw new Error(`Invalid filter string at position ${position}: expected ${expected} in ${JSON.stringify(source)}`);
+  };
+  const rest = () => source.slice(position);
+  const skipSpace = () => {
+    while (source[position] === ' ') position += 1;
+  };
+  const consume = token => {
+    skipSpace();
+    if (!rest().startsWith(token)) return false;
+    position += token.length;
+    return true;
+  };
+
+  const parseScalar = () => {
+    skipSpace();
+    const quoted = QUOTED_VALUE_PATTERN.exec(rest());
+    if (quoted) {
+      position += quoted[0].length;
+      return JSON.parse(quoted[0]);
+    }
+
+    const bare = BARE_VALUE_PATTERN.exec(rest());
+    if (!bare || bare[0].trim() === '') fail('a value');
+    position += bare[0].length;
+
+    const text = bare[0].trim();
+    if (text === 'true' || text === 'false') return text === 'true';
+    // Only unambiguous numbers; "0612" stays a string
+    return String(Number(text)) === text ? Number(text) : text;
+  };
+
+  const parseValue = () => {
+    if (!consume('[')) return parseScalar();
+    const values = [parseScalar()];
+    while (consume(',')) values.push(parseScalar());
+    if (!consume(']')) fail('"," or "]"');
+    return values;
+  };
+
+  const parseExpression = () => {
+    skipSpace();
+    const group = STRING_GROUP_PATTERN.exec(rest());
+    if (group) {
+      position += group[0].length;
+      const children = [parseExpression()];
+      while (consume(',')) children.push(parseExpression());
+      if (!consume(')')) fail('"," or ")"');
+
+      if (group[1] === 'not') {
+        if (children.length > 1) fail('a single condition inside not(...)');
+        return { kind: 'not', child: children[0] };
+      }
+      return children.length === 1 ? children[0] : { kind: group[1], children };
+    }
+
+    const condition = STRING_CONDITION_PATTERN.exec(rest());
+    if (!condition) fail('a condition such as name[eq]:"Acme" or an and/or/not group');
+    position += condition[0].length;
+
+    const [, key, operator] = condition;
+    return joinAnd(parseField(key, { [operator]: parseValue() }, fields), key);
+  };
+
+  const node = parseExpression();
+  skipSpace();
+  if (position < source.length) fail('end of filter');
+  return node;
+}
+
+function parseFilter(filter, schema) {
+  const nodes = parseGroup(filter, new FilterFields(schema), 'filters');
+  return nodes.length > 0 ? joinAnd(nodes, 'filters') : undefined;
+}
+
+function renderRest(node) {
+  switch (node.kind) {
+    case 'condition': {
+      const { path, operator, value } = node;
+      if (operator === 'is') {
+        return `${path}[is]:${value}`;
+      }
+      const formatted = ARRAY_OPERATORS.has(operator)
+        ? `[${value.map(formatFilterValue).join(',')}]`
+        : formatFilterValue(value);
+      return `${path}[${operator}]:${formatted}`;
+    }
+    case 'not':
+      return `not(${renderRest(node.child)})`;
+    default:
+      return `${node.kind}(${node.children.map(renderRest).join(',')})`;
+  }
+}
+
+function renderGraphql(node) {
+  switch (node.kind) {
+    case 'condition': {
+      // "name.firstName" -> { name: { firstName: { eq: ... } } }
+      return node.path.split('.').reduceRight(
+        (inner, segment) => ({ [segment]: inner }),
+        { [node.operator]: node.value }
+      );
+    }
+    case 'not':
+      return { not: renderGraphql(node.child) };
+    default:
+      return { [node.kind]: node.children.map(renderGraphql) };
+  }
+}
+
+/**
+ * Compile a structured filter for one object.
+ * A string is read as Twenty filter syntax and validated the same way.
+ * @param {Object|string} filter
+ * @param {Object} schema - Registered object schema (fieldMetadata, relationMetadata)
+ * @returns {string|undefined} Value for the `filter` query parameter
+ */
+export function compileFilter(filter, schema) {
+  if (filter === undefined || filter === null) {
+    return undefined;
+  }
+
+  if (typeof filter === 'string') {
+    const source = filter.trim();
+    return source ? renderRest(parseFilterString(source, new FilterFields(schema))) : undefined;
+  }
+
+  const node = parseFilter(filter, schema);
+  return node ? renderRest(node) : undefined;
+}
+
+/**
+ * Compile a structured filter into a GraphQL `<Object>FilterInput` value.
+ * Raw filter strings cannot be translated and are rejected.
+ * @param {Object} filter
+ * @param {Object} schema
+ * @returns {Object|undefined}
+ */
+export function compileGraphqlFilter(filter, schema) {
+  if (filter === undefined || filter === null) {
+    return undefined;
+  }
+
+  if (typeof filter === 'string') {
+    throw new Error('Raw filter strings cannot be used with GraphQL; pass a filter object');
+  }
+
+  const node = parseFilter(filter, schema);
+  return node ? renderGraphql(node) : undefined;
+}
+
+/**
+ * JSON Schema for the `filters` argument of a list tool: a filter object, or a
+ * string in Twenty's own syntax where the tool sends filters over REST.
+ * @param {Object} schema
+ * @param {Object} [options]
+ * @param {boolean} [options.allowString=true] - False for GraphQL-backed tools
+ * @returns {Object}
+ */
+export function buildFilterSchema(schema, { allowString = true } = {}) {
+  const fields = new FilterFields(schema);
+  const properties = {};
+
+  for (const name of fields.names()) {
+    const field = fields.fields.get(name);
+    const type = field?.type || 'UUID';
+    const subfields = COMPOSITE_SUBFIELDS[type];
+    const options = Array.isArray(field?.options) ? field.options.map(option => option.value) : [];
+
+    let description = `${type}: a value (eq), an array (in), null (is NULL) or an operator object such as {"gte": ...}`;
+    if (subfields) {
+      description = `${type}: filter on a subfield key such as "${name}.${PRIMARY_SUBFIELDS[type] || subfields[0]}"`;
+    } else if (options.length > 0) {
+      description += `; values: ${options.join(', ')}`;
+    }
+    properties[name] = { description };
+  }
+
+  const objectSchema = {
+    type: 'object',
+    description: `Structured filter on ${fields.objectName}. Keys are fields or composite subfields (e.g. "name.firstName"); operators: ${FILTER_OPERATORS.join(', ')}. Combine with "and"/"or" (arrays) and "not".`,
+    properties: {
+      ...properties,
+      and: { type: 'array', items: { type: 'object' }, description: 'All of these filters must match' },
+      or: { type: 'array', items: { type: 'object' }, description: 'At least one of these filters must match' },
+      not: { type: 'object', description: 'This filter must not match' }
+    },
+    additionalProperties: true
+  };
+  if (!allowString) {
+    return objectSchema;
+  }
+
+  return {
+    oneOf: [
+      objectSchema,
+      {
+        type: 'string',
+        description: `Filter in Twenty's syntax, e.g. and(city[eq]:"Paris",employees[gte]:10); checked against the same fields`
+      }
+    ]
+  };
+}
+
+function compileSortItem(item, fields, index) {
+  const entry = typeof item === 'string' ? { field: item } : item;
+  if (!isPlainObject(entry) || typeof entry.field !== 'string' || entry.field.trim() === '') {
+    throw new Error(`"orderBy[${index}]" needs a "field"`);
+  }
+
+  const key = entry.field.trim();
+  const direction = String(entry.direction || 'asc').toLowerCase();
+  const nulls = String(entry.nulls || 'last').toLowerCase();
+
+  if (!SORT_DIRECTIONS.includes(direction)) {
+    throw new Error(`Invalid sort direction "${entry.direction}" for "${key}"; use asc or desc`);
+  }
+  if (!NULLS_POSITIONS.includes(nulls)) {
+    throw new Error(`Invalid nulls position "${entry.nulls}" for "${key}"; use first or last`);
+  }
+
+  let path = key;
+  if (fields.validate) {
+    const [name, ...subPath] = key.split('.');
+    const field = fields.fields.get(name);
+
+    if (field && UNSORTABLE_TYPES.has(field.type)) {
+      throw new Error(`Cannot sort ${fields.objectName} by ${field.type} field "${name}"`);
+    }
+    if (subPath.length === 1 && UNSORTABLE_SUBFIELDS.has(subPath[0])) {
+      throw new Error(`Cannot sort ${fields.objectName} by list subfield "${key}"`);
+    }
+
+    path = field && subPath.length === 0 && SORT_DEFAULT_SUBFIELDS[field.type]
+      ? `${name}.${SORT_DEFAULT_SUBFIELDS[field.type]}`
+      : fields.resolve(key, 'sort').path;
+  }
+
+  const suffix = `${direction === 'asc' ? 'Asc' : 'Desc'}Nulls${nulls === 'first' ? 'First' : 'Last'}`;
+  return `${path}[${suffix}]`;
+}
+
+/**
+ * Compile a sort order for one object.
+ * @param {Array<{ field: string, direction?: 'asc'|'desc', nulls?: 'first'|'last' }>|Object} orderBy
+ * @param {Object} schema
+ * @returns {string|undefined} Value for the `order_by` query parameter
+ */
+export function compileOrderBy(orderBy, schema) {
+  if (orderBy === undefined || orderBy === null) {
+    return undefined;
+  }
+
+  const items = Array.isArray(orderBy) ? orderBy : [orderBy];
+  if (items.length === 0) {
+    return undefined;
+  }
+
+  const fields = new FilterFields(schema);
+  return items.map((item, index) => compileSortItem(item, fields, index)).join(',');
+}
+
+/**
+ * JSON Schema for the `orderBy` argument of a list tool.
+ * @param {Object} schema
+ * @returns {Object}
+ */
+export function buildOrderBySchema(schema) {
+  const fields = new FilterFields(schema);
+  const sortable = fields.validate ? fields.names({ exclude: UNSORTABLE_TYPES }) : [];
+
+  return {
+    type: 'array',
+    description: `Sort order, most significant first${sortable.length ? `. Sortable fields: ${sortable.join(', ')} (composite fields accept subfields such as "name.lastName")` : ''}`,
+    items: {
+      type: 'object',
+      properties: {
+        field: { type: 'string', description: 'Field or composite subfield to sort by' },
+        direction: { type: 'string', enum: SORT_DIRECTIONS, default: 'asc' },
+        nulls: { type: 'string', enum: NULLS_POSITIONS, default: 'last', description: 'Where records without a value go' }
+      },
+      required: ['field']
+    }
+  };
+}
@@ -0,0 +1,237 @@
+/**
+ * Build a GraphQL document for one operation from introspection data.
+ *
+ * Input is an operation field as written by sync-schema (name, args and a
+ * type reference) plus a lookup over graphql-types.json. Only the arguments
+ * present in `variables` are declared, so
+ *   { filter: { id: { eq: "..." } } } for "company"
+ * becomes
+ *   query Company($filter: CompanyFilterInput) { company(filter: $filter) { id name ... } }
+ * Object fields are expanded up to `depth` levels. Relay `edges` / `node`
+ * wrappers do not count towards the depth, and connection aggregates
+ * (sumAmount, countEmpty...) are left out because Twenty computes each one.
+ *
+ * The same walk backs describeArguments() / describeReturnType(), which
+ * get_available_operations uses to show what an operation takes and returns.
+ */
+
+export const DEFAULT_SELECTION_DEPTH = 1;
+export const MAX_SELECTION_DEPTH = 4;
+
+const LEAF_KINDS = new Set(['SCALAR', 'ENUM']);
+const OBJECT_KINDS = new Set(['OBJECT', 'INTERFACE']);
+const CONNECTION_WRAPPERS = new Set(['edges', 'node']);
+const CONNECTION_FIELDS = new Set(['totalCount', 'edges', 'pageInfo']);
+
+function incompleteExport(name) {
+  return new Error(
+    `The schema export has no argument or return types for "${name}"; run "npm run sync-schema" to refresh it`
+  );
+}
+
+/**
+ * Strip NON_NULL / LIST wrappers.
+ * @returns {{ kind: string, name: string }|null} Null when the export stops short of the named type
+ */
+export function unwrapType(ref) {
+  let current = ref;
+  while (current && (current.kind === 'NON_NULL' || current.kind === 'LIST')) {
+    current = current.ofType;
+  }
+  return current?.name ? current : null;
+}
+
+/**
+ * Render a type reference in SDL form, e.g. "[UUID!]!".
+ * @returns {string|null}
+ */
+export function printTypeRef(ref) {
+  if (ref?.kind === 'NON_NULL') {
+    const inner = printTypeRef(ref.ofType);
+    return inner && `${inner}!`;
+  }
+  if (ref?.kind === 'LIST') {
+    const inner = printTypeRef(ref.ofType);
+    return inner && `[${inner}]`;
+  }
+  return ref?.name || null;
+}
+
+export function isRequiredArg(arg) {
+  return arg.type?.kind === 'NON_NULL' && (arg.defaultValue === null || arg.defaultValue === undefined);
+}
+
+/**
+ * True when the operation carries the details sync-schema writes; the
+ * hand-made export only has names and descriptions.
+ */
+export function hasTypeDetails(operation) {
+  return Array.isArray(operation?.args) && unwrapType(operation.type) !== null;
+}
+
+export function checkSelectionDepth(depth) {
+  if (!Number.isInteger(depth) || depth < 1 || depth > MAX_SELECTION_DEPTH) {
+    throw new Error(`"depth" must be an integer from 1 to ${MAX_SELECTION_DEPTH}`);
+  }
+}
+
+/**
+ * Fields worth showing or selecting; connection aggregates are dropped.
+ */
+function visibleFields(type) {
+  if (!type.name.endsWith('Connection')) {
+    return type.fields;
+  }
+  return type.fields.filter(field => CONNECTION_FIELDS.has(field.name));
+}
+
+/**
+ * Selection set lines for `typeRef`, or null for scalars and enums.
+ * @param {Object} typeRef
+ * @param {(name: string) => Object|null} getType
+ * @param {number} depth - Object levels still allowed, counting this one
+ * @param {string} indent
+ * @returns {string[]|null}
+ */
+function buildSelection(typeRef, getType, depth, indent) {
+  const named = unwrapType(typeRef);
+  if (!named || LEAF_KINDS.has(named.kind)) {
+    return null;
+  }
+
+  const type = getType(named.name);
+  const lines = [];
+
+  if (type && OBJECT_KINDS.has(type.kind) && Array.isArray(type.fields)) {
+    for (const field of visibleFields(type)) {
+      if (field.args?.some(isRequiredArg)) continue;
+
+      const fieldType = unwrapType(field.type);
+      if (!fieldType) continue;
+
+      if (LEAF_KINDS.has(fieldType.kind)) {
+        lines.push(`${indent}  ${field.name}`);
+        continue;
+      }
+
+      const nextDepth = CONNECTION_WRAPPERS.has(field.name) ? depth : depth - 1;
+      if (nextDepth < 1) continue;
+
+      const nested = buildSelection(field.type, getType, nextDepth, `${indent}  `);
+      if (nested) {
+        lines.push(`${indent}  ${field.name} {`, ...nested, `${indent}  }`);
+      }
+    }
+  }
+
+  return lines.length > 0 ? lines : [`${indent}  __typename`];
+}
+
+/**
+ * @param {Object} options
+ * @param {Object} options.operation - Field from available-operations.json
+ * @param {'query'|'mutation'} options.operationType
+ * @param {Object} [options.variables]
+ * @param {number} [options.depth]
+ * @param {(name: string) => Object|null} options.getType
+ * @returns {{ document: string, variables: Object }}
+ */
+export function buildOperationDocument({ operation, operationType, variables = {}, depth = DEFAULT_SELECTION_DEPTH, getType }) {
+  checkSelectionDepth(depth);
+  if (!hasTypeDetails(operation)) {
+    throw incompleteExport(operation.name);
+  }
+
+  const args = new Map(operation.args.map(arg => [arg.name, arg]));
+
+  const unknown = Object.keys(variables).filter(name => !args.has(name));
+  if (unknown.length > 0) {
+    const expected = [...args.keys()].join(', ') || 'none';
+    throw new Error(`Unknown argument(s) for ${operation.name}: ${unknown.join(', ')}; expected: ${expected}`);
+  }
+
+  const missing = operation.args.filter(arg => isRequiredArg(arg) && variables[arg.name] === undefined);
+  if (missing.length > 0) {
+    const described = missing.map(arg => `${arg.name} (${printTypeRef(arg.type)})`).join(', ');
+    throw new Error(`Missing required argument(s) for ${operation.name}: ${described}`);
+  }
+
+  const used = operation.args.filter(arg => variables[arg.name] !== undefined);
+  const definitions = used.map(arg => {
+    const printed = printTypeRef(arg.type);
+    if (!printed) {
+      throw incompleteExport(operation.name);
+    }
+    return `$${arg.name}: ${printed}`;
+  });
+
+  const header = `${operationType} ${operation.name.charAt(0).toUpperCase()}${operation.name.slice(1)}`;
+  const call = used.length > 0
+    ? `${operation.name}(${used.map(arg => `${arg.name}: $${arg.name}`).join(', ')})`
+    : operation.name;
+  const selection = buildSelection(operation.type, getType, depth, '  ');
+
+  const lines = [
+    `${header}${definitions.length > 0 ? `(${definitions.join(', ')})` : ''} {`,
+    ...(selection ? [`  ${call} {`, ...selection, '  }'] : [`  ${call}`]),
+    '}'
+  ];
+
+  return {
+    document: lines.join('\n'),
+    variables: Object.fromEntries(used.map(arg => [arg.name, variables[arg.name]]))
+  };
+}
+
+/**
+ * @param {Object} operation - Field from available-operations.json
+ * @returns {Array<{ name: string, type: string, nonNull: boolean, defaultValue: string|null }>|null}
+ *   Null when the export has no argument details
+ */
+export function describeArguments(operation) {
+  if (!Array.isArray(operation?.args)) {
+    return null;
+  }
+
+  return operation.args.map(arg => ({
+    name: arg.name,
+    type: printTypeRef(arg.type),
+    nonNull: arg.type?.kind === 'NON_NULL',
+    defaultValue: arg.defaultValue ?? null,
+    ...(arg.description ? { description: arg.description } : {})
+  }));
+}
+
+/**
+ * Readable tree of the fields an operation returns, e.g.
+ *   { type: "Company", fields: { id: "UUID!", domainName: { type: "Links", fields: { ... } } } }
+ * Objects beyond `depth` are shown by type name only.
+ * @returns {Object|string|null} Null when the export has no return type
+ */
+export function describeReturnType(typeRef, getType, depth = DEFAULT_SELECTION_DEPTH) {
+  checkSelectionDepth(depth);
+  return describeType(typeRef, getType, depth);
+}
+
+function describeType(typeRef, getType, depth) {
+  const printed = printTypeRef(typeRef);
+  const named = unwrapType(typeRef);
+  if (!printed || !named) {
+    return null;
+  }
+
+  const type = LEAF_KINDS.has(named.kind) ? null : getType(named.name);
+  if (!type || !OBJECT_KINDS.has(type.kind) || !Array.isArray(type.fields)) {
+    return printed;
+  }
+
+  const fields = {};
+  for (const field of visibleFields(type)) {
+    const nextDepth = CONNECTION_WRAPPERS.has(field.name) ? depth : depth - 1;
+    fields[field.name] = nextDepth < 1
+      ? printTypeRef(field.type)
+      : describeType(field.type, getType, nextDepth);
+  }
+
+  return { type: printed, fields };
+}
@@ -13,9 +13,48 @@ import { StreamableHTTPServerTransport } from "@modelcontextprotocol/sdk/server/
 import { mcpAuthRouter } from "@modelcontextprotocol/sdk/server/auth/router.js";
 import {
   CallToolRequestSchema,
+  CompleteRequestSchema,
+  ErrorCode,
+  GetPromptRequestSchema,
+  ListPromptsRequestSchema,
+  ListResourcesRequestSchema,
+  ListResourceTemplatesRequestSchema,
   ListToolsRequestSchema,
+  McpError,
+  ReadResourceRequestSchema,
 } from "@modelcontextprotocol/sdk/types.js";
 import { SchemaLoader } from "./schema-loader.js";
+import { syncSchema } from "./schema-sync.js";
+import { getRequestContext, runWithRequestContext } from "./request-context.js";
+import { RateLimiterRegistry } from "./rate-limiter.js";
+import {
+  buildFilterSchema,
+  buildOrderBySchema,
+  compileFilter,
+  compileGraphqlFilter,
+  compileOrderBy,
+  COMPOSITE_SUBFIELDS,
+  formatFilterValue,
+  PRIMARY_SUBFIELDS
+} from "./filter-builder.js";
+import {
+  buildOperationDocument,
+  DEFAULT_SELECTION_DEPTH,
+  describeArguments,
+  describeReturnType,
+  MAX_SELECTION_DEPTH
+} from "./graphql-document.js";
+import { findPrompt, listPrompts, renderPrompt } from "./prompts.js";
+import { buildScopePolicies, evaluateAccess, parseScopePolicies, READ_OPERATIONS, ToolPolicy } from "./tool-policy.js";
+import {
+  CONFIRMATION_PROMPT_TIMEOUT_MS,
+  CONFIRMATION_REQUIRED_OUTPUT_SCHEMA,
+  CONFIRMATION_SCHEMA,
+  CONFIRMATION_TOKEN_TTL_MS,
+  ConfirmationPolicy,
+  ConfirmationTokens,
+  DEFAULT_CONFIRM_OPERATIONS
+} from "./confirmation.js";
 import { TwentyCRMOAuthProvider } from "./oauth/provider.js";
 
 class HttpError extends Error {
@@ -39,6 +78,10 @@ if (!process.env.SCHEMA_PATH && existsSync(defaultSchemaPath)) {
   process.env.SCHEMA_PATH = defaultSchemaPath;
 }
 
+function resolveSyncSchemaPath() {
+  return process.env.SCHEMA_PATH || defaultSchemaPath;
+}
+
 function cloneSchema(value) {
   if (value === undefined) {
     return undefined;
@@ -53,6 +96,174 @@ function cloneSchema(value) {
   return JSON.parse(JSON.stringify(value));
 }
 
+/**
+ * Field names with their type and allowed values only. Batch and upsert items
+ * use this instead of repeating every subfield and relation form; the full
+ * shape is on the object's create_* tool.
+ */
+function summarizeProperties(properties) {
+  const summary = {};
+  for (const [name, definition] of Object.entries(properties)) {
+    const entry = {};
+    for (const key of ["type", "description", "enum"]) {
+      if (definition[key] !== undefined) {
+        entry[key] = definition[key];
+      }
+    }
+    summary[name] = entry;
+  }
+  return summary;
+}
+
+const IDEMPOTENT_METHODS = new Set(["GET", "HEAD", "PUT", "DELETE", "OPTIONS"]);
+const RETRYABLE_STATUSES = new Set([429, 502, 503, 504]);
+// Response headers worth showing in tool errors; the rest (cookies, CDN and server details) are dropped
+const REPORTED_ERROR_HEADERS = [
+  "retry-after",
+  "x-request-id",
+  "request-id",
+  "x-correlation-id",
+  "x-ratelimit-limit",
+  "x-ratelimit-remaining",
+  "x-ratelimit-reset"
+];
+
+function parseRetryAfter(value) {
+  if (value === undefined || value === null || value === "") {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (Number.isFinite(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+function readNumberOption(value, fallback) {
+  const parsed = Number(value);
+  return value !== undefined && value !== "" && Number.isFinite(parsed) && parsed >= 0 ? parsed : fallback;
+}
+
+const CRUD_TOOL_PATTERN = /^(batch_create|batch_update|aggregate|create|get|update|upsert|list|delete|restore|destroy)_(.+)$/;
+// Twenty's generated record mutations: createCompany, deleteCompanies, ...
+const GRAPHQL_MUTATION_PATTERN = /^(create|update|delete|destroy|restore|merge)([A-Z]\w*)$/;
+
+// JSON types Twenty returns per field type; unlisted types are left unconstrained
+const OUTPUT_FIELD_TYPES = {
+  TEXT: "string",
+  UUID: "string",
+  DATE: "string",
+  DATE_TIME: "string",
+  SELECT: "string",
+  RATING: "string",
+  RICH_TEXT: "string",
+  NUMBER: "number",
+  POSITION: "number",
+  BOOLEAN: "boolean",
+  MULTI_SELECT: "array",
+  ARRAY: "array",
+  FULL_NAME: "object",
+  LINKS: "object",
+  EMAILS: "object",
+  PHONES: "object",
+  ADDRESS: "object",
+  CURRENCY: "object",
+  ACTOR: "object",
+  RICH_TEXT_V2: "object"
+};
+
+const READ_ONLY = { readOnlyHint: true, destructiveHint: false, idempotentHint: true };
+
+// MCP tool annotations per CRUD operation; `plural` picks the object label used in the title
+const CRUD_TOOL_ANNOTATIONS = {
+  get: { verb: "Get", hints: READ_ONLY },
+  list: { verb: "List", plural: true, hints: READ_ONLY },
+  aggregate: { verb: "Aggregate", plural: true, hints: READ_ONLY },
+  create: { verb: "Create", hints: { readOnlyHint: false, destructiveHint: false, idempotentHint: false } },
+  batch_create: { verb: "Batch Create", plural: true, hints: { readOnlyHint: false, destructiveHint: false, idempotentHint: false } },
+  update: { verb: "Update", hints: { readOnlyHint: false, destructiveHint: true, idempotentHint: true } },
+  batch_update: { verb: "Batch Update", plural: true, hints: { readOnlyHint: false, destructiveHint: true, idempotentHint: true } },
+  upsert: { verb: "Upsert", hints: { readOnlyHint: false, destructiveHint: true, idempotentHint: true } },
+  restore: { verb: "Restore", hints: { readOnlyHint: false, destructiveHint: false, idempotentHint: true } },
+  delete: { verb: "Delete", hints: { readOnlyHint: false, destructiveHint: true, idempotentHint: true } },
+  destroy: { verb: "Permanently Delete", hints: { readOnlyHint: false, destructiveHint: true, idempotentHint: true } }
+};
+
+// Operation (and object) each global tool counts as for the tool policy
+const GLOBAL_TOOL_ACCESS = {
+  get_metadata_objects: { operation: "metadata" },
+  get_object_metadata: { operation: "metadata" },
+  get_local_object_schema: { operation: "metadata" },
+  get_available_operations: { operation: "metadata" },
+  execute_graphql_operation: { operation: "graphql" },
+  search_records: { operation: "search" },
+  create_note_for_person: { operation: "create", object: "notes" }
+};
+
+const GLOBAL_TOOL_ANNOTATIONS = {
+  get_metadata_objects: { title: "List Objects", ...READ_ONLY },
+  get_object_metadata: { title: "Get Object Metadata", ...READ_ONLY },
+  get_local_object_schema: { title: "Get Object Tool Schema", ...READ_ONLY },
+  get_available_operations: { title: "List GraphQL Operations", ...READ_ONLY },
+  // Can run allowlisted mutations, so it is treated as a write
+  execute_graphql_operation: { title: "Execute GraphQL Operation", readOnlyHint: false, destructiveHint: true, idempotentHint: false },
+  search_records: { title: "Search Records", ...READ_ONLY },
+  create_note_for_person: { title: "Create Note for Person", readOnlyHint: false, destructiveHint: false, idempotentHint: false }
+};
+
+// Twenty accepts at most 60 records per /rest/batch request
+const BATCH_CHUNK_SIZE = 60;
+const MAX_BATCH_SIZE = 200;
+
+// list_* with all: true
+const AUTO_PAGINATE_PAGE_SIZE = 60;
+const DEFAULT_MAX_RECORDS = 1000;
+const MAX_AUTO_PAGINATE_RECORDS = 10000;
+
+// Relation expansion on get_* / list_*
+const MAX_RELATION_DEPTH = 2;
+const DEFAULT_RELATION_LIMIT = 10;
+const MAX_RELATION_LIMIT = 60;
+
+// aggregate_* metrics and the field types they accept
+const AGGREGATE_FIELD_TYPES = {
+  sum: ["NUMBER", "NUMERIC", "CURRENCY"],
+  avg: ["NUMBER", "NUMERIC", "CURRENCY"],
+  min: ["NUMBER", "NUMERIC", "CURRENCY", "DATE", "DATE_TIME"],
+  max: ["NUMBER", "NUMERIC", "CURRENCY", "DATE", "DATE_TIME"]
+};
+
+const RESOURCE_SCHEME = "twenty://";
+const RESOURCE_URI_PATTERN = /^twenty:\/\/([^/]+)\/([^/]+)$/;
+const RECORD_ID_PATTERN = /^[A-Za-z0-9-]+$/;
+
+const MAX_COMPLETION_VALUES = 100;
+const COMPLETION_SEARCH_LIMIT = 10;
+
+const OPERATION_DETAIL_LEVELS = ["summary", "arguments", "full"];
+const DEFAULT_DETAILED_OPERATIONS = 20;
+
+function capitalize(value) {
+  return value ? value.charAt(0).toUpperCase() + value.slice(1) : value;
+}
+
+function parseListValue(value) {
+  if (!value) {
+    return [];
+  }
+  return value
+    .split(",")
+    .map(item => item.trim())
+    .filter(Boolean);
+}
+
 export class TwentyCRMServer {
   constructor(options = {}) {
     this.options = options;
@@ -68,8 +279,47 @@ export class TwentyCRMServer {
       throw new Error("TWENTY_API_KEY environment variable is required");
     }
 
-    // Store for per-request API keys in OAuth mode
-    this._requestApiKey = null;
+    // Timeout and retry policy for Twenty API calls
+    this.requestPolicy = {
+      timeoutMs: readNumberOption(options.requestTimeoutMs ?? process.env.TWENTY_REQUEST_TIMEOUT_MS, 30000),
+      maxRetries: readNumberOption(options.maxRetries ?? process.env.TWENTY_MAX_RETRIES, 3),
+      baseDelayMs: readNumberOption(options.retryBaseDelayMs ?? process.env.TWENTY_RETRY_BASE_DELAY_MS, 500),
+      maxDelayMs: readNumberOption(options.retryMaxDelayMs ?? process.env.TWENTY_RETRY_MAX_DELAY_MS, 30000)
+    };
+
+    // Client-side throttling per API key; excess calls queue instead of hitting 429
+    this.rateLimiters = new RateLimiterRegistry({
+      requestsPerInterval: readNumberOption(options.rateLimit ?? process.env.TWENTY_RATE_LIMIT, 100),
+      intervalMs: readNumberOption(options.rateLimitWindowMs ?? process.env.TWENTY_RATE_LIMIT_WINDOW_MS, 60000),
+      maxConcurrent: readNumberOption(options.maxConcurrentRequests ?? process.env.TWENTY_MAX_CONCURRENT_REQUESTS, 5)
+    });
+
+    // Optional allow/deny lists controlling which objects get CRUD tools
+    this.objectFilter = {
+      include: options.includeObjects ?? parseListValue(process.env.TWENTY_INCLUDE_OBJECTS),
+      exclude: options.excludeObjects ?? parseListValue(process.env.TWENTY_EXCLUDE_OBJECTS)
+    };
+
+    // Which operations callers may use; OAuth scopes can narrow this per token
+    this.toolPolicy = new ToolPolicy({
+      readOnly: options.readOnly ?? ['1', 'true', 'yes'].includes(process.env.TWENTY_READ_ONLY?.toLowerCase()),
+      allow: options.allowOperations ?? parseListValue(process.env.TWENTY_ALLOW_OPERATIONS),
+      deny: options.denyOperations ?? parseListValue(process.env.TWENTY_DENY_OPERATIONS),
+      source: "TWENTY_ALLOW_OPERATIONS / TWENTY_DENY_OPERATIONS"
+    });
+    this.scopePolicies = buildScopePolicies(options.scopePolicies ?? parseScopePolicies(process.env.TWENTY_SCOPE_POLICIES));
+
+    // Destructive calls the user has to confirm (elicitation, or a dry run returning a token)
+    this.confirmationPolicy = new ConfirmationPolicy({
+      confirm: options.confirmOperations ?? (process.env.TWENTY_CONFIRM_OPERATIONS !== undefined
+        ? parseListValue(process.env.TWENTY_CONFIRM_OPERATIONS)
+        : DEFAULT_CONFIRM_OPERATIONS),
+      skip: options.skipConfirmation ?? parseListValue(process.env.TWENTY_SKIP_CONFIRMATION)
+    });
+    this.confirmationTokens = new ConfirmationTokens();
+
+    // Mutations execute_graphql_operation may run; queries are always allowed
+    this.allowedGraphqlMutations = options.allowedGraphqlMutations ?? parseListValue(process.env.TWENTY_GRAPHQL_ALLOWED_MUTATIONS);
 
     this.schemaLoader = new SchemaLoader();
     const loaded = this.schemaLoader.loadSchemas();
@@ -88,6 +338,7 @@ export class TwentyCRMServer {
       ["get_object_metadata", async (args = {}) => this.getObjectMetadata(args.objectName)],
       ["get_local_object_schema", async (args = {}) => this.getLocalObjectSchema(args.objectName)],
       ["get_available_operations", async (args = {}) => this.getAvailableOperations(args)],
+      ["execute_graphql_operation", async (args = {}) => this.executeGraphqlOperation(args)],
       ["search_records", async (args = {}) => this.searchRecords(args)],
       ["create_note_for_person", async (args = {}) => this.createNoteForPerson(args)]
     ]);
@@ -96,7 +347,7 @@ export class TwentyCRMServer {
     // For HTTP mode, we create per-connection instances in runHttp()
     if (!this.oauthMode) {
       this.server = this.createMCPServer();
-      this.setupToolHandlers(this.server);
+      this.setupHandlers(this.server);
     }
   }
 
@@ -112,35 +363,73 @@ export class TwentyCRMServer {
       {
         capabilities: {
           tools: {},
+          resources: {},
+          prompts: {},
+          completions: {},
         },
       }
     );
   }
 
   /**
-   * Set the API key for the current request context (OAuth mode).
-   * @param {string|null} apiKey
+   * Build the request context for a tool call from the handler's `extra`.
+   * The SDK transports copy `req.auth` into `extra.authInfo`, so the context
+   * comes from the authenticated HTTP request rather than shared server state.
+   * @param {Object} [extra] - RequestHandlerExtra from the MCP SDK
+   * @returns {Object}
    */
-  setRequestApiKey(apiKey) {
-    this._requestApiKey = apiKey;
+  buildRequestContext(extra = {}) {
+    const authInfo = extra.authInfo;
+    const apiKey = authInfo?.extra?.twentyApiKey || (this.oauthMode ? null : this.apiKey);
+
+    return {
+      apiKey,
+      sessionId: extra.sessionId,
+      clientId: authInfo?.clientId,
+      authType: authInfo?.extra?.authType || (authInfo ? "oauth" : "env"),
+      scopes: authInfo?.scopes || []
+    };
   }
 
   /**
    * Get the effective API key for the current request.
-   * @returns {string}
+   * Inside a tool call this is the caller's key; outside one (stdio mode,
+   * startup work) it is TWENTY_API_KEY.
+   * @returns {string|null}
    */
   getEffectiveApiKey() {
-    return this._requestApiKey || this.apiKey;
+    const context = getRequestContext();
+    if (context) {
+      return context.apiKey;
+    }
+    return this.apiKey;
   }
 
-  async makeRequest(endpoint, method = "GET", data = null) {
+  /**
+   * Call the Twenty REST/GraphQL API.
+   * Every attempt passes through the per-key rate limiter. Retries
+   * 429/502/503/504 responses and network failures with exponential backoff
+   * and jitter (honouring Retry-After). Non-idempotent requests (POST, PATCH)
+   * are only replayed when the server guarantees it did not process them (429)
+   * or the connection was refused, unless `options.idempotent` is set.
+   * @param {string} endpoint - Path relative to TWENTY_BASE_URL
+   * @param {string} [method]
+   * @param {Object|null} [data] - JSON body for POST/PUT/PATCH
+   * @param {Object} [options]
+   * @param {number} [options.timeoutMs] - Per-attempt timeout
+   * @param {number} [options.maxRetries]
+   * @param {boolean} [options.idempotent] - Allow replaying a POST/PATCH (e.g. GraphQL queries)
+   * @returns {Promise<any>}
+   * @throws {HttpError} for non-2xx responses, with the original status and body
+   */
+  async makeRequest(endpoint, method = "GET", data = null, options = {}) {
     const effectiveApiKey = this.getEffectiveApiKey();
     if (!effectiveApiKey) {
       throw new Error("No API key available for request");
     }
 
     const url = `${this.baseUrl}${endpoint}`;
-    const options = {
+    const fetchOptions = {
       method,
       headers: {
         Authorization: `Bearer ${effectiveApiKey}`,
@@ -149,55 +438,126 @@ export class TwentyCRMServer {
     };
 
     if (data && ["POST", "PUT", "PATCH"].includes(method)) {
-      options.body = JSON.stringify(data);
+      fetchOptions.body = JSON.stringify(data);
       if (this.logLevel === 'verbose' && endpoint.includes('/people/')) {
         console.error('[DEBUG] Request payload:', JSON.stringify(data, null, 2));
       }
     }
 
-    try {
-      const response = await fetch(url, options);
-
-      if (!response.ok) {
-        const errorBodyText = await response.text();
-        let parsedBody = null;
+    const timeoutMs = options.timeoutMs ?? this.requestPolicy.timeoutMs;
+    const maxRetries = options.maxRetries ?? this.requestPolicy.maxRetries;
+    const idempotent = options.idempotent ?? IDEMPOTENT_METHODS.has(method);
 
-        if (errorBodyText) {
-          try {
-            parsedBody = JSON.parse(errorBodyText);
-          } catch {
-            parsedBody = errorBodyText;
+    for (let attempt = 0; ; attempt++) {
+      try {
+        return await this.rateLimiters.schedule(
+          effectiveApiKey,
+          () => this.performRequest(url, fetchOptions, { endpoint, method, timeoutMs })
+        );
+      } catch (error) {
+        const canRetry = attempt < maxRetries && this.isRetryableError(error, idempotent);
+        if (!canRetry) {
+          if (error instanceof HttpError) {
+            error.attempts = attempt + 1;
+            throw error;
           }
+          throw new Error(`API request failed: ${error.message}`, { cause: error });
         }
 
-        throw new HttpError(`HTTP ${response.status}`, {
-          status: response.status,
-          statusText: response.statusText,
-          body: parsedBody,
-          endpoint,
-          method,
-          headers: Object.fromEntries(response.headers.entries())
-        });
+        await this.sleep(this.getRetryDelay(error, attempt));
       }
+    }
+  }
 
-      if (response.status === 204) {
-        return null;
+  async performRequest(url, fetchOptions, { endpoint, method, timeoutMs }) {
+    let response;
+    try {
+      response = await fetch(url, {
+        ...fetchOptions,
+        signal: timeoutMs > 0 ? AbortSignal.timeout(timeoutMs) : undefined
+      });
+    } catch (error) {
+      if (error?.name === "TimeoutError" || error?.name === "AbortError") {
+        const timeoutError = new Error(`${method} ${endpoint} timed out after ${timeoutMs}ms`);
+        timeoutError.code = "ETIMEDOUT";
+        throw timeoutError;
       }
+      throw error;
+    }
+
+    if (!response.ok) {
+      const errorBodyText = await response.text();
+      let parsedBody = null;
 
-      const contentType = response.headers.get("content-type") || "";
-      if (contentType.includes("application/json")) {
-        return await response.json();
+      if (errorBodyText) {
+        try {
+          parsedBody = JSON.parse(errorBodyText);
+        } catch {
+          parsedBody = errorBodyText;
+        }
       }
 
-      const text = await response.text();
-      try {
-        return JSON.parse(text);
-      } catch {
-        return text;
+      throw new HttpError(`HTTP ${response.status}`, {
+        status: response.status,
+        statusText: response.statusText,
+        body: parsedBody,
+        endpoint,
+        method,
+        headers: Object.fromEntries(response.headers.entries())
+      });
+    }
+
+    if (response.status === 204) {
+      return null;
+    }
+
+    const contentType = response.headers.get("content-type") || "";
+    if (contentType.includes("application/json")) {
+      return await response.json();
+    }
+
+    const text = await response.text();
+    try {
+      return JSON.parse(text);
+    } catch {
+      return text;
+    }
+  }
+
+  isRetryableError(error, idempotent) {
+    if (error instanceof HttpError) {
+      // 429 means the request was rejected before processing, so even a POST is safe to replay
+      if (error.status === 429) {
+        return true;
       }
-    } catch (error) {
-      throw new Error(`API request failed: ${error.message}`);
+      return idempotent && RETRYABLE_STATUSES.has(error.status);
+    }
+
+    // The connection was never established, so nothing was processed
+    const code = error?.cause?.code || error?.code;
+    if (code === "ECONNREFUSED" || code === "ENOTFOUND" || code === "EAI_AGAIN") {
+      return true;
+    }
+
+    // Timeouts and dropped connections may have reached the server
+    return idempotent;
+  }
+
+  getRetryDelay(error, attempt) {
+    const { baseDelayMs, maxDelayMs } = this.requestPolicy;
+
+    const retryAfter = error instanceof HttpError ? parseRetryAfter(error.headers?.["retry-after"]) : null;
+    if (retryAfter !== null) {
+      return Math.min(retryAfter, maxDelayMs);
     }
+
+    const exponential = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+    // Equal jitter: keep half the backoff, randomise the rest
+    return exponential / 2 + Math.random() * (exponential / 2);
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
   }
 
   rebuildRegistry({ log = true } = {}) {
@@ -221,6 +581,44 @@ export class TwentyCRMServer {
     }
   }
 
+  /**
+   * Pull the live schema from TWENTY_BASE_URL into the schema directory and
+   * reload the registry if anything changed.
+   * @returns {Promise<Object>} Sync summary (counts and target path)
+   */
+  async syncSchemaFromApi() {
+    const schemaPath = this.schemaLoader.getSchemaPath() || resolveSyncSchemaPath();
+    const result = await syncSchema({
+      baseUrl: this.baseUrl,
+      apiKey: this.apiKey,
+      schemaPath
+    });
+
+    if (!this.schemaLoader.schemaPath) {
+      this.schemaLoader.schemaPath = schemaPath;
+    }
+    this.refreshSchemaIfChanged();
+    return result;
+  }
+
+  /**
+   * Re-sync the schema every `intervalSeconds` so admin changes are picked up without a restart.
+   * @param {number} intervalSeconds
+   */
+  startSchemaSync(intervalSeconds) {
+    if (!Number.isFinite(intervalSeconds) || intervalSeconds <= 0) {
+      return null;
+    }
+
+    const timer = setInterval(() => {
+      this.syncSchemaFromApi().catch(error => {
+        console.error("Scheduled schema sync failed:", error.message);
+      });
+    }, intervalSeconds * 1000);
+    timer.unref?.();
+    return timer;
+  }
+
   refreshSchemaIfChanged() {
     if (!this.schemaLoader.metadata) {
       const loaded = this.schemaLoader.loadSchemas({ force: true });
@@ -244,16 +642,30 @@ export class TwentyCRMServer {
   }
 
   buildObjectRegistry() {
-    const coreObjects = this.schemaLoader.getCoreObjects();
-    for (const namePlural of coreObjects) {
+    const registryObjects = this.schemaLoader.getRegistryObjects(this.objectFilter);
+    for (const namePlural of registryObjects) {
       const schema = this.schemaLoader.generateToolSchema(namePlural);
       if (!schema) continue;
       this.registerObjectSchema(schema);
     }
   }
 
+  isObjectAllowed(namePlural) {
+    const { include = [], exclude = [] } = this.objectFilter;
+    const matches = (list) => list.some(name => {
+      const object = this.schemaLoader.getObjectByName(name);
+      return (object?.namePlural || name).toLowerCase() === namePlural.toLowerCase();
+    });
+
+    if (include.length && !matches(include)) {
+      return false;
+    }
+    return !matches(exclude);
+  }
+
   buildFallbackRegistry() {
-    const fallbackObjects = this.schemaLoader.getCoreObjects();
+    const fallbackObjects = this.schemaLoader.getCoreObjects()
+      .filter(namePlural => this.isObjectAllowed(namePlural));
     for (const namePlural of fallbackObjects) {
       const nameSingular = this.getFallbackSingular(namePlural);
       const labelSingular = nameSingular.charAt(0).toUpperCase() + nameSingular.slice(1);
@@ -371,6 +783,8 @@ export class TwentyCRMServer {
 
       const createProperties = this.buildWritableProperties(schema);
       const createRequired = required.filter(fieldName => fieldName in createProperties);
+      // Shared by upsert_* and the batch tools, which would otherwise each repeat createProperties
+      const itemProperties = summarizeProperties(createProperties);
 
       const idProperty = {
         id: {
@@ -379,6 +793,39 @@ export class TwentyCRMServer {
         }
       };
 
+      const fieldsProperty = {
+        fields: {
+          type: "array",
+          items: { type: "string" },
+          description: "Only return these fields, e.g. name.firstName or emails.primaryEmail (id is always included)"
+        }
+      };
+      const includeRawProperty = {
+        includeRaw: {
+          type: "boolean",
+          description: "Also return the unprocessed Twenty response as raw (default: true, or false when fields is set)"
+        }
+      };
+
+      const relationNames = (schema.relationMetadata || []).map(relation => relation.name);
+      const expansionProperties = {
+        include: {
+          type: "array",
+          items: relationNames.length > 0 ? { type: "string", enum: relationNames } : { type: "string" },
+          description: "Related records to embed, e.g. company or pointOfContactForOpportunities; other relations are left out"
+        },
+        depth: {
+          type: "integer",
+          minimum: 0,
+          maximum: MAX_RELATION_DEPTH,
+          description: "Levels of related records to resolve (defaults to 1; must be at least 1 when include is set)"
+        },
+        relationLimit: {
+          type: "number",
+          description: `Max records kept per one-to-many relation (default ${DEFAULT_RELATION_LIMIT}, at most ${MAX_RELATION_LIMIT})`
+        }
+      };
+
       const baseLabelSingular = (labelSingular || nameSingular).toLowerCase();
       const baseLabelPlural = (labelPlural || namePlural).toLowerCase();
 
@@ -386,10 +833,6 @@ export class TwentyCRMServer {
         ? `Create a new ${baseLabelSingular} (${description.trim()})`
         : `Create a new ${baseLabelSingular} in Twenty CRM`;
 
-      const filterProperties = Object.fromEntries(
-        Object.entries(createProperties).map(([fieldName, definition]) => [fieldName, { ...definition }])
-      );
-
       tools.push({
         name: `create_${nameSingular}`,
         description: createDescription,
@@ -406,7 +849,7 @@ export class TwentyCRMServer {
         description: `Get a ${baseLabelSingular} by ID`,
         inputSchema: {
           type: "object",
-          properties: idProperty,
+          properties: { ...idProperty, ...fieldsProperty, ...expansionProperties },
           required: ["id"]
         }
       });
@@ -422,9 +865,33 @@ export class TwentyCRMServer {
         }
       });
 
+      const matchFields = this.getUpsertMatchFields(schema);
+      tools.push({
+        name: `upsert_${nameSingular}`,
+        description: `Create a ${baseLabelSingular}, or update the existing one whose match field has the same value`,
+        inputSchema: {
+          type: "object",
+          properties: {
+            matchField: {
+              type: "string",
+              description: matchFields.length > 0
+                ? `Field used to look up an existing ${baseLabelSingular} (e.g. ${matchFields.join(", ")}); its value is read from record`
+                : `Field used to look up an existing ${baseLabelSingular}; its value is read from record`
+            },
+            record: {
+              type: "object",
+              description: `${labelSingular || nameSingular} fields to write, including the match field; same fields as create_${nameSingular}`,
+              properties: itemProperties,
+              additionalProperties: true
+            }
+          },
+          required: ["matchField", "record"]
+        }
+      });
+
       tools.push({
         name: `list_${namePlural}`,
-        description: `List ${baseLabelPlural} with optional filters`,
+        description: `List ${baseLabelPlural} with optional filters and sorting`,
         inputSchema: {
           type: "object",
           properties: {
@@ -435,128 +902,499 @@ export class TwentyCRMServer {
             },
             offset: {
               type: "number",
-              description: "Number of results to skip before starting the page (default: 0)",
+              description: "Number of results to skip before starting the page (default: 0); prefer cursors for walking large result sets",
               default: 0
             },
+            startingAfter: {
+              type: "string",
+              description: "Cursor (summary.nextCursor of a previous page); returns the records after it"
+            },
+            endingBefore: {
+              type: "string",
+              description: "Cursor (summary.previousCursor of a previous page); returns the records before it"
+            },
+            all: {
+              type: "boolean",
+              description: `Follow every page server-side and return all matching ${baseLabelPlural} together, up to maxRecords`,
+              default: false
+            },
+            maxRecords: {
+              type: "number",
+              description: `Cap for all: true (default ${DEFAULT_MAX_RECORDS}, at most ${MAX_AUTO_PAGINATE_RECORDS})`
+            },
+            withDeleted: {
+              type: "boolean",
+              description: `Also return soft-deleted ${baseLabelPlural}`
+            },
+            onlyDeleted: {
+              type: "boolean",
+              description: `Return only soft-deleted ${baseLabelPlural} (candidates for restore_${nameSingular})`
+            },
             search: {
               type: "string",
               description: `Search term applied to ${baseLabelPlural}`
             },
-            filters: {
-              type: "object",
-              description: `Additional key/value filters supported by the ${namePlural} REST endpoint`,
-              properties: filterProperties,
-              additionalProperties: true
-            }
+            filters: buildFilterSchema(schema),
+            orderBy: buildOrderBySchema(schema),
+            ...fieldsProperty,
+            ...includeRawProperty,
+            ...expansionProperties
           },
-          additionalProperties: true
+          additionalProperties: false
+        }
+      });
+
+      const aggregateProperties = {
+        filters: buildFilterSchema(schema, { allowString: false }),
+        groupBy: {
+          type: "string",
+          description: "SELECT field to break the results down by (one group per option, plus empty)"
+        }
+      };
+      const selectFields = (schema.fieldMetadata || []).filter(field => field.type === "SELECT").map(field => field.name);
+      if (selectFields.length > 0) {
+        aggregateProperties.groupBy.enum = selectFields;
+      }
+      for (const [operation, types] of Object.entries(AGGREGATE_FIELD_TYPES)) {
+        const candidates = (schema.fieldMetadata || []).filter(field => types.includes(field.type)).map(field => field.name);
+        if (candidates.length === 0) continue;
+        aggregateProperties[operation] = {
+          type: "array",
+          items: { type: "string", enum: candidates },
+          description: `Fields to compute the ${operation} of (currency amounts are converted from micros)`
+        };
+      }
+
+      tools.push({
+        name: `aggregate_${namePlural}`,
+        description: `Count ${baseLabelPlural} matching optional filters and compute sum/avg/min/max, optionally grouped by a select field`,
+        inputSchema: {
+          type: "object",
+          properties: aggregateProperties
         }
       });
 
       tools.push({
         name: `delete_${nameSingular}`,
-        description: `Delete a ${baseLabelSingular}`,
+        description: `Delete a ${baseLabelSingular} (soft delete; undo with restore_${nameSingular})`,
         inputSchema: {
           type: "object",
           properties: idProperty,
           required: ["id"]
         }
       });
-    }
-
-    return [...tools, ...this.buildGlobalTools()];
-  }
-
-  buildWritableProperties(schema) {
-    const properties = schema.properties || {};
-    const fieldMetadata = schema.fieldMetadata || [];
-    const readOnlyNames = new Set([
-      "createdAt",
-      "updatedAt",
-      "deletedAt",
-      "createdBy",
-      "updatedBy",
-      "searchVector",
-      "position"
-    ]);
-
-    const fieldMap = new Map(fieldMetadata.map(field => [field.name, field]));
-    const writable = {};
-
-    for (const [name, definition] of Object.entries(properties)) {
-      if (readOnlyNames.has(name)) continue;
-
-      const field = fieldMap.get(name);
-      if (field && field.type === "POSITION") continue;
-
-      writable[name] = { ...definition };
-    }
-
-    if (Object.keys(writable).length === 0) {
-      const fallback = {};
-      for (const [name, definition] of Object.entries(properties)) {
-        fallback[name] = { ...definition };
-      }
-      return fallback;
-    }
-
-    return writable;
-  }
 
-  buildGlobalTools() {
-    const defaultSearchObjects = this.getDefaultSearchObjects();
-    const tools = [
-      {
-        name: "get_metadata_objects",
-        description: "List active object metadata from the local schema export (API fallback)",
+      tools.push({
+        name: `restore_${nameSingular}`,
+        description: `Restore a soft-deleted ${baseLabelSingular}`,
         inputSchema: {
           type: "object",
-          properties: {}
+          properties: idProperty,
+          required: ["id"]
         }
-      },
-      {
-        name: "get_object_metadata",
-        description: "Inspect metadata for a specific object (local schema first, API fallback)",
+      });
+
+      tools.push({
+        name: `destroy_${nameSingular}`,
+        description: `Permanently delete a ${baseLabelSingular}; this cannot be undone`,
         inputSchema: {
           type: "object",
-          properties: {
-            objectName: { type: "string", description: "Object name (plural or singular)" }
-          },
-          required: ["objectName"]
+          properties: idProperty,
+          required: ["id"]
         }
-      },
-      {
-        name: "get_local_object_schema",
-        description: "Return the generated tool schema for an object based on the local export",
+      });
+
+      tools.push({
+        name: `batch_create_${namePlural}`,
+        description: `Create up to ${MAX_BATCH_SIZE} ${baseLabelPlural} in one call; returns a per-record success/error report`,
         inputSchema: {
           type: "object",
           properties: {
-            objectName: { type: "string", description: "Object name (plural or singular)" }
+            records: {
+              type: "array",
+              description: `${labelPlural || namePlural} to create, each with the same fields as create_${nameSingular}`,
+              minItems: 1,
+              maxItems: MAX_BATCH_SIZE,
+              items: {
+                type: "object",
+                properties: itemProperties,
+                required: createRequired,
+                additionalProperties: true
+              }
+            }
           },
-          required: ["objectName"]
+          required: ["records"]
         }
-      },
-      {
-        name: "get_available_operations",
-        description: "List GraphQL operations detected in the exported schema files",
+      });
+
+      tools.push({
+        name: `batch_update_${namePlural}`,
+        description: `Update up to ${MAX_BATCH_SIZE} ${baseLabelPlural} by ID in one call; returns a per-record success/error report`,
         inputSchema: {
           type: "object",
           properties: {
-            type: {
-              type: "string",
-              enum: ["all", "query", "mutation"],
-              description: "Filter by GraphQL operation type",
-              default: "all"
-            },
-            nameContains: {
-              type: "string",
-              description: "Optional substring filter applied to operation names"
-            },
-            limit: {
-              type: "number",
-              description: "Limit the number of returned operations"
+            records: {
+              type: "array",
+              description: `${labelPlural || namePlural} to update; each entry needs an id plus the fields to change, as in update_${nameSingular}`,
+              minItems: 1,
+              maxItems: MAX_BATCH_SIZE,
+              items: {
+                type: "object",
+                properties: { ...idProperty, ...itemProperties },
+                required: ["id"],
+                additionalProperties: true
+              }
             }
-          }
+          },
+          required: ["records"]
+        }
+      });
+    }
+
+    return [...tools, ...this.buildGlobalTools()]
+      .map(tool => this.withConfirmationToken(this.withOutputSchema(this.annotateTool(tool))));
+  }
+
+  /**
+   * Tools that need confirmation accept the token from a dry run.
+   */
+  withConfirmationToken(tool) {
+    const access = this.getToolAccess(tool.name);
+    if (!access || !this.confirmationPolicy.requires(access.operation, access.objectNames)) {
+      return tool;
+    }
+
+    const confirmable = {
+      ...tool,
+      inputSchema: {
+        ...tool.inputSchema,
+        properties: {
+          ...tool.inputSchema.properties,
+          confirmationToken: {
+            type: "string",
+            description: 'One-time token from an earlier "Confirmation required" result; pass it only after the user has agreed'
+          }
+        }
+      }
+    };
+    if (tool.outputSchema) {
+      confirmable.outputSchema = { type: "object", anyOf: [tool.outputSchema, CONFIRMATION_REQUIRED_OUTPUT_SCHEMA] };
+    }
+    return confirmable;
+  }
+
+  /**
+   * CRUD tools declare the shape of their structuredContent.
+   */
+  withOutputSchema(tool) {
+    const match = tool.name.match(CRUD_TOOL_PATTERN);
+    const schema = match && this.resolveObject(match[2])?.schema;
+    if (!schema) {
+      return tool;
+    }
+    return { ...tool, outputSchema: this.buildOutputSchema(match[1], schema) };
+  }
+
+  /**
+   * @param {string} operation - CRUD operation from CRUD_TOOL_PATTERN
+   * @param {Object} schema - Object schema
+   * @returns {Object} JSON Schema for the tool's structuredContent
+   */
+  buildOutputSchema(operation, schema) {
+    const record = this.buildRecordOutputSchema(schema);
+
+    switch (operation) {
+      case "list":
+        return {
+          type: "object",
+          properties: {
+            items: { type: "array", items: record },
+            pagination: {
+              type: "object",
+              properties: {
+                hasNextPage: { type: ["boolean", "null"] },
+                hasPreviousPage: { type: ["boolean", "null"] },
+                startCursor: { type: ["string", "null"] },
+                endCursor: { type: ["string", "null"] },
+                totalCount: { type: ["number", "null"] }
+              },
+              required: ["hasNextPage", "hasPreviousPage", "startCursor", "endCursor", "totalCount"]
+            },
+            summary: {
+              type: "object",
+              properties: {
+                count: { type: "number" },
+                total: { type: ["number", "null"] },
+                hasNextPage: { type: ["boolean", "null"] },
+                nextCursor: { type: "string" },
+                previousCursor: { type: "string" },
+                pages: { type: "number" }
+              }
+            }
+          },
+          required: ["items", "pagination", "summary"]
+        };
+      case "aggregate": {
+        const metric = { type: "object", additionalProperties: { type: ["number", "string", "null"] } };
+        const aggregates = { count: { type: ["number", "null"] }, sum: metric, avg: metric, min: metric, max: metric };
+        return {
+          type: "object",
+          properties: {
+            source: { type: "string", enum: ["graphql", "rest"] },
+            ...aggregates,
+            groupBy: { type: "string" },
+            groups: {
+              type: "array",
+              items: { type: "object", properties: { value: {}, label: { type: ["string", "null"] }, ...aggregates } }
+            },
+            truncated: { type: "boolean" },
+            note: { type: "string" }
+          },
+          required: ["count"]
+        };
+      }
+      case "upsert":
+        return {
+          type: "object",
+          properties: {
+            action: { type: "string", enum: ["created", "updated"] },
+            id: { type: ["string", "null"] },
+            matchField: { type: "string" },
+            record
+          },
+          required: ["action", "id", "matchField", "record"]
+        };
+      case "batch_create":
+      case "batch_update":
+        return {
+          type: "object",
+          properties: {
+            summary: {
+              type: "object",
+              properties: {
+                total: { type: "number" },
+                succeeded: { type: "number" },
+                failed: { type: "number" }
+              },
+              required: ["total", "succeeded", "failed"]
+            },
+            results: { type: "array", items: { type: "object" } }
+          },
+          required: ["summary", "results"]
+        };
+      default:
+        return record;
+    }
+  }
+
+  /**
+   * JSON Schema for one record, typed from the field metadata. Every field is
+   * optional and nullable because `fields` projections and Twenty's own
+   * responses may omit or null them.
+   */
+  buildRecordOutputSchema(schema) {
+    const properties = { id: { type: "string" } };
+
+    for (const field of schema.fieldMetadata || []) {
+      if (field.isActive === false || field.name === "id") continue;
+
+      if (field.type === "RELATION") {
+        properties[field.name] = { description: `${field.label || field.name} (only present when expanded)` };
+        continue;
+      }
+
+      const jsonType = OUTPUT_FIELD_TYPES[field.type];
+      const property = jsonType ? { type: [jsonType, "null"] } : {};
+      if (field.label) {
+        property.description = field.label;
+      }
+      if (COMPOSITE_SUBFIELDS[field.type]) {
+        property.properties = Object.fromEntries(COMPOSITE_SUBFIELDS[field.type].map(name => [name, {}]));
+      }
+      properties[field.name] = property;
+    }
+
+    return { type: "object", properties };
+  }
+
+  /**
+   * Plain record for structuredContent; Twenty's `{ data: { person: {...} } }` wrapper is removed.
+   */
+  toStructuredRecord(response) {
+    const record = this.extractSingleRecord(response);
+    return record && typeof record === "object" && !Array.isArray(record) ? record : {};
+  }
+
+  /**
+   * List results as { items, pagination, summary } with the same keys for
+   * single pages and `all: true` walks.
+   */
+  toStructuredList(payload) {
+    const summary = payload?.summary || {};
+    const pagination = payload?.pagination || {};
+
+    return {
+      items: Array.isArray(payload?.items) ? payload.items : [],
+      pagination: {
+        hasNextPage: summary.hasNextPage ?? pagination.hasNextPage ?? null,
+        hasPreviousPage: pagination.hasPreviousPage ?? null,
+        startCursor: pagination.startCursor ?? null,
+        endCursor: pagination.endCursor ?? summary.nextCursor ?? null,
+        totalCount: summary.total ?? null
+      },
+      summary
+    };
+  }
+
+  /**
+   * Attach a human title and MCP behaviour hints so clients can auto-approve
+   * reads and confirm destructive calls.
+   */
+  annotateTool(tool) {
+    const global = GLOBAL_TOOL_ANNOTATIONS[tool.name];
+    if (global) {
+      return { ...tool, title: global.title, annotations: { ...global } };
+    }
+
+    const match = tool.name.match(CRUD_TOOL_PATTERN);
+    const entry = match && CRUD_TOOL_ANNOTATIONS[match[1]];
+    if (!entry) {
+      return tool;
+    }
+
+    const schema = this.resolveObject(match[2])?.schema;
+    const label = entry.plural
+      ? schema?.labelPlural || schema?.namePlural || match[2]
+      : schema?.labelSingular || schema?.nameSingular || match[2];
+    const title = `${entry.verb} ${label}`;
+
+    return { ...tool, title, annotations: { title, ...entry.hints } };
+  }
+
+  buildWritableProperties(schema) {
+    const properties = schema.properties || {};
+    const fieldMetadata = schema.fieldMetadata || [];
+    const readOnlyNames = new Set([
+      "createdAt",
+      "updatedAt",
+      "deletedAt",
+      "createdBy",
+      "updatedBy",
+      "searchVector",
+      "position"
+    ]);
+
+    const fieldMap = new Map(fieldMetadata.map(field => [field.name, field]));
+    const writable = {};
+
+    for (const [name, definition] of Object.entries(properties)) {
+      if (readOnlyNames.has(name)) continue;
+
+      const field = fieldMap.get(name);
+      if (field && field.type === "POSITION") continue;
+
+      writable[name] = { ...definition };
+    }
+
+    if (Object.keys(writable).length === 0) {
+      const fallback = {};
+      for (const [name, definition] of Object.entries(properties)) {
+        fallback[name] = { ...definition };
+      }
+      return fallback;
+    }
+
+    return writable;
+  }
+
+  buildGlobalTools() {
+    const defaultSearchObjects = this.getDefaultSearchObjects();
+    const tools = [
+      {
+        name: "get_metadata_objects",
+        description: "List active object metadata from the local schema export (API fallback)",
+        inputSchema: {
+          type: "object",
+          properties: {}
+        }
+      },
+      {
+        name: "get_object_metadata",
+        description: "Inspect metadata for a specific object (local schema first, API fallback)",
+        inputSchema: {
+          type: "object",
+          properties: {
+            objectName: { type: "string", description: "Object name (plural or singular)" }
+          },
+          required: ["objectName"]
+        }
+      },
+      {
+        name: "get_local_object_schema",
+        description: "Return the generated tool schema for an object based on the local export",
+        inputSchema: {
+          type: "object",
+          properties: {
+            objectName: { type: "string", description: "Object name (plural or singular)" }
+          },
+          required: ["objectName"]
+        }
+      },
+      {
+        name: "get_available_operations",
+        description: "List GraphQL operations detected in the exported schema files",
+        inputSchema: {
+          type: "object",
+          properties: {
+            type: {
+              type: "string",
+              enum: ["all", "query", "mutation"],
+              description: "Filter by GraphQL operation type",
+              default: "all"
+            },
+            nameContains: {
+              type: "string",
+              description: "Optional substring filter applied to operation names"
+            },
+            limit: {
+              type: "number",
+              description: `Limit the number of returned operations (default ${DEFAULT_DETAILED_OPERATIONS} when detail is not "summary")`
+            },
+            detail: {
+              type: "string",
+              enum: ["summary", "arguments", "full"],
+              description: "summary: names and descriptions; arguments: plus each argument's type, nullability and default; full: plus the return-type tree",
+              default: "summary"
+            },
+            depth: {
+              type: "number",
+              description: `Nested object levels in the return-type tree for detail "full" (default ${DEFAULT_SELECTION_DEPTH}, max ${MAX_SELECTION_DEPTH})`
+            }
+          }
+        }
+      },
+      {
+        name: "execute_graphql_operation",
+        description: "Run a query or allowlisted mutation from get_available_operations; the document is built from the schema export",
+        inputSchema: {
+          type: "object",
+          properties: {
+            operation: { type: "string", description: "Operation name, e.g. \"companies\" or \"createCompany\"" },
+            type: {
+              type: "string",
+              enum: ["query", "mutation"],
+              description: "Operation type, only needed when a query and a mutation share the name"
+            },
+            variables: {
+              type: "object",
+              description: "Arguments keyed by name, e.g. { \"filter\": { \"name\": { \"eq\": \"Acme\" } } }"
+            },
+            depth: {
+              type: "number",
+              description: `Levels of nested objects to select (default ${DEFAULT_SELECTION_DEPTH}, max ${MAX_SELECTION_DEPTH})`
+            }
+          },
+          required: ["operation"]
         }
       },
       {
@@ -590,6 +1428,15 @@ export class TwentyCRMServer {
               type: "number",
               description: "Number of results per object type",
               default: 10
+            },
+            fields: {
+              type: "array",
+              items: { type: "string" },
+              description: "Only return these fields from each record, e.g. name or emails.primaryEmail (id is always included)"
+            },
+            includeRaw: {
+              type: "boolean",
+              description: "Also return the unprocessed Twenty responses as raw (default: true, or false when fields is set)"
             }
           },
           required: ["query"]
@@ -640,131 +1487,1215 @@ export class TwentyCRMServer {
     return tools;
   }
 
+  /**
+   * Register every MCP handler (tools, resources and prompts) on a server instance.
+   */
+  setupHandlers(server) {
+    this.setupToolHandlers(server);
+    this.setupResourceHandlers(server);
+    this.setupPromptHandlers(server);
+  }
+
   setupToolHandlers(server) {
     const mcpServer = server || this.server;
 
-    mcpServer.setRequestHandler(ListToolsRequestSchema, async () => {
+    mcpServer.setRequestHandler(ListToolsRequestSchema, async (request, extra) => {
       this.refreshSchemaIfChanged();
-      return { tools: this.tools };
+      const context = this.buildRequestContext(extra);
+      return { tools: this.tools.filter(tool => this.isToolAllowed(tool.name, context)) };
     });
 
-    mcpServer.setRequestHandler(CallToolRequestSchema, async (request) => {
+    mcpServer.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
       this.refreshSchemaIfChanged();
-      const { name } = request.params;
-      const args = request.params.arguments ?? {};
+      const context = {
+        ...this.buildRequestContext(extra),
+        elicit: mcpServer.getClientCapabilities()?.elicitation?.form
+          ? params => mcpServer.elicitInput(params, {
+            relatedRequestId: extra.requestId,
+            signal: extra.signal,
+            timeout: CONFIRMATION_PROMPT_TIMEOUT_MS
+          })
+          : null
+      };
+      return runWithRequestContext(context, () => this.dispatchToolCall(request));
+    });
+  }
 
-      try {
-        const specialHandler = this.globalToolHandlers.get(name);
-        if (specialHandler) {
-          return await specialHandler(args);
-        }
+  /**
+   * Resources: twenty://<plural>/{id} for records, twenty://schema/<object>
+   * for object metadata and twenty://schema/operations for the GraphQL operations.
+   */
+  setupResourceHandlers(server) {
+    const mcpServer = server || this.server;
 
-        const match = name.match(/^(create|get|update|list|delete)_(.+)$/);
+    mcpServer.setRequestHandler(ListResourcesRequestSchema, async (request, extra) => {
+      this.refreshSchemaIfChanged();
+      return { resources: this.listResources(this.buildRequestContext(extra)) };
+    });
 
-        if (match) {
-          const [, operation, objectName] = match;
-          return await this.handleCRUDOperation(operation, objectName, args);
-        }
+    mcpServer.setRequestHandler(ListResourceTemplatesRequestSchema, async (request, extra) => {
+      this.refreshSchemaIfChanged();
+      return { resourceTemplates: this.listResourceTemplates(this.buildRequestContext(extra)) };
+    });
 
-        throw new Error(`Unknown tool: ${name}`);
-      } catch (error) {
-        return this.buildErrorContent(error);
-      }
+    mcpServer.setRequestHandler(ReadResourceRequestSchema, async (request, extra) => {
+      this.refreshSchemaIfChanged();
+      const context = this.buildRequestContext(extra);
+      return runWithRequestContext(context, () => this.readResource(request.params.uri));
     });
   }
 
-  async handleCRUDOperation(operation, objectName, args = {}) {
-    const resolved = this.resolveObject(objectName);
-    if (!resolved) {
-      throw new Error(`Unsupported object "${objectName}" in the current schema`);
-    }
+  setupPromptHandlers(server) {
+    const mcpServer = server || this.server;
 
-    const { schema } = resolved;
-    const labelSingular = schema.labelSingular || schema.nameSingular;
-    const labelPlural = schema.labelPlural || schema.namePlural;
-    const endpointName = schema.namePlural;
+    mcpServer.setRequestHandler(ListPromptsRequestSchema, async () => ({ prompts: listPrompts() }));
 
-    switch (operation) {
-      case "create": {
-        const payload = this.sanitizePayload(args, schema);
-        const created = await this.makeRequest(`/rest/${endpointName}`, "POST", payload);
-        return this.buildContent(`Created ${labelSingular}`, created);
+    mcpServer.setRequestHandler(GetPromptRequestSchema, async (request) => {
+      const prompt = findPrompt(request.params.name);
+      if (!prompt) {
+        throw new McpError(ErrorCode.InvalidParams, `Unknown prompt: ${request.params.name}`);
       }
-      case "get": {
-        if (!args.id) {
-          throw new Error(`Missing "id" for ${labelSingular} retrieval`);
-        }
-        const item = await this.makeRequest(`/rest/${endpointName}/${args.id}`);
-        return this.buildContent(`${labelSingular} details`, item);
+      try {
+        return renderPrompt(prompt, request.params.arguments);
+      } catch (error) {
+        throw new McpError(ErrorCode.InvalidParams, error.message);
       }
-      case "update": {
-        const { id, ...updateData } = args;
-        if (!id) {
-          throw new Error(`Missing "id" for ${labelSingular} update`);
-        }
-        const payload = this.sanitizePayload(updateData, schema);
-        if (this.logLevel === 'verbose' && schema?.namePlural === 'people') {
-          console.error('[DEBUG] Update payload for person:', JSON.stringify(payload, null, 2));
+    });
+
+    mcpServer.setRequestHandler(CompleteRequestSchema, async (request, extra) => {
+      this.refreshSchemaIfChanged();
+      const context = this.buildRequestContext(extra);
+      const values = await runWithRequestContext(
+        context,
+        () => this.completePromptArgument(request.params.ref, request.params.argument)
+      );
+      return {
+        completion: {
+          values: values.slice(0, MAX_COMPLETION_VALUES),
+          total: values.length,
+          hasMore: values.length > MAX_COMPLETION_VALUES
         }
-        const updated = await this.makeRequest(`/rest/${endpointName}/${id}`, "PUT", payload);
-        return this.buildContent(`Updated ${labelSingular}`, updated);
-      }
-      case "list": {
-        const {
-          limit = 20,
-          offset = 0,
-          search,
-          filters = {},
-          ...inlineFilters
-        } = args;
+      };
+    });
+  }
+
+  /**
+   * Suggest record names for a prompt argument that declares `complete`.
+   * Comma-separated arguments (attendees) complete their last entry.
+   * @returns {Promise<string[]>}
+   */
+  async completePromptArgument(ref, argument = {}) {
+    if (ref?.type !== "ref/prompt") {
+      return [];
+    }
+    const definition = findPrompt(ref.name)?.arguments.find(arg => arg.name === argument.name);
+    if (!definition?.complete) {
+      return [];
+    }
+
+    const value = String(argument.value ?? "");
+    const separator = value.lastIndexOf(",");
+    const prefix = separator >= 0 ? `${value.slice(0, separator + 1)} ` : "";
+    const query = value.slice(separator + 1).trim();
+    if (!query) {
+      return [];
+    }
+
+    const results = await this.collectSearchResults({
+      query,
+      objectTypes: [definition.complete],
+      limit: COMPLETION_SEARCH_LIMIT,
+      fields: ["name"]
+    });
+    const items = Object.values(results).flatMap(result => result?.data?.items || []);
+    const names = items.map(record => this.formatRecordName(record)).filter(Boolean);
+
+    return [...new Set(names)].map(name => `${prefix}${name}`);
+  }
+
+  /**
+   * Display name of a record: `name`, or first and last name for people.
+   */
+  formatRecordName(record) {
+    const name = record?.name;
+    if (typeof name === "string") {
+      return name.trim() || null;
+    }
+    if (name && typeof name === "object") {
+      return [name.firstName, name.lastName].filter(Boolean).join(" ").trim() || null;
+    }
+    return null;
+  }
+
+  /**
+   * Operation and object names a tool is checked against in the tool policy.
+   * @returns {{ operation: string, objectNames: string[] }|null} Null for unknown tools
+   */
+  getToolAccess(name) {
+    const global = GLOBAL_TOOL_ACCESS[name];
+    if (global) {
+      return { operation: global.operation, objectNames: this.getPolicyObjectNames(global.object) };
+    }
+
+    const match = name.match(CRUD_TOOL_PATTERN);
+    return match ? { operation: match[1], objectNames: this.getPolicyObjectNames(match[2]) } : null;
+  }
+
+  getPolicyObjectNames(objectName) {
+    if (!objectName) {
+      return [];
+    }
+    const schema = this.resolveObject(objectName)?.schema;
+    return schema ? [schema.namePlural, schema.nameSingular] : [objectName];
+  }
+
+  /**
+   * @param {string} operation
+   * @param {string[]} [objectNames]
+   * @param {Object} [context] - Caller's `authType` and `scopes`; defaults to the current request
+   */
+  isOperationAllowed(operation, objectNames = [], context = getRequestContext()) {
+    return evaluateAccess(
+      { policy: this.toolPolicy, scopePolicies: this.scopePolicies, authType: context?.authType, scopes: context?.scopes || [] },
+      operation,
+      objectNames
+    );
+  }
+
+  isToolAllowed(name, context) {
+    const access = this.getToolAccess(name);
+    return !access || this.isOperationAllowed(access.operation, access.objectNames, context);
+  }
+
+  assertOperationAllowed(operation, objectNames, subject) {
+    if (this.isOperationAllowed(operation, objectNames)) {
+      return;
+    }
 
-        const query = new URLSearchParams();
-        const safeLimit = Number.isFinite(Number(limit)) ? Number(limit) : 20;
-        const safeOffset = Number.isFinite(Number(offset)) ? Number(offset) : 0;
+    let reason = "the current token's scopes do not allow it";
+    if (!this.toolPolicy.allows(operation, objectNames)) {
+      reason = this.toolPolicy.readOnly && !READ_OPERATIONS.includes(operation)
+        ? "the server is in read-only mode"
+        : "it is blocked by the server's tool policy";
+    }
+    throw new Error(`${subject} is not permitted: ${reason}`);
+  }
+
+  /**
+   * Get the user's go-ahead for a destructive call: an elicitation prompt when
+   * the client supports it, otherwise a dry run that returns a one-time token.
+   * @returns {Promise<Object|null>} Null to proceed, or the result to return instead
+   */
+  async confirmToolCall(name, args, confirmationToken) {
+    const context = getRequestContext();
+    const owner = context?.apiKey ?? null;
+
+    if (confirmationToken !== undefined) {
+      if (!this.confirmationTokens.consume(confirmationToken, name, args, owner)) {
+        throw new Error(`Invalid or expired confirmationToken for ${name}; call it again without one to get a new token`);
+      }
+      return null;
+    }
 
-        query.set("limit", String(safeLimit));
-        query.set("offset", String(safeOffset));
+    const summary = this.describeToolCall(name, args);
 
-        if (search) {
-          query.set("search", search);
+    if (context?.elicit) {
+      try {
+        const result = await context.elicit({ message: `${summary}\n\nGo ahead?`, requestedSchema: CONFIRMATION_SCHEMA });
+        if (result.action === "accept" && result.content?.confirm === true) {
+          return null;
+        }
+        return {
+          content: [{ type: "text", text: `Cancelled: the user did not confirm. ${summary}` }],
+          isError: true
+        };
+      } catch (error) {
+        if (!this.options.quiet) {
+          console.error(`Confirmation prompt for ${name} failed, falling back to a token: ${error.message}`);
         }
+      }
+    }
+
+    // Not an error: the call is waiting for the user, and the result carries what is needed to finish it
+    const token = this.confirmationTokens.issue(name, args, owner);
+    const minutes = Math.round(CONFIRMATION_TOKEN_TTL_MS / 60000);
+    return {
+      content: [{
+        type: "text",
+        text: [
+          `Confirmation required (dry run, nothing was changed). ${summary}`,
+          "",
+          `Ask the user to confirm, then call ${name} again with the same arguments plus "confirmationToken": "${token}".`,
+          `The token can be used once, within ${minutes} minutes.`
+        ].join("\n")
+      }],
+      structuredContent: {
+        confirmationRequired: true,
+        summary,
+        confirmationToken: token,
+        expiresInMinutes: minutes
+      }
+    };
+  }
+
+  /**
+   * One-line description of what a tool call would change, for confirmations.
+   */
+  describeToolCall(name, args) {
+    if (name === "execute_graphql_operation") {
+      return `Would run the ${args.operation} mutation with ${JSON.stringify(args.variables ?? {})}.`;
+    }
+
+    const match = name.match(CRUD_TOOL_PATTERN);
+    const schema = match && this.resolveObject(match[2])?.schema;
+    if (!schema) {
+      return `Would run ${name} with ${JSON.stringify(args)}.`;
+    }
+
+    const labelSingular = schema.labelSingular || schema.nameSingular;
+    const labelPlural = schema.labelPlural || schema.namePlural;
+
+    switch (match[1]) {
+      case "delete":
+        return `Would delete ${labelSingular} ${args.id}; restore_${schema.nameSingular} can bring it back.`;
+      case "destroy":
+        return `Would permanently delete ${labelSingular} ${args.id}. This cannot be undone.`;
+      case "batch_create":
+      case "batch_update": {
+        const records = Array.isArray(args.records) ? args.records : [];
+        const verb = match[1] === "batch_update" ? "update" : "create";
+        const ids = records.map(record => record?.id).filter(Boolean);
+        const shownIds = ids.length > 10 ? `${ids.slice(0, 10).join(", ")} and ${ids.length - 10} more` : ids.join(", ");
+        const fields = [...new Set(records.flatMap(record => Object.keys(record || {}).filter(key => key !== "id")))];
+        return `Would ${verb} ${records.length} ${labelPlural}${shownIds ? ` (${shownIds})` : ""}${fields.length > 0 ? `, setting ${fields.join(", ")}` : ""}.`;
+      }
+      default:
+        return `Would run ${name} on ${labelSingular}${args.id ? ` ${args.id}` : ""} with ${JSON.stringify(args)}.`;
+    }
+  }
+
+  listResources(context) {
+    if (!this.isOperationAllowed("metadata", [], context)) {
+      return [];
+    }
+
+    const resources = this.supportedObjects.map(schema => ({
+      uri: `${RESOURCE_SCHEME}schema/${schema.namePlural}`,
+      name: `${schema.namePlural}-schema`,
+      title: `${schema.labelSingular || schema.nameSingular} schema`,
+      description: `Fields and relations of ${schema.labelPlural || schema.namePlural}`,
+      mimeType: "application/json"
+    }));
+
+    resources.push({
+      uri: `${RESOURCE_SCHEME}schema/operations`,
+      name: "operations",
+      title: "GraphQL operations",
+      description: "Queries and mutations in the schema export",
+      mimeType: "application/json"
+    });
+
+    return resources;
+  }
+
+  listResourceTemplates(context) {
+    const readable = this.supportedObjects.filter(schema =>
+      this.isOperationAllowed("get", [schema.namePlural, schema.nameSingular], context)
+    );
+    const templates = readable.map(schema => ({
+      uriTemplate: `${RESOURCE_SCHEME}${schema.namePlural}/{id}`,
+      name: schema.nameSingular,
+      title: schema.labelSingular || schema.nameSingular,
+      description: `A ${schema.labelSingular || schema.nameSingular} record by id`,
+      mimeType: "application/json"
+    }));
+
+    if (!this.isOperationAllowed("metadata", [], context)) {
+      return templates;
+    }
+    templates.push({
+      uriTemplate: `${RESOURCE_SCHEME}schema/{object}`,
+      name: "object-schema",
+      title: "Object schema",
+      description: "Fields and relations of an object (plural or singular name)",
+      mimeType: "application/json"
+    });
+
+    return templates;
+  }
 
-        const mergedFilters = { ...inlineFilters };
-        if (filters && typeof filters === "object" && !Array.isArray(filters)) {
-          Object.assign(mergedFilters, filters);
+  async readResource(uri) {
+    const match = typeof uri === "string" ? uri.match(RESOURCE_URI_PATTERN) : null;
+    if (!match) {
+      throw new McpError(ErrorCode.InvalidParams, `Unsupported resource URI: ${uri}`);
+    }
+
+    const collection = decodeURIComponent(match[1]);
+    const key = decodeURIComponent(match[2]);
+    let data;
+
+    if (collection === "schema") {
+      this.assertOperationAllowed("metadata", [], `Reading ${uri}`);
+    }
+
+    if (collection === "schema" && key === "operations") {
+      const operations = this.schemaLoader.getOperations("all");
+      if (!operations.length) {
+        throw new McpError(ErrorCode.InvalidParams, "No GraphQL operations found in the local schema export");
+      }
+      data = { operations };
+    } else if (collection === "schema") {
+      const metadata = this.getLocalObjectMetadata(key);
+      if (!metadata) {
+        throw new McpError(ErrorCode.InvalidParams, `Unknown object "${key}" in local schema export`);
+      }
+      data = this.buildObjectMetadataPayload(metadata);
+    } else {
+      const resolved = this.resolveObject(collection);
+      if (!resolved) {
+        throw new McpError(ErrorCode.InvalidParams, `Unsupported object "${collection}" in resource URI ${uri}`);
+      }
+      if (!RECORD_ID_PATTERN.test(key)) {
+        throw new McpError(ErrorCode.InvalidParams, `Invalid record id "${key}" in resource URI ${uri}`);
+      }
+      this.assertOperationAllowed("get", [resolved.schema.namePlural, resolved.schema.nameSingular], `Reading ${uri}`);
+      data = this.extractSingleRecord(await this.getRecord(resolved.schema, { id: key }));
+    }
+
+    return {
+      contents: [
+        {
+          uri,
+          mimeType: "application/json",
+          text: JSON.stringify(data, null, 2)
         }
+      ]
+    };
+  }
 
-        for (const [key, value] of Object.entries(mergedFilters)) {
-          if (value === undefined || value === null || value === "") continue;
+  async dispatchToolCall(request) {
+    const { name } = request.params;
+    let args = request.params.arguments ?? {};
 
-          if (Array.isArray(value)) {
-            value.forEach(item => {
-              if (item !== undefined && item !== null && item !== "") {
-                query.append(key, String(item));
-              }
-            });
-          } else {
-            query.set(key, String(value));
-          }
+    try {
+      const access = this.getToolAccess(name);
+      if (access) {
+        this.assertOperationAllowed(access.operation, access.objectNames, `Tool "${name}"`);
+      }
+      if (access?.operation === "graphql") {
+        this.assertGraphqlOperationAllowed(args);
+      }
+
+      if (access && this.confirmationPolicy.requires(access.operation, access.objectNames)) {
+        const { confirmationToken, ...rest } = args;
+        args = rest;
+        // GraphQL queries only read, so just mutations are held
+        const unconfirmed = access.operation === "graphql" && !this.isGraphqlMutationCall(args)
+          ? null
+          : await this.confirmToolCall(name, args, confirmationToken);
+        if (unconfirmed) {
+          return unconfirmed;
         }
+      }
 
-        const queryString = query.toString();
-        const endpoint = `/rest/${endpointName}${queryString ? `?${queryString}` : ""}`;
-        const list = await this.makeRequest(endpoint);
-        return this.buildContent(`${labelPlural} list`, this.buildListPayload(list));
+      const specialHandler = this.globalToolHandlers.get(name);
+      if (specialHandler) {
+        return await specialHandler(args);
       }
+
+      const match = name.match(CRUD_TOOL_PATTERN);
+
+      if (match) {
+        const [, operation, objectName] = match;
+        return await this.handleCRUDOperation(operation, objectName, args);
+      }
+
+      throw new Error(`Unknown tool: ${name}`);
+    } catch (error) {
+      return this.buildErrorContent(error);
+    }
+  }
+
+  async handleCRUDOperation(operation, objectName, args = {}) {
+    const resolved = this.resolveObject(objectName);
+    if (!resolved) {
+      throw new Error(`Unsupported object "${objectName}" in the current schema`);
+    }
+
+    const { schema } = resolved;
+    const labelSingular = schema.labelSingular || schema.nameSingular;
+    const labelPlural = schema.labelPlural || schema.namePlural;
+    const endpointName = schema.namePlural;
+
+    switch (operation) {
+      case "create": {
+        const payload = this.sanitizePayload(args, schema);
+        const created = await this.makeRequest(`/rest/${endpointName}`, "POST", payload);
+        return this.buildContent(`Created ${labelSingular}`, created, this.toStructuredRecord(created));
+      }
+      case "get": {
+        if (!args.id) {
+          throw new Error(`Missing "id" for ${labelSingular} retrieval`);
+        }
+        const record = await this.getRecord(schema, args);
+        return this.buildContent(`${labelSingular} details`, record, this.toStructuredRecord(record));
+      }
+      case "update": {
+        const { id, ...updateData } = args;
+        if (!id) {
+          throw new Error(`Missing "id" for ${labelSingular} update`);
+        }
+        const payload = this.sanitizePayload(updateData, schema);
+        if (this.logLevel === 'verbose' && schema?.namePlural === 'people') {
+          console.error('[DEBUG] Update payload for person:', JSON.stringify(payload, null, 2));
+        }
+        const updated = await this.makeRequest(`/rest/${endpointName}/${id}`, "PUT", payload);
+        return this.buildContent(`Updated ${labelSingular}`, updated, this.toStructuredRecord(updated));
+      }
+      case "upsert":
+        return this.upsertRecord(schema, args);
+      case "list":
+        return this.listRecords(schema, args);
+      case "aggregate":
+        return this.aggregateRecords(schema, args);
       case "delete": {
         if (!args.id) {
           throw new Error(`Missing "id" for ${labelSingular} deletion`);
         }
         await this.makeRequest(`/rest/${endpointName}/${args.id}`, "DELETE");
-        return this.buildContent(`Deleted ${labelSingular} ${args.id}`);
+        return this.buildContent(`Deleted ${labelSingular} ${args.id}`, undefined, { id: args.id });
+      }
+      case "restore":
+      case "destroy": {
+        if (!args.id) {
+          throw new Error(`Missing "id" for ${labelSingular} ${operation}`);
+        }
+        const record = await this.runRecordMutation(schema, operation, args.id);
+        return this.buildContent(
+          operation === "restore" ? `Restored ${labelSingular} ${args.id}` : `Permanently deleted ${labelSingular} ${args.id}`,
+          record,
+          record && typeof record === "object" ? record : { id: args.id }
+        );
+      }
+      case "batch_create": {
+        const records = this.validateBatchRecords(args.records, labelPlural);
+        const report = await this.batchCreate(schema, records);
+        return this.buildContent(
+          `Batch created ${report.summary.succeeded}/${report.summary.total} ${labelPlural}`,
+          report,
+          report
+        );
+      }
+      case "batch_update": {
+        const records = this.validateBatchRecords(args.records, labelPlural);
+        const report = await this.batchUpdate(schema, records);
+        return this.buildContent(
+          `Batch updated ${report.summary.succeeded}/${report.summary.total} ${labelPlural}`,
+          report,
+          report
+        );
       }
       default:
         throw new Error(`Unknown operation: ${operation}`);
     }
   }
 
+  async listRecords(schema, args) {
+    const labelPlural = schema.labelPlural || schema.namePlural;
+    const {
+      limit = 20,
+      offset = 0,
+      search,
+      filters = {},
+      orderBy,
+      startingAfter,
+      endingBefore,
+      all = false,
+      maxRecords,
+      withDeleted = false,
+      onlyDeleted = false,
+      fields,
+      includeRaw,
+      include,
+      depth,
+      relationLimit,
+      ...unknownArgs
+    } = args;
+
+    this.assertNoUnknownListArguments(schema, unknownArgs);
+
+    const expansion = this.buildRelationExpansion({ include, depth, relationLimit }, schema);
+    const selection = this.withIncludedRelations(this.buildFieldSelection(fields, schema), expansion);
+    const expand = expansion ? record => this.expandRelations(record, expansion, schema) : undefined;
+
+    if (startingAfter && endingBefore) {
+      throw new Error('Use either "startingAfter" or "endingBefore", not both');
+    }
+    if (withDeleted && onlyDeleted) {
+      throw new Error('Use either "withDeleted" or "onlyDeleted", not both');
+    }
+
+    const safeOffset = Number.isFinite(Number(offset)) ? Number(offset) : 0;
+    if (safeOffset > 0 && (startingAfter || endingBefore)) {
+      throw new Error('"offset" cannot be combined with a cursor');
+    }
+
+    const query = new URLSearchParams();
+
+    if (search) {
+      query.set("search", search);
+    }
+
+    const filter = this.buildListFilter(schema, filters, this.buildDeletedFilter({ withDeleted, onlyDeleted }));
+    if (filter) {
+      query.set("filter", filter);
+    }
+
+    const order = compileOrderBy(orderBy, schema);
+    if (order) {
+      query.set("order_by", order);
+    }
+
+    if (expansion) {
+      query.set("depth", String(expansion.depth));
+    }
+
+    if (all === true) {
+      if (endingBefore) {
+        throw new Error('"all" walks forward from "startingAfter" and cannot be combined with "endingBefore"');
+      }
+      const payload = await this.listAllRecords(schema, query, { startingAfter, maxRecords, selection, expand });
+      return this.buildContent(`${labelPlural} list (${payload.summary.pages} pages)`, payload, this.toStructuredList(payload));
+    }
+
+    const safeLimit = Number.isFinite(Number(limit)) ? Number(limit) : 20;
+    query.set("limit", String(safeLimit));
+
+    if (startingAfter) {
+      query.set("starting_after", startingAfter);
+    } else if (endingBefore) {
+      query.set("ending_before", endingBefore);
+    } else {
+      query.set("offset", String(safeOffset));
+    }
+
+    const list = await this.makeRequest(`/rest/${schema.namePlural}?${query}`);
+    // The raw response still holds every relation Twenty resolved
+    const payload = this.buildListPayload(list, { selection, includeRaw: expand ? false : includeRaw, expand });
+    return this.buildContent(`${labelPlural} list`, payload, this.toStructuredList(payload));
+  }
+
+  /**
+   * Follow `starting_after` cursors until the result set is exhausted or
+   * `maxRecords` is reached. Records already seen (by id) are skipped so a
+   * misbehaving cursor cannot duplicate rows.
+   */
+  async listAllRecords(schema, query, { startingAfter, maxRecords, selection = null, expand } = {}) {
+    const requested = Number(maxRecords ?? DEFAULT_MAX_RECORDS);
+    if (!Number.isFinite(requested) || requested < 1) {
+      throw new Error('"maxRecords" must be a positive number');
+    }
+    const cap = Math.min(Math.floor(requested), MAX_AUTO_PAGINATE_RECORDS);
+
+    const items = [];
+    const seen = new Set();
+    let cursor = startingAfter;
+    let pages = 0;
+    let total;
+    let hasNextPage = false;
+
+    while (items.length < cap) {
+      const pageQuery = new URLSearchParams(query);
+      pageQuery.set("limit", String(Math.min(AUTO_PAGINATE_PAGE_SIZE, cap - items.length)));
+      if (cursor) {
+        pageQuery.set("starting_after", cursor);
+      }
+
+      const response = await this.makeRequest(`/rest/${schema.namePlural}?${pageQuery}`);
+      const records = this.extractRecords(response) || [];
+      const pagination = this.extractPagination(response);
+      pages += 1;
+      total ??= this.resolveTotalFromPagination(pagination);
+
+      for (const record of records) {
+        const id = this.extractResourceId(record);
+        if (id && seen.has(id)) continue;
+        if (id) seen.add(id);
+        items.push(record);
+      }
+
+      // Stop on the last page, and on a cursor that does not advance
+      const nextCursor = this.resolveNextCursor(pagination);
+      hasNextPage = this.resolveHasNextFromPagination(pagination) === true
+        && Boolean(nextCursor)
+        && nextCursor !== cursor
+        && records.length > 0;
+      if (!hasNextPage) {
+        break;
+      }
+      cursor = nextCursor;
+    }
+
+    const truncated = items.length > cap;
+    const capped = items.slice(0, cap).map(item => this.projectRecord(expand ? expand(item) : item, selection));
+    const summary = {
+      count: capped.length,
+      total,
+      pages,
+      hasNextPage: hasNextPage || truncated
+    };
+    if (hasNextPage && !truncated) {
+      summary.nextCursor = cursor;
+    }
+
+    return { items: capped, summary };
+  }
+
+  /**
+   * Fetch one record, applying `fields` and relation expansion when given.
+   * Without either the Twenty response is returned untouched.
+   */
+  async getRecord(schema, args) {
+    const expansion = this.buildRelationExpansion(args, schema);
+    const selection = this.withIncludedRelations(this.buildFieldSelection(args.fields, schema), expansion);
+    const endpoint = `/rest/${schema.namePlural}/${args.id}${expansion ? `?depth=${expansion.depth}` : ""}`;
+    const item = await this.makeRequest(endpoint);
+
+    if (!selection && !expansion) {
+      return item;
+    }
+    const record = this.expandRelations(this.extractSingleRecord(item), expansion, schema);
+    return this.projectRecord(record, selection);
+  }
+
+  async aggregateRecords(schema, args = {}) {
+    const labelPlural = schema.labelPlural || schema.namePlural;
+    const { filters, groupBy } = args;
+    const metrics = this.resolveAggregateMetrics(schema, args);
+    const group = groupBy === undefined || groupBy === null ? null : this.resolveAggregateGroup(schema, groupBy);
+
+    const payload = this.canAggregateWithGraphql(schema, metrics, filters)
+      ? await this.aggregateWithGraphql(schema, filters, metrics, group)
+      : await this.aggregateWithRest(schema, filters, metrics, group);
+
+    return this.buildContent(`${labelPlural} aggregate`, payload, payload);
+  }
+
+  resolveAggregateMetrics(schema, args) {
+    const metrics = [];
+
+    for (const [operation, types] of Object.entries(AGGREGATE_FIELD_TYPES)) {
+      const requested = args[operation];
+      if (requested === undefined || requested === null) continue;
+      if (!Array.isArray(requested) || requested.some(name => typeof name !== "string")) {
+        throw new Error(`"${operation}" must be an array of field names`);
+      }
+
+      for (const name of requested) {
+        const field = (schema.fieldMetadata || []).find(entry => entry.name === name);
+        if (!field) {
+          throw new Error(`Unknown field "${name}" on ${schema.namePlural}`);
+        }
+        if (!types.includes(field.type)) {
+          throw new Error(`Cannot compute ${operation} of ${field.type} field "${name}"; supported types: ${types.join(", ")}`);
+        }
+        metrics.push({
+          operation,
+          field: name,
+          currency: field.type === "CURRENCY",
+          graphqlField: `${operation}${capitalize(name)}${field.type === "CURRENCY" ? "AmountMicros" : ""}`
+        });
+      }
+    }
+
+    return metrics;
+  }
+
+  resolveAggregateGroup(schema, groupBy) {
+    const field = (schema.fieldMetadata || []).find(entry => entry.name === groupBy);
+    if (!field) {
+      throw new Error(`Unknown field "${groupBy}" on ${schema.namePlural}`);
+    }
+    if (field.type !== "SELECT") {
+      throw new Error(`Can only group by SELECT fields; "${groupBy}" is ${field.type}`);
+    }
+
+    const values = (field.options || [])
+      .slice()
+      .sort((a, b) => (a.position ?? 0) - (b.position ?? 0))
+      .map(option => ({ value: option.value, label: option.label }));
+    values.push({ value: null, label: null });
+
+    return { field: field.name, values };
+  }
+
+  /**
+   * GraphQL aggregates are used when the export lists the object's query and,
+   * if types were exported, its connection type has every requested field.
+   */
+  canAggregateWithGraphql(schema, metrics, filters) {
+    if (typeof filters === "string") {
+      return false;
+    }
+
+    const queries = this.schemaLoader.getOperations("query");
+    if (!queries.some(operation => operation.name === schema.namePlural)) {
+      return false;
+    }
+
+    const typeName = capitalize(schema.nameSingular);
+    const types = this.schemaLoader.loadGraphqlTypes();
+    if (!types) {
+      return true;
+    }
+
+    const connection = types.get(`${typeName}Connection`);
+    if (!connection || !types.has(`${typeName}FilterInput`)) {
+      return false;
+    }
+    const available = new Set((connection.fields || []).map(field => field.name));
+    return available.has("totalCount") && metrics.every(metric => available.has(metric.graphqlField));
+  }
+
+  /**
+   * One GraphQL request with an aliased aggregate query for the overall total
+   * and one per group.
+   */
+  async aggregateWithGraphql(schema, filters, metrics, group) {
+    const typeName = capitalize(schema.nameSingular);
+    const baseFilter = compileGraphqlFilter(filters, schema);
+    const selection = ["totalCount", ...metrics.map(metric => metric.graphqlField)].join(" ");
+
+    const scopes = [{ alias: "total", filter: baseFilter }];
+    group?.values.forEach((entry, index) => {
+      const condition = { [group.field]: entry.value === null ? { is: "NULL" } : { eq: entry.value } };
+      scopes.push({ alias: `group${index}`, filter: baseFilter ? { and: [baseFilter, condition] } : condition });
+    });
+
+    const variableDefinitions = scopes.map((_, index) => `$filter${index}: ${typeName}FilterInput`).join(", ");
+    const fields = scopes
+      .map((scope, index) => `  ${scope.alias}: ${schema.namePlural}(filter: $filter${index}) { ${selection} }`)
+      .join("\n");
+    const query = `query Aggregate${capitalize(schema.namePlural)}(${variableDefinitions}) {\n${fields}\n}`;
+    const variables = Object.fromEntries(scopes.map((scope, index) => [`filter${index}`, scope.filter || {}]));
+
+    const data = await this.runGraphql(query, variables, { description: "aggregate query", idempotent: true });
+    const summarize = result => {
+      const summary = { count: result?.totalCount ?? 0 };
+      for (const metric of metrics) {
+        summary[metric.operation] ??= {};
+        summary[metric.operation][metric.field] = this.formatAggregateValue(metric, result?.[metric.graphqlField]);
+      }
+      return summary;
+    };
+
+    const payload = { source: "graphql", ...summarize(data.total) };
+    if (group) {
+      payload.groupBy = group.field;
+      payload.groups = group.values.map((entry, index) => ({
+        ...entry,
+        ...summarize(data[`group${index}`])
+      }));
+    }
+    return payload;
+  }
+
+  /**
+   * Fallback without GraphQL aggregates: totalCount from a one-record page
+   * for plain counts, otherwise page through matching records and aggregate
+   * them here (up to the auto-pagination cap).
+   */
+  async aggregateWithRest(schema, filters, metrics, group) {
+    const query = new URLSearchParams();
+    const filter = compileFilter(filters, schema);
+    if (filter) {
+      query.set("filter", filter);
+    }
+
+    if (metrics.length === 0 && !group) {
+      const countQuery = new URLSearchParams(query);
+      countQuery.set("limit", "1");
+      const response = await this.makeRequest(`/rest/${schema.namePlural}?${countQuery}`);
+      const count = this.resolveTotalFromPagination(this.extractPagination(response));
+      if (typeof count === "number") {
+        return { source: "rest", count };
+      }
+    }
+
+    const { items, summary } = await this.listAllRecords(schema, query, { maxRecords: MAX_AUTO_PAGINATE_RECORDS });
+    const payload = { source: "rest", ...this.computeAggregates(items, metrics) };
+
+    if (group) {
+      payload.groupBy = group.field;
+      payload.groups = group.values.map(entry => ({
+        ...entry,
+        ...this.computeAggregates(items.filter(record => (record?.[group.field] ?? null) === entry.value), metrics)
+      }));
+    }
+    if (summary.hasNextPage) {
+      payload.truncated = true;
+      payload.note = `Only the first ${items.length} records were aggregated`;
+    }
+    return payload;
+  }
+
+  computeAggregates(records, metrics) {
+    const summary = { count: records.length };
+
+    for (const metric of metrics) {
+      const values = records
+        .map(record => (metric.currency ? record?.[metric.field]?.amountMicros : record?.[metric.field]))
+        .filter(value => value !== null && value !== undefined && value !== "");
+
+      let result = null;
+      if (values.length > 0) {
+        if (metric.operation === "sum" || metric.operation === "avg") {
+          const total = values.reduce((sum, value) => sum + Number(value), 0);
+          result = metric.operation === "sum" ? total : total / values.length;
+        } else {
+          const numeric = values.every(value => typeof value === "number" || !Number.isNaN(Number(value)));
+          const ordered = numeric ? values.map(Number) : values.map(String);
+          result = ordered.reduce((best, value) => (metric.operation === "min" ? (value < best ? value : best) : (value > best ? value : best)));
+        }
+      }
+
+      summary[metric.operation] ??= {};
+      summary[metric.operation][metric.field] = this.formatAggregateValue(metric, result);
+    }
+
+    return summary;
+  }
+
+  formatAggregateValue(metric, value) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+    return metric.currency ? Number(value) / 1000000 : value;
+  }
+
+  /**
+   * Compile the `filters` argument and an optional extra clause into one
+   * Twenty filter expression.
+   */
+  buildListFilter(schema, filters, extraClause = undefined) {
+    const clauses = [compileFilter(filters, schema), extraClause].filter(Boolean);
+
+    if (clauses.length <= 1) {
+      return clauses[0];
+    }
+    return `and(${clauses.join(",")})`;
+  }
+
+  /**
+   * Field filters belong under `filters`. Anything else at the top level of a
+   * list call is most likely a typo such as `limt`, so it is refused by name.
+   */
+  assertNoUnknownListArguments(schema, unknownArgs) {
+    const names = Object.keys(unknownArgs);
+    if (names.length === 0) {
+      return;
+    }
+
+    const toolName = `list_${schema.namePlural}`;
+    const fieldName = names.find(name => schema.properties?.[name]);
+    const hint = fieldName
+      ? `; filter on fields under "filters", e.g. {"filters": {"${fieldName}": ...}}`
+      : `; expected: ${Object.keys(this.tools.find(tool => tool.name === toolName)?.inputSchema.properties || {}).join(", ")}`;
+    throw new Error(`Unknown argument(s) for ${toolName}: ${names.join(", ")}${hint}`);
+  }
+
+  /**
+   * Twenty hides soft-deleted records unless the filter mentions deletedAt.
+   */
+  buildDeletedFilter({ withDeleted, onlyDeleted }) {
+    if (onlyDeleted) {
+      return "deletedAt[is]:NOT_NULL";
+    }
+    if (withDeleted) {
+      return "or(deletedAt[is]:NULL,deletedAt[is]:NOT_NULL)";
+    }
+    return undefined;
+  }
+
+  /**
+   * Restore or permanently destroy one record through Twenty's
+   * restore<Object> / destroy<Object> GraphQL mutations.
+   */
+  async runRecordMutation(schema, operation, id) {
+    const mutationName = `${operation}${capitalize(schema.nameSingular)}`;
+    const mutations = this.schemaLoader.getOperations("mutation");
+    if (mutations.length > 0 && !mutations.some(mutation => mutation.name === mutationName)) {
+      throw new Error(`This Twenty schema has no ${mutationName} mutation; ${operation} is not available for ${schema.namePlural}`);
+    }
+
+    const data = await this.runGraphql(
+      `mutation ${capitalize(mutationName)}($id: UUID!) {\n  ${mutationName}(id: $id) { id deletedAt }\n}`,
+      { id },
+      { description: `${mutationName} mutation` }
+    );
+    return data[mutationName] ?? null;
+  }
+
+  /**
+   * POST a GraphQL document and return `data`, turning GraphQL errors into an Error.
+   * @param {string} query
+   * @param {Object} [variables]
+   * @param {Object} [options]
+   * @param {string} [options.description] - Used in the error message
+   * @param {boolean} [options.idempotent] - Allow retries (read-only queries)
+   */
+  async runGraphql(query, variables = {}, { description = "request", idempotent } = {}) {
+    const response = await this.makeRequest("/graphql", "POST", { query, variables }, { idempotent });
+    if (response?.errors?.length) {
+      throw new Error(`GraphQL ${description} failed: ${response.errors.map(error => error.message).join("; ")}`);
+    }
+    return response?.data || {};
+  }
+
+  /**
+   * Look up a record by `matchField` and update it, or create it when nothing matches.
+   * Refuses to guess when more than one record matches.
+   */
+  async upsertRecord(schema, args) {
+    const labelSingular = schema.labelSingular || schema.nameSingular;
+    const { matchField, record } = args;
+
+    if (!record || typeof record !== "object" || Array.isArray(record)) {
+      throw new Error(`"record" must be an object with the ${labelSingular} fields`);
+    }
+
+    const matchPath = this.resolveUpsertMatchPath(schema, matchField);
+    const payload = this.sanitizePayload(record, schema);
+    const matchValue = matchPath.split(".").reduce((value, key) => value?.[key], payload);
+
+    if (matchValue === undefined || matchValue === null || matchValue === "") {
+      throw new Error(`"record" has no value for match field "${matchPath}"`);
+    }
+    if (typeof matchValue === "object") {
+      throw new Error(`Match field "${matchPath}" must hold a single value`);
+    }
+
+    const query = new URLSearchParams({
+      filter: `${matchPath}[eq]:${formatFilterValue(matchValue)}`,
+      limit: "2"
+    });
+    const existing = this.extractRecords(
+      await this.makeRequest(`/rest/${schema.namePlural}?${query}`)
+    ) || [];
+
+    if (existing.length > 1) {
+      const ids = existing.map(item => this.extractResourceId(item)).filter(Boolean);
+      throw new Error(
+        `More than one ${labelSingular} has ${matchPath} = ${JSON.stringify(matchValue)} (${ids.join(", ")}); use update_${schema.nameSingular} with an id instead`
+      );
+    }
+
+    if (existing.length === 1) {
+      const id = this.extractResourceId(existing[0]);
+      const updated = await this.makeRequest(`/rest/${schema.namePlural}/${id}`, "PUT", payload);
+      const result = { action: "updated", id, matchField: matchPath, record: updated };
+      return this.buildContent(
+        `Upserted ${labelSingular} (updated existing record ${id})`,
+        result,
+        { ...result, id: id ?? null, record: this.toStructuredRecord(updated) }
+      );
+    }
+
+    const created = await this.makeRequest(`/rest/${schema.namePlural}`, "POST", payload);
+    const id = this.extractResourceId(created);
+    const result = { action: "created", id, matchField: matchPath, record: created };
+    return this.buildContent(
+      `Upserted ${labelSingular} (created new record${id ? ` ${id}` : ""})`,
+      result,
+      { ...result, id: id ?? null, record: this.toStructuredRecord(created) }
+    );
+  }
+
+  /**
+   * Match-field suggestions for upsert tools: fields flagged unique in the
+   * metadata plus the primary subfield of LINKS, EMAILS and PHONES fields.
+   */
+  getUpsertMatchFields(schema) {
+    const suggestions = [];
+
+    for (const field of schema.fieldMetadata || []) {
+      if (field.isSystem || field.isActive === false) continue;
+
+      const compositeKey = PRIMARY_SUBFIELDS[field.type];
+      if (compositeKey) {
+        suggestions.push(`${field.name}.${compositeKey}`);
+      } else if (field.isUnique && field.name !== "id") {
+        suggestions.push(field.name);
+      }
+    }
+
+    return suggestions;
+  }
+
+  resolveUpsertMatchPath(schema, matchField) {
+    if (typeof matchField !== "string" || matchField.trim() === "") {
+      throw new Error('"matchField" is required');
+    }
+
+    const [fieldName, ...subPath] = matchField.trim().split(".");
+    const fieldMetadata = schema.fieldMetadata || [];
+    const field = fieldMetadata.find(entry => entry.name === fieldName);
+
+    if (!field) {
+      if (fieldMetadata.length === 0 && schema.properties && fieldName in schema.properties) {
+        return matchField.trim();
+      }
+      const suggestions = this.getUpsertMatchFields(schema);
+      throw new Error(
+        `Unknown match field "${fieldName}" for ${schema.namePlural}${suggestions.length ? `; try one of: ${suggestions.join(", ")}` : ""}`
+      );
+    }
+
+    if (field.type === "RELATION") {
+      throw new Error(`Cannot upsert on relation field "${fieldName}"`);
+    }
+
+    if (subPath.length > 0) {
+      return [fieldName, ...subPath].join(".");
+    }
+
+    if (PRIMARY_SUBFIELDS[field.type]) {
+      return `${fieldName}.${PRIMARY_SUBFIELDS[field.type]}`;
+    }
+
+    if (["FULL_NAME", "ADDRESS", "CURRENCY", "ACTOR"].includes(field.type)) {
+      throw new Error(`Match field "${fieldName}" is composite; name a subfield such as "${fieldName}.<subfield>"`);
+    }
+
+    return fieldName;
+  }
+
+  validateBatchRecords(records, labelPlural) {
+    if (!Array.isArray(records) || records.length === 0) {
+      throw new Error(`"records" must be a non-empty array of ${labelPlural}`);
+    }
+    if (records.length > MAX_BATCH_SIZE) {
+      throw new Error(`Too many records (${records.length}); send at most ${MAX_BATCH_SIZE} per call`);
+    }
+    return records;
+  }
+
+  /**
+   * Create records through Twenty's /rest/batch endpoint in chunks.
+   * If a chunk is rejected as a whole (validation error, or no batch endpoint
+   * on older Twenty versions), its records are created one by one so a single
+   * bad row does not fail the rest.
+   */
+  async batchCreate(schema, records) {
+    const results = new Array(records.length);
+    const pending = [];
+
+    records.forEach((record, index) => {
+      const payload = record && typeof record === "object" ? this.sanitizePayload(record, schema) : {};
+      if (Object.keys(payload).length === 0) {
+        results[index] = { index, status: "error", error: "No fields provided" };
+        return;
+      }
+      pending.push({ index, payload });
+    });
+
+    for (let offset = 0; offset < pending.length; offset += BATCH_CHUNK_SIZE) {
+      const chunk = pending.slice(offset, offset + BATCH_CHUNK_SIZE);
+
+      try {
+        const response = await this.makeRequest(
+          `/rest/batch/${schema.namePlural}`,
+          "POST",
+          chunk.map(item => item.payload)
+        );
+        const created = this.extractRecords(response);
+        chunk.forEach((item, position) => {
+          results[item.index] = {
+            index: item.index,
+            status: "created",
+            id: this.extractResourceId(created?.[position])
+          };
+        });
+        continue;
+      } catch (error) {
+        if (!this.shouldFallBackToSingleWrites(error)) {
+          chunk.forEach(item => {
+            results[item.index] = { index: item.index, status: "error", error: this.summarizeError(error) };
+          });
+          continue;
+        }
+      }
+
+      for (const item of chunk) {
+        try {
+          const created = await this.makeRequest(`/rest/${schema.namePlural}`, "POST", item.payload);
+          results[item.index] = { index: item.index, status: "created", id: this.extractResourceId(created) };
+        } catch (error) {
+          results[item.index] = { index: item.index, status: "error", error: this.summarizeError(error) };
+        }
+      }
+    }
+
+    return this.buildBatchReport(results);
+  }
+
+  /**
+   * Update records individually (Twenty has no per-record batch update), in
+   * parallel under the request limiter.
+   */
+  async batchUpdate(schema, records) {
+    const results = await Promise.all(records.map(async (record, index) => {
+      const id = record && typeof record === "object" ? record.id : undefined;
+      if (!id) {
+        return { index, status: "error", error: 'Missing "id"' };
+      }
+
+      const { id: _id, ...updateData } = record;
+      const payload = this.sanitizePayload(updateData, schema);
+      if (Object.keys(payload).length === 0) {
+        return { index, id, status: "error", error: "No fields to update" };
+      }
+
+      try {
+        await this.makeRequest(`/rest/${schema.namePlural}/${id}`, "PUT", payload);
+        return { index, id, status: "updated" };
+      } catch (error) {
+        return { index, id, status: "error", error: this.summarizeError(error) };
+      }
+    }));
+
+    return this.buildBatchReport(results);
+  }
+
+  shouldFallBackToSingleWrites(error) {
+    if (!(error instanceof HttpError)) {
+      return false;
+    }
+    return error.status >= 400 && error.status < 500 && ![401, 403, 429].includes(error.status);
+  }
+
+  buildBatchReport(results) {
+    const succeeded = results.filter(result => result.status !== "error").length;
+    return {
+      summary: {
+        total: results.length,
+        succeeded,
+        failed: results.length - succeeded
+      },
+      results
+    };
+  }
+
+  summarizeError(error) {
+    if (error instanceof HttpError) {
+      return {
+        status: error.status,
+        body: error.body
+      };
+    }
+    return error.message;
+  }
+
   resolveObject(objectName) {
     if (!objectName) {
       return null;
@@ -1254,7 +3185,12 @@ export class TwentyCRMServer {
     return Array.from(new Set(ids));
   }
 
-  buildContent(message, data) {
+  /**
+   * @param {string} [message]
+   * @param {unknown} [data] - Serialised into the text block
+   * @param {Object} [structuredContent] - Typed result for tools that declare an outputSchema
+   */
+  buildContent(message, data, structuredContent) {
     const segments = [];
     if (message) {
       segments.push(message);
@@ -1267,7 +3203,7 @@ export class TwentyCRMServer {
       }
     }
 
-    return {
+    const result = {
       content: [
         {
           type: "text",
@@ -1275,6 +3211,10 @@ export class TwentyCRMServer {
         }
       ]
     };
+    if (structuredContent !== undefined) {
+      result.structuredContent = structuredContent;
+    }
+    return result;
   }
 
   buildErrorContent(error) {
@@ -1285,21 +3225,30 @@ export class TwentyCRMServer {
         endpoint: error.endpoint,
         method: error.method,
         body: error.body,
-        headers: error.headers,
+        headers: Object.fromEntries(
+          Object.entries(error.headers || {}).filter(([name]) => REPORTED_ERROR_HEADERS.includes(name.toLowerCase()))
+        ),
+        attempts: error.attempts,
         hint: this.getErrorHint(error)
       };
 
+      if (Object.keys(payload.headers).length === 0) {
+        delete payload.headers;
+      }
       if (!payload.hint) {
         delete payload.hint;
       }
+      if (!payload.attempts || payload.attempts < 2) {
+        delete payload.attempts;
+      }
 
-      return this.buildContent(
-        `HTTP error ${error.status} on ${error.method} ${error.endpoint}`,
-        payload
-      );
+      return {
+        ...this.buildContent(`HTTP error ${error.status} on ${error.method} ${error.endpoint}`, payload),
+        isError: true
+      };
     }
 
-    return this.buildContent(`Error: ${error.message}`);
+    return { ...this.buildContent(`Error: ${error.message}`), isError: true };
   }
 
   getErrorHint(error) {
@@ -1316,7 +3265,7 @@ export class TwentyCRMServer {
       case 422:
         return "Validation failed; inspect body for field errors and adjust the payload.";
       case 429:
-        return "Rate limit hit; wait briefly before retrying.";
+        return "Rate limit hit and automatic retries exhausted; wait before retrying.";
       case 500:
       case 502:
       case 503:
@@ -1365,46 +3314,53 @@ export class TwentyCRMServer {
     const metadata = this.getLocalObjectMetadata(objectName);
 
     if (metadata) {
-      const fieldSummaries = metadata.fields.map(field => ({
-        name: field.name,
-        type: field.type,
-        label: field.label,
-        description: field.description,
-        isNullable: field.isNullable,
-        isCustom: field.isCustom,
-        isSystem: field.isSystem,
-        defaultValue: field.defaultValue
-      }));
+      return this.buildContent(
+        `Metadata for ${metadata.labelSingular || metadata.nameSingular}`,
+        this.buildObjectMetadataPayload(metadata)
+      );
+    }
 
-      const schema = this.resolveObject(metadata.namePlural)?.schema;
-      const payload = {
-        nameSingular: metadata.nameSingular,
-        namePlural: metadata.namePlural,
-        labelSingular: metadata.labelSingular,
-        labelPlural: metadata.labelPlural,
-        description: metadata.description,
-        required: schema?.required ?? [],
-        fields: fieldSummaries
-      };
+    const result = await this.makeRequest(`/rest/metadata/objects/${objectName}`);
+    return this.buildContent(`Metadata for ${objectName}`, result);
+  }
 
-      if (schema?.relationMetadata?.length) {
-        payload.relations = schema.relationMetadata.map((relation) => ({
-          name: relation.name,
-          alias: relation.alias,
-          relationType: relation.relationType,
-          targetNamePlural: relation.targetNamePlural,
-          targetNameSingular: relation.targetNameSingular,
-          targetLabelPlural: relation.targetLabelPlural,
-          targetLabelSingular: relation.targetLabelSingular,
-          targetDescription: relation.targetDescription
-        }));
-      }
+  buildObjectMetadataPayload(metadata) {
+    const fieldSummaries = metadata.fields.map(field => ({
+      name: field.name,
+      type: field.type,
+      label: field.label,
+      description: field.description,
+      isNullable: field.isNullable,
+      isCustom: field.isCustom,
+      isSystem: field.isSystem,
+      defaultValue: field.defaultValue
+    }));
+
+    const schema = this.resolveObject(metadata.namePlural)?.schema;
+    const payload = {
+      nameSingular: metadata.nameSingular,
+      namePlural: metadata.namePlural,
+      labelSingular: metadata.labelSingular,
+      labelPlural: metadata.labelPlural,
+      description: metadata.description,
+      required: schema?.required ?? [],
+      fields: fieldSummaries
+    };
 
-      return this.buildContent(`Metadata for ${metadata.labelSingular || metadata.nameSingular}`, payload);
+    if (schema?.relationMetadata?.length) {
+      payload.relations = schema.relationMetadata.map((relation) => ({
+        name: relation.name,
+        alias: relation.alias,
+        relationType: relation.relationType,
+        targetNamePlural: relation.targetNamePlural,
+        targetNameSingular: relation.targetNameSingular,
+        targetLabelPlural: relation.targetLabelPlural,
+        targetLabelSingular: relation.targetLabelSingular,
+        targetDescription: relation.targetDescription
+      }));
     }
 
-    const result = await this.makeRequest(`/rest/metadata/objects/${objectName}`);
-    return this.buildContent(`Metadata for ${objectName}`, result);
+    return payload;
   }
 
   async getLocalObjectSchema(objectName) {
@@ -1419,7 +3375,7 @@ export class TwentyCRMServer {
       if (generated) {
         const pluralKey = generated.namePlural.toLowerCase();
         const alreadyKnown = this.objectSchemas.has(pluralKey);
-        if (!alreadyKnown) {
+        if (!alreadyKnown && this.isObjectAllowed(generated.namePlural)) {
           this.registerObjectSchema(generated);
           this.tools = this.generateToolsFromSchema();
         }
@@ -1445,7 +3401,11 @@ export class TwentyCRMServer {
   }
 
   async getAvailableOperations(params = {}) {
-    const { type = "all", nameContains, limit } = params;
+    const { type = "all", nameContains, limit, detail = "summary", depth = DEFAULT_SELECTION_DEPTH } = params;
+    if (!OPERATION_DETAIL_LEVELS.includes(detail)) {
+      throw new Error(`"detail" must be one of: ${OPERATION_DETAIL_LEVELS.join(", ")}`);
+    }
+
     const allowedTypes = new Set(["all", "query", "mutation"]);
     const normalizedType = typeof type === "string" ? type.toLowerCase() : "all";
     const effectiveType = allowedTypes.has(normalizedType) ? normalizedType : "all";
@@ -1460,11 +3420,181 @@ export class TwentyCRMServer {
       return operation.name.toLowerCase().includes(nameContains.toLowerCase());
     });
 
-    const limited = typeof limit === "number" && limit > 0
-      ? filtered.slice(0, limit)
-      : filtered;
+    const effectiveLimit = typeof limit === "number" && limit > 0
+      ? limit
+      : detail === "summary" ? null : DEFAULT_DETAILED_OPERATIONS;
+    const limited = effectiveLimit ? filtered.slice(0, effectiveLimit) : filtered;
+
+    if (detail === "summary") {
+      return this.buildContent("Available operations", { operations: limited });
+    }
+
+    const getType = name => this.schemaLoader.getGraphqlType(name);
+    let missingDetails = false;
+    const described = limited.map(operation => {
+      const definition = this.schemaLoader.getOperation(operation.name, operation.type);
+      const args = describeArguments(definition);
+      if (!args) {
+        missingDetails = true;
+      }
+
+      const entry = { ...operation, arguments: args };
+      if (detail === "full") {
+        entry.returns = definition?.type ? describeReturnType(definition.type, getType, depth) : null;
+      }
+      return entry;
+    });
+
+    const payload = { operations: described };
+    if (limited.length < filtered.length) {
+      payload.total = filtered.length;
+      payload.note = `Showing ${limited.length} of ${filtered.length}; narrow with nameContains or raise limit`;
+    }
+    if (missingDetails) {
+      payload.note = [payload.note, 'The schema export has no argument or return types; run "npm run sync-schema" to refresh it']
+        .filter(Boolean)
+        .join(". ");
+    }
+
+    return this.buildContent("Available operations", payload);
+  }
+
+  /**
+   * Build a document for one exported operation and run it against /graphql.
+   */
+  async executeGraphqlOperation(params = {}) {
+    const { operation, type, variables = {}, depth = DEFAULT_SELECTION_DEPTH } = params;
+    if (!operation || typeof operation !== "string") {
+      throw new Error('"operation" is required');
+    }
+    if (type !== undefined && type !== "query" && type !== "mutation") {
+      throw new Error('"type" must be "query" or "mutation"');
+    }
+    if (!variables || typeof variables !== "object" || Array.isArray(variables)) {
+      throw new Error('"variables" must be an object');
+    }
+
+    const definition = this.schemaLoader.getOperation(operation, type || "all");
+    if (!definition) {
+      throw new Error(`Unknown GraphQL operation "${operation}"; see get_available_operations`);
+    }
+
+    const { operationType } = definition;
+    if (operationType === "mutation" && !this.isGraphqlMutationAllowed(operation)) {
+      throw new Error(`Mutation "${operation}" is not allowed; add it to TWENTY_GRAPHQL_ALLOWED_MUTATIONS to enable it`);
+    }
+
+    const built = buildOperationDocument({
+      operation: definition,
+      operationType,
+      variables,
+      depth,
+      getType: name => this.schemaLoader.getGraphqlType(name)
+    });
+
+    const data = await this.runGraphql(built.document, built.variables, {
+      description: `${operation} ${operationType}`,
+      idempotent: operationType === "query"
+    });
+
+    return this.buildContent(`Executed ${operationType} ${operation}`, {
+      data: data[operation] ?? null,
+      document: built.document
+    });
+  }
+
+  /**
+   * Whether an execute_graphql_operation call would run an allowlisted
+   * mutation. Mutations off the allowlist are refused without confirming.
+   */
+  isGraphqlMutationCall({ operation, type } = {}) {
+    if (typeof operation !== "string" || (type !== undefined && type !== "query" && type !== "mutation")) {
+      return false;
+    }
+    const definition = this.schemaLoader.getOperation(operation, type || "all");
+    return definition?.operationType === "mutation" && this.isGraphqlMutationAllowed(operation);
+  }
+
+  /**
+   * Entries are exact names, "*" for every mutation, or a prefix ending in "*".
+   */
+  isGraphqlMutationAllowed(name) {
+    return this.allowedGraphqlMutations.some(pattern => {
+      if (pattern.endsWith("*")) {
+        return name.startsWith(pattern.slice(0, -1));
+      }
+      return pattern === name;
+    });
+  }
+
+  /**
+   * Tool-policy operations and object behind a GraphQL operation, following
+   * Twenty's naming: `companies` / `company` / `companyDuplicates` read,
+   * `createCompany`, `deleteCompanies` and so on write. mergeX both updates
+   * and deletes. Operations on no workspace object (currentUser, metadata
+   * queries) map to null and are covered by the `graphql` rule alone.
+   * @param {string} name
+   * @param {'query'|'mutation'} operationType
+   * @returns {{ operations: string[], object: { namePlural: string, nameSingular: string } }|null}
+   */
+  getGraphqlOperationAccess(name, operationType) {
+    if (operationType === "query") {
+      const object = this.findGraphqlObject(name.replace(/Duplicates$/, ""));
+      if (!object) {
+        return null;
+      }
+      const isSingle = name === object.nameSingular;
+      return { operations: [isSingle ? "get" : "list"], object };
+    }
+
+    const match = name.match(GRAPHQL_MUTATION_PATTERN);
+    const object = match && this.findGraphqlObject(match[2]);
+    if (!object) {
+      return null;
+    }
+
+    const verb = match[1];
+    const isBulk = match[2].toLowerCase() === object.namePlural.toLowerCase();
+    if (verb === "merge") {
+      return { operations: ["update", "delete"], object };
+    }
+    if ((verb === "create" || verb === "update") && isBulk) {
+      return { operations: [`batch_${verb}`], object };
+    }
+    return { operations: [verb], object };
+  }
+
+  /**
+   * Object by GraphQL name, from the full metadata export so objects left out
+   * of the tool registry are still recognised, then from the registry itself.
+   */
+  findGraphqlObject(name) {
+    const object = this.schemaLoader.getObjectByName(name) || this.resolveObject(name)?.schema;
+    return object ? { namePlural: object.namePlural, nameSingular: object.nameSingular } : null;
+  }
+
+  /**
+   * Hold execute_graphql_operation to the object lists and tool policy that
+   * apply to the CRUD tools for the same object.
+   */
+  assertGraphqlOperationAllowed({ operation, type } = {}) {
+    if (typeof operation !== "string" || (type !== undefined && type !== "query" && type !== "mutation")) {
+      return;
+    }
+    const definition = this.schemaLoader.getOperation(operation, type || "all");
+    const access = definition && this.getGraphqlOperationAccess(operation, definition.operationType);
+    if (!access) {
+      return;
+    }
 
-    return this.buildContent("Available operations", { operations: limited });
+    const { namePlural, nameSingular } = access.object;
+    const subject = `GraphQL operation "${operation}"`;
+    if (!this.isObjectAllowed(namePlural)) {
+      throw new Error(`${subject} is not permitted: ${namePlural} is excluded by TWENTY_INCLUDE_OBJECTS / TWENTY_EXCLUDE_OBJECTS`);
+    }
+    for (const operationName of access.operations) {
+      this.assertOperationAllowed(operationName, [namePlural, nameSingular], subject);
+    }
   }
 
   async createNoteForPerson(params = {}) {
@@ -1606,6 +3736,12 @@ export class TwentyCRMServer {
         const nested = this.extractResourceId(response.record);
         if (nested) return nested;
       }
+
+      // Twenty wraps single records as { data: { createCompany: {...} } }
+      const values = Object.values(response);
+      if (values.length === 1 && values[0] && typeof values[0] === "object" && !Array.isArray(values[0])) {
+        return this.extractResourceId(values[0]);
+      }
     }
 
     return null;
@@ -1620,14 +3756,25 @@ export class TwentyCRMServer {
   }
 
   async searchRecords(params = {}) {
-    const { query, objectTypes, limit = 10 } = params;
-
-    if (!query) {
+    if (!params.query) {
       throw new Error("query is required");
     }
 
+    const results = await this.collectSearchResults(params);
+    return this.buildContent(`Search results for "${params.query}"`, results);
+  }
+
+  /**
+   * Run the search per object type; failures are reported per object.
+   * @returns {Promise<Object>} Results keyed by plural object name
+   */
+  async collectSearchResults(params = {}) {
+    const { query, objectTypes, limit = 10, fields, includeRaw } = params;
+
     const safeLimit = Number.isFinite(Number(limit)) ? Number(limit) : 10;
     const requests = this.normalizeSearchObjectTypes(objectTypes, safeLimit);
+    // Objects have different fields, so paths are not validated per object here
+    const selection = this.buildFieldSelection(fields);
 
     const results = {};
     const processed = new Set();
@@ -1647,22 +3794,24 @@ export class TwentyCRMServer {
       }
       processed.add(endpointName);
 
+      if (!this.isOperationAllowed("search", [schema.namePlural, schema.nameSingular])) {
+        results[endpointName] = { error: "Not permitted" };
+        continue;
+      }
+
       try {
         const endpoint = `/rest/${endpointName}?search=${encodeURIComponent(query)}&limit=${request.limit}`;
         const response = await this.makeRequest(endpoint);
         results[endpointName] = {
           limit: request.limit,
           weight: request.weight,
-          data: this.buildListPayload(response)
+          data: this.buildListPayload(response, { selection, includeRaw })
         };
       } catch (error) {
         results[endpointName] = {
           limit: request.limit,
           weight: request.weight,
-          error: error instanceof HttpError ? {
-            status: error.status,
-            body: error.body
-          } : error.message
+          error: this.summarizeError(error)
         };
       }
     }
@@ -1671,7 +3820,7 @@ export class TwentyCRMServer {
       results._error = "No supported object types available for search";
     }
 
-    return this.buildContent(`Search results for "${query}"`, results);
+    return results;
   }
 
   normalizeSearchObjectTypes(objectTypes, defaultLimit) {
@@ -1731,9 +3880,20 @@ export class TwentyCRMServer {
     });
   }
 
-  buildListPayload(response) {
-    const items = this.extractRecords(response);
+  /**
+   * @param {unknown} response - Twenty list response
+   * @param {Object} [options]
+   * @param {Object|null} [options.selection] - Projection from buildFieldSelection()
+   * @param {boolean} [options.includeRaw] - Defaults to true without a selection
+   * @param {Function} [options.expand] - Applied to each record before projection
+   */
+  buildListPayload(response, { selection = null, includeRaw, expand } = {}) {
+    const records = this.extractRecords(response);
+    const items = (selection || expand) && records
+      ? records.map(record => this.projectRecord(expand ? expand(record) : record, selection))
+      : records;
     const pagination = this.extractPagination(response);
+    const keepRaw = includeRaw ?? !selection;
 
     const payload = {};
 
@@ -1746,24 +3906,263 @@ export class TwentyCRMServer {
 
     if (pagination) {
       payload.pagination = pagination;
+      const hasNextPage = this.resolveHasNextFromPagination(pagination);
       payload.summary = {
         ...(payload.summary || {}),
         total: this.resolveTotalFromPagination(pagination),
-        hasNextPage: this.resolveHasNextFromPagination(pagination)
+        hasNextPage
       };
+
+      const nextCursor = this.resolveNextCursor(pagination);
+      if (nextCursor && hasNextPage !== false) {
+        payload.summary.nextCursor = nextCursor;
+      }
+      const previousCursor = this.resolvePreviousCursor(pagination);
+      if (previousCursor && pagination.hasPreviousPage !== false) {
+        payload.summary.previousCursor = previousCursor;
+      }
     }
 
     if (!payload.items && typeof response === "object" && response !== null) {
       payload.raw = response;
     } else if (!payload.items) {
       return response;
-    } else {
+    } else if (keepRaw) {
       payload.raw = response;
     }
 
     return payload;
   }
 
+  /**
+   * Turn a `fields` argument into a projection tree:
+   * ["name.firstName", "emails"] -> { id: true, name: { firstName: true }, emails: true }
+   * Paths are checked against the schema's fields when one is given.
+   */
+  buildFieldSelection(fields, schema = null) {
+    if (fields === undefined || fields === null) {
+      return null;
+    }
+    if (!Array.isArray(fields) || fields.some(field => typeof field !== "string" || field.trim() === "")) {
+      throw new Error('"fields" must be an array of field names');
+    }
+    if (fields.length === 0) {
+      return null;
+    }
+
+    const selection = { id: true };
+
+    for (const entry of fields) {
+      const path = entry.trim().split(".");
+      if (schema) {
+        this.validateFieldPath(path, schema);
+      }
+
+      let node = selection;
+      for (let index = 0; index < path.length; index++) {
+        const segment = path[index];
+        if (index === path.length - 1) {
+          node[segment] = true;
+        } else if (node[segment] === true) {
+          // The whole field is already selected
+          break;
+        } else {
+          node[segment] = node[segment] || {};
+          node = node[segment];
+        }
+      }
+    }
+
+    return selection;
+  }
+
+  validateFieldPath(path, schema) {
+    const fieldMetadata = schema.fieldMetadata || [];
+    if (fieldMetadata.length === 0) {
+      return;
+    }
+
+    const [name, ...subPath] = path;
+    if (name === "id") {
+      return;
+    }
+
+    const field = fieldMetadata.find(entry => entry.name === name);
+    if (!field && !(name in (schema.properties || {}))) {
+      throw new Error(`Unknown field "${name}" on ${schema.namePlural}`);
+    }
+    if (!field || subPath.length === 0 || field.type === "RELATION") {
+      return;
+    }
+
+    const subfields = COMPOSITE_SUBFIELDS[field.type];
+    if (!subfields) {
+      throw new Error(`Field "${name}" has no subfields`);
+    }
+    if (!subfields.includes(subPath[0])) {
+      throw new Error(`Unknown subfield "${subPath[0]}" for "${name}"; use one of: ${subfields.join(", ")}`);
+    }
+  }
+
+  /**
+   * Read include/depth/relationLimit arguments into an expansion plan, or null
+   * when no relations were requested.
+   */
+  buildRelationExpansion({ include, depth, relationLimit } = {}, schema) {
+    if ((include === undefined || include === null) && (depth === undefined || depth === null)) {
+      return null;
+    }
+
+    let included = null;
+    if (include !== undefined && include !== null) {
+      if (!Array.isArray(include) || include.some(name => typeof name !== "string")) {
+        throw new Error('"include" must be an array of relation names');
+      }
+
+      const relations = schema.relationMetadata || [];
+      included = new Set();
+      for (const name of include) {
+        const relation = relations.find(entry => entry.name === name || entry.alias === name);
+        if (!relation) {
+          const available = relations.map(entry => entry.name);
+          throw new Error(
+            `Unknown relation "${name}" on ${schema.namePlural}${available.length ? `; available: ${available.join(", ")}` : ""}`
+          );
+        }
+        if (!this.isRelationReadable(relation)) {
+          throw new Error(`Including "${name}" is not permitted: reading ${relation.targetNamePlural} is not allowed`);
+        }
+        included.add(relation.name);
+      }
+    }
+
+    const resolvedDepth = depth === undefined || depth === null ? 1 : Number(depth);
+    if (!Number.isInteger(resolvedDepth) || resolvedDepth < 0 || resolvedDepth > MAX_RELATION_DEPTH) {
+      throw new Error(`"depth" must be an integer from 0 to ${MAX_RELATION_DEPTH}`);
+    }
+    // Twenty resolves no relations at depth 0, so there would be nothing to include
+    if (resolvedDepth === 0 && included?.size > 0) {
+      throw new Error('"include" needs a "depth" of at least 1');
+    }
+
+    const limit = Number(relationLimit ?? DEFAULT_RELATION_LIMIT);
+    if (!Number.isFinite(limit) || limit < 0) {
+      throw new Error('"relationLimit" must be a non-negative number');
+    }
+
+    return {
+      depth: resolvedDepth,
+      include: included,
+      limit: Math.min(Math.floor(limit), MAX_RELATION_LIMIT)
+    };
+  }
+
+  withIncludedRelations(selection, expansion) {
+    if (!selection || !expansion) {
+      return selection;
+    }
+
+    const merged = { ...selection, _truncatedRelations: true };
+    for (const name of expansion.include || []) {
+      merged[name] ??= true;
+    }
+    return merged;
+  }
+
+  getRelationTargetNames(relation) {
+    return [relation.targetNamePlural, relation.targetNameSingular].filter(Boolean);
+  }
+
+  /**
+   * Whether the caller may read the records a relation points at: the same
+   * object lists and `get` rule as the target's own get_* tool.
+   */
+  isRelationReadable(relation) {
+    return this.isObjectAllowed(relation.targetNamePlural || "")
+      && this.isOperationAllowed("get", this.getRelationTargetNames(relation));
+  }
+
+  /**
+   * Drop relations that were not asked for or that point at objects the caller
+   * may not read, and cap one-to-many lists, at every level Twenty resolved.
+   * Capped lists are named in `_truncatedRelations`.
+   */
+  expandRelations(record, expansion, schema) {
+    if (!expansion || !record || typeof record !== "object" || Array.isArray(record)) {
+      return record;
+    }
+
+    const relations = new Map((schema?.relationMetadata || []).map(relation => [relation.name, relation]));
+    const expanded = {};
+    const truncated = [];
+
+    for (const [key, value] of Object.entries(record)) {
+      const relation = relations.get(key);
+      if (relation && ((expansion.include && !expansion.include.has(key)) || !this.isRelationReadable(relation))) {
+        continue;
+      }
+
+      // Nested records are checked against their own object's relations
+      const nestedSchema = relation ? this.resolveObject(relation.targetNamePlural)?.schema ?? null : null;
+      const list = Array.isArray(value) ? value : (Array.isArray(value?.edges) ? value.edges.map(edge => edge?.node ?? edge) : null);
+      if (list && list.some(item => item && typeof item === "object")) {
+        if (list.length > expansion.limit) {
+          truncated.push(key);
+        }
+        expanded[key] = list
+          .slice(0, expansion.limit)
+          .map(item => this.expandRelations(item, { ...expansion, include: null }, nestedSchema));
+      } else if (value && typeof value === "object" && !Array.isArray(value) && "id" in value) {
+        expanded[key] = this.expandRelations(value, { ...expansion, include: null }, nestedSchema);
+      } else {
+        expanded[key] = value;
+      }
+    }
+
+    if (truncated.length > 0) {
+      expanded._truncatedRelations = truncated;
+    }
+    return expanded;
+  }
+
+  projectRecord(record, selection) {
+    if (!selection) {
+      return record;
+    }
+    if (Array.isArray(record)) {
+      return record.map(item => this.projectRecord(item, selection));
+    }
+    if (!record || typeof record !== "object") {
+      return record;
+    }
+
+    const projected = {};
+    for (const [key, nested] of Object.entries(selection)) {
+      if (!(key in record)) continue;
+      projected[key] = nested === true ? record[key] : this.projectRecord(record[key], nested);
+    }
+    return projected;
+  }
+
+  /**
+   * Unwrap a single-record response ({ data: { company: {...} } }) to the record itself.
+   */
+  extractSingleRecord(response) {
+    const data = response?.data;
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+      return response;
+    }
+    if ("id" in data) {
+      return data;
+    }
+
+    const values = Object.values(data);
+    if (values.length === 1 && values[0] && typeof values[0] === "object" && !Array.isArray(values[0])) {
+      return values[0];
+    }
+    return response;
+  }
+
   extractRecords(response) {
     if (Array.isArray(response)) {
       return response;
@@ -1781,6 +4180,11 @@ export class TwentyCRMServer {
       if (Array.isArray(response.records)) {
         return response.records;
       }
+
+      // Twenty wraps lists as { data: { companies: [...] } } and batch results as { data: { createPeople: [...] } }
+      if (response.data && typeof response.data === "object") {
+        return Object.values(response.data).find(Array.isArray);
+      }
     }
 
     return undefined;
@@ -1792,7 +4196,10 @@ export class TwentyCRMServer {
     }
 
     if (response.pageInfo && typeof response.pageInfo === "object") {
-      return response.pageInfo;
+      // Twenty reports totalCount next to pageInfo rather than inside it
+      return typeof response.totalCount === "number" && !("totalCount" in response.pageInfo)
+        ? { ...response.pageInfo, totalCount: response.totalCount }
+        : response.pageInfo;
     }
 
     if (response.meta && typeof response.meta === "object") {
@@ -1848,6 +4255,26 @@ export class TwentyCRMServer {
     return undefined;
   }
 
+  resolveNextCursor(pagination) {
+    return pagination?.endCursor || pagination?.nextCursor || undefined;
+  }
+
+  resolvePreviousCursor(pagination) {
+    return pagination?.startCursor || pagination?.prevCursor || undefined;
+  }
+
+  /**
+   * Liveness for the public /health; `detailed` adds the rate limiter's queue
+   * and configuration, which are only served to authenticated callers.
+   */
+  getHealthStatus({ detailed = false } = {}) {
+    const status = {
+      status: "ok",
+      mode: this.oauthMode ? "oauth" : "stdio"
+    };
+    return detailed ? { ...status, requestQueue: this.rateLimiters.stats() } : status;
+  }
+
   async run() {
     const transport = new StdioServerTransport();
     await this.server.connect(transport);
@@ -1864,11 +4291,16 @@ export class TwentyCRMServer {
 
     // Create OAuth provider
     const oauthProvider = new TwentyCRMOAuthProvider({
-      twentyBaseUrl: this.baseUrl
+      twentyBaseUrl: this.baseUrl,
+      scopes: [...this.scopePolicies].map(([name, policy]) => ({ name, description: policy.description }))
     });
 
     // Periodic cleanup of expired tokens
-    setInterval(() => oauthProvider.cleanup(), 60000);
+    setInterval(() => {
+      oauthProvider.cleanup().catch(error => {
+        console.error("OAuth cleanup failed:", error.message);
+      });
+    }, 60000);
 
     const app = express();
 
@@ -1890,7 +4322,7 @@ export class TwentyCRMServer {
 
     // Health check endpoint (public, no auth required)
     app.get("/health", (req, res) => {
-      res.json({ status: "ok", mode: "oauth" });
+      res.json(this.getHealthStatus());
     });
 
     // Custom authorization submit handler (before mcpAuthRouter)
@@ -1908,7 +4340,7 @@ export class TwentyCRMServer {
       provider: oauthProvider,
       issuerUrl,
       baseUrl: issuerUrl,
-      scopesSupported: ["mcp:tools"],
+      scopesSupported: oauthProvider.supportedScopes.map(scope => scope.name),
       resourceName: "Twenty CRM MCP Server"
     }));
 
@@ -1927,9 +4359,20 @@ export class TwentyCRMServer {
       // First, try OAuth token verification
       try {
         const authInfo = await oauthProvider.verifyAccessToken(token);
-        req.auth = authInfo;
-        req.twentyApiKey = authInfo.extra?.twentyApiKey;
-        return next();
+        const twentyApiKey = await oauthProvider.getApiKeyForToken(token);
+        if (twentyApiKey) {
+          req.auth = {
+            ...authInfo,
+            extra: { ...authInfo.extra, twentyApiKey, authType: "oauth" }
+          };
+          req.twentyApiKey = twentyApiKey;
+          return next();
+        }
+
+        return res.status(401).json({
+          error: "invalid_token",
+          error_description: "Stored credentials are unavailable; please re-authorize"
+        });
       } catch (oauthError) {
         // OAuth verification failed, try as direct Twenty API key
       }
@@ -1938,6 +4381,13 @@ export class TwentyCRMServer {
       try {
         const isValid = await oauthProvider.validateTwentyApiKey(token);
         if (isValid) {
+          // Shape it like OAuth auth info so the SDK forwards it to tool handlers
+          req.auth = {
+            token,
+            clientId: "api-key",
+            scopes: [],
+            extra: { twentyApiKey: token, authType: "api_key" }
+          };
           req.twentyApiKey = token;
           return next();
         }
@@ -1951,6 +4401,11 @@ export class TwentyCRMServer {
       });
     };
 
+    // Queue depth and limiter settings (protected)
+    app.get("/health/details", flexibleBearerAuth, (req, res) => {
+      res.json(this.getHealthStatus({ detailed: true }));
+    });
+
     // Session storage for SSE transports (each session gets its own MCP server)
     const sessions = new Map();
 
@@ -1965,7 +4420,7 @@ export class TwentyCRMServer {
 
         // Create a new MCP server for this connection
         const mcpServer = this.createMCPServer();
-        this.setupToolHandlers(mcpServer);
+        this.setupHandlers(mcpServer);
 
         const transport = new SSEServerTransport("/messages", res);
 
@@ -1984,9 +4439,6 @@ export class TwentyCRMServer {
           sessions.delete(transport.sessionId);
         });
 
-        // Set API key for this session
-        this.setRequestApiKey(twentyApiKey);
-
         await mcpServer.connect(transport);
       } catch (error) {
         console.error("SSE connection error:", error);
@@ -2005,8 +4457,11 @@ export class TwentyCRMServer {
         return res.status(400).json({ error: "Invalid session" });
       }
 
-      // Set the API key for this request
-      this.setRequestApiKey(session.twentyApiKey);
+      // Tool calls run with this request's credentials; refuse to let another
+      // user drive someone else's session
+      if (req.twentyApiKey !== session.twentyApiKey) {
+        return res.status(403).json({ error: "Session belongs to a different credential" });
+      }
 
       try {
         await session.transport.handlePostMessage(req, res);
@@ -2033,10 +4488,14 @@ export class TwentyCRMServer {
         const sessionId = req.headers['mcp-session-id'];
         let session = sessionId ? streamSessions.get(sessionId) : null;
 
+        if (session && session.twentyApiKey !== twentyApiKey) {
+          return res.status(403).json({ error: "Session belongs to a different credential" });
+        }
+
         if (!session) {
           // Create new session with its own MCP server
           const mcpServer = this.createMCPServer();
-          this.setupToolHandlers(mcpServer);
+          this.setupHandlers(mcpServer);
 
           const transport = new StreamableHTTPServerTransport({
             sessionIdGenerator: () => randomUUID(),
@@ -2059,9 +4518,6 @@ export class TwentyCRMServer {
           };
         }
 
-        // Set API key for this request
-        this.setRequestApiKey(session.twentyApiKey);
-
         // Handle the request
         await session.transport.handleRequest(req, res, req.body);
 
@@ -2101,12 +4557,17 @@ export class TwentyCRMServer {
       console.error("  - /sse (SSE connection, protected)");
       console.error("  - /messages (POST messages, protected)");
       console.error("  - /health (health check, public)");
+      console.error("  - /health/details (request queue, protected)");
     });
   }
 }
 
 function parseCliOptions(argv) {
-  const options = { quiet: false };
+  const options = {
+    quiet: false,
+    syncSchemaOnStart: ['1', 'true', 'yes'].includes(process.env.SCHEMA_SYNC_ON_START?.toLowerCase()),
+    schemaSyncInterval: Number(process.env.SCHEMA_SYNC_INTERVAL) || 0
+  };
 
   const envLevel = process.env.MCP_LOG_LEVEL?.toLowerCase();
   if (envLevel === 'silent' || envLevel === 'quiet') {
@@ -2120,6 +4581,26 @@ function parseCliOptions(argv) {
       options.quiet = true;
     } else if (arg === '--verbose' || arg === '-v') {
       options.quiet = false;
+    } else if (arg === '--sync-schema') {
+      options.syncSchemaOnStart = true;
+    } else if (arg.startsWith('--schema-sync-interval=')) {
+      options.schemaSyncInterval = Number(arg.split('=')[1]) || 0;
+    } else if (arg.startsWith('--include-objects=')) {
+      options.includeObjects = parseListValue(arg.slice('--include-objects='.length));
+    } else if (arg.startsWith('--exclude-objects=')) {
+      options.excludeObjects = parseListValue(arg.slice('--exclude-objects='.length));
+    } else if (arg === '--read-only') {
+      options.readOnly = true;
+    } else if (arg.startsWith('--allow-operations=')) {
+      options.allowOperations = parseListValue(arg.slice('--allow-operations='.length));
+    } else if (arg.startsWith('--deny-operations=')) {
+      options.denyOperations = parseListValue(arg.slice('--deny-operations='.length));
+    } else if (arg.startsWith('--confirm-operations=')) {
+      options.confirmOperations = parseListValue(arg.slice('--confirm-operations='.length));
+    } else if (arg.startsWith('--skip-confirmation=')) {
+      options.skipConfirmation = parseListValue(arg.slice('--skip-confirmation='.length));
+    } else if (arg.startsWith('--allow-graphql-mutations=')) {
+      options.allowedGraphqlMutations = parseListValue(arg.slice('--allow-graphql-mutations='.length));
     } else if (arg.startsWith('--log-level=')) {
       const level = arg.split('=')[1]?.toLowerCase();
       if (level === 'silent' || level === 'quiet') {
@@ -2141,9 +4622,45 @@ const isCliEntrypoint = (() => {
   }
 })();
 
-if (isCliEntrypoint) {
+function syncSchemaFromEnv() {
+  return syncSchema({
+    baseUrl: process.env.TWENTY_BASE_URL || "https://api.twenty.com",
+    apiKey: process.env.TWENTY_API_KEY,
+    schemaPath: resolveSyncSchemaPath()
+  });
+}
+
+async function runSchemaSyncCommand() {
+  try {
+    const result = await syncSchemaFromEnv();
+    console.error(
+      `Schema synced to ${result.schemaPath}: ${result.objects} objects, ` +
+      `${result.queries} queries, ${result.mutations} mutations, ${result.types} types`
+    );
+  } catch (error) {
+    console.error("Schema sync failed:", error.message);
+    process.exitCode = 1;
+  }
+}
+
+async function syncSchemaOnStart() {
+  try {
+    const result = await syncSchemaFromEnv();
+    console.error(`Schema synced from Twenty (${result.objects} objects)`);
+  } catch (error) {
+    console.error("Startup schema sync failed; using existing export:", error.message);
+  }
+}
+
+if (isCliEntrypoint && process.argv[2] === "sync-schema") {
+  await runSchemaSyncCommand();
+} else if (isCliEntrypoint) {
   const cliOptions = parseCliOptions(process.argv.slice(2));
 
+  if (cliOptions.syncSchemaOnStart) {
+    await syncSchemaOnStart();
+  }
+
   // Use HTTP mode if PORT env var is set (Railway sets this automatically)
   // or if --http flag is passed
   const useHttp = process.env.PORT || process.argv.includes("--http");
@@ -2154,6 +4671,9 @@ if (isCliEntrypoint) {
   }
 
   const server = new TwentyCRMServer(cliOptions);
+  if (cliOptions.schemaSyncInterval > 0 && server.apiKey) {
+    server.startSchemaSync(cliOptions.schemaSyncInterval);
+  }
 
   if (useHttp) {
     const port = parseInt(process.env.PORT || "3000", 10);
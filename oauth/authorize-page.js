@@ -6,25 +6,30 @@
 /**
  * Generates the authorization page HTML where users enter their API key.
  * @param {Object} options
+ * @param {string} options.requestId - Pending authorization request the form completes
  * @param {string} options.clientName - Name of the OAuth client requesting access
- * @param {string[]} options.scopes - Requested scopes
- * @param {string} options.state - OAuth state parameter
- * @param {string} options.redirectUri - Where to redirect after authorization
- * @param {string} options.codeChallenge - PKCE code challenge
+ * @param {Array<{ name: string, description?: string, granted: boolean }>} options.scopes - Requested scopes, ticked when granted
+ * @param {string} options.state - OAuth state parameter, for the Deny button
+ * @param {string} options.redirectUri - Where the Deny button sends the user
  * @param {string} [options.error] - Optional error message to display
  * @returns {string} HTML page content
  */
 export function generateAuthorizePage({
+  requestId,
   clientName,
   scopes,
   state,
   redirectUri,
-  codeChallenge,
   error
 }) {
-  const scopeList = scopes && scopes.length > 0
-    ? scopes.map(s => `<li>${escapeHtml(s)}</li>`).join('')
-    : '<li>mcp:tools (default)</li>';
+  const scopeList = (scopes || []).map(scope => `
+        <li>
+          <label>
+            <input type="checkbox" name="scope" value="${escapeHtml(scope.name)}"${scope.granted ? ' checked' : ''}>
+            <span class="scope-name">${escapeHtml(scope.name)}</span>
+            <span class="scope-description">${escapeHtml(scope.description || '')}</span>
+          </label>
+        </li>`).join('');
 
   const errorHtml = error
     ? `<div class="error">${escapeHtml(error)}</div>`
@@ -102,13 +107,33 @@ export function generateAuthorizePage({
     }
     .scopes li {
       background: #e8f4fd;
-      color: #1a73e8;
       padding: 8px 12px;
       border-radius: 6px;
       font-size: 14px;
       margin-bottom: 6px;
-      display: inline-block;
-      margin-right: 6px;
+    }
+    .scopes label {
+      display: grid;
+      grid-template-columns: auto 1fr;
+      column-gap: 10px;
+      cursor: pointer;
+    }
+    .scopes input {
+      grid-row: span 2;
+      margin-top: 3px;
+    }
+    .scopes .scope-name {
+      color: #1a73e8;
+      font-weight: 500;
+    }
+    .scopes .scope-description {
+      color: #555;
+      font-size: 13px;
+    }
+    .scopes .hint {
+      font-size: 12px;
+      color: #666;
+      margin-top: 6px;
     }
     .form-group {
       margin-bottom: 20px;
@@ -202,17 +227,18 @@ export function generateAuthorizePage({
       <div class="name">${escapeHtml(clientName || 'Unknown Application')}</div>
     </div>
 
-    <div class="scopes">
-      <h3>Requested permissions</h3>
-      <ul>${scopeList}</ul>
-    </div>
-
     ${errorHtml}
 
     <form method="POST" action="/authorize/submit">
+      <div class="scopes">
+        <h3>Requested permissions</h3>
+        <ul>${scopeList}</ul>
+        <div class="hint">Untick anything this application should not be able to do.</div>
+      </div>
+
+      <input type="hidden" name="request_id" value="${escapeHtml(requestId || '')}">
       <input type="hidden" name="state" value="${escapeHtml(state || '')}">
       <input type="hidden" name="redirect_uri" value="${escapeHtml(redirectUri || '')}">
-      <input type="hidden" name="code_challenge" value="${escapeHtml(codeChallenge || '')}">
 
       <div class="form-group">
         <label for="api_key">Your Twenty CRM API Key</label>
@@ -0,0 +1,153 @@
+import crypto from 'crypto';
+
+/**
+ * Symmetric encryption helpers for OAuth data at rest (AES-256-GCM).
+ */
+
+const ALGORITHM = 'aes-256-gcm';
+const KEY_SALT = 'twenty-crm-mcp-oauth';
+
+/**
+ * Derive a 32-byte key from a secret.
+ * A 64-char hex string is used as the raw key; any other value is treated as
+ * a passphrase and stretched with scrypt.
+ * @param {string|Buffer} secret
+ * @returns {Buffer}
+ */
+export function deriveKey(secret) {
+  if (Buffer.isBuffer(secret)) {
+    if (secret.length === 32) return secret;
+    return crypto.scryptSync(secret, KEY_SALT, 32);
+  }
+
+  if (typeof secret !== 'string' || secret.length === 0) {
+    throw new Error('Encryption secret must be a non-empty string');
+  }
+
+  if (/^[0-9a-f]{64}$/i.test(secret)) {
+    return Buffer.from(secret, 'hex');
+  }
+
+  return crypto.scryptSync(secret, KEY_SALT, 32);
+}
+
+/**
+ * Encrypt a UTF-8 string.
+ * @param {string} plaintext
+ * @param {Buffer} key - 32-byte key from deriveKey()
+ * @returns {{ iv: string, tag: string, data: string }} base64 fields
+ */
+export function encrypt(plaintext, key) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+  return {
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64')
+  };
+}
+
+/**
+ * Decrypt a payload produced by encrypt().
+ * @param {{ iv: string, tag: string, data: string }} payload
+ * @param {Buffer} key
+ * @returns {string}
+ */
+export function decrypt(payload, key) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(payload.iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(payload.tag, 'base64'));
+  return Buffer.concat([
+    decipher.update(Buffer.from(payload.data, 'base64')),
+    decipher.final()
+  ]).toString('utf8');
+}
+
+/**
+ * Set of named encryption keys. New data is encrypted with the active key;
+ * older payloads stay readable as long as their key ID is still configured,
+ * which allows rotating keys without invalidating stored tokens.
+ */
+export class KeyRing {
+  /**
+   * @param {Object} options
+   * @param {Object<string, string|Buffer>} options.keys - keyId -> secret
+   * @param {string} [options.activeKeyId] - Key used for new encryptions (defaults to the first key)
+   */
+  constructor({ keys, activeKeyId }) {
+    const entries = Object.entries(keys || {});
+    if (entries.length === 0) {
+      throw new Error('KeyRing requires at least one key');
+    }
+
+    this.keys = new Map(entries.map(([keyId, secret]) => [keyId, deriveKey(secret)]));
+    this.activeKeyId = activeKeyId || entries[0][0];
+
+    if (!this.keys.has(this.activeKeyId)) {
+      throw new Error(`Active encryption key "${this.activeKeyId}" is not configured`);
+    }
+  }
+
+  /**
+   * Build a key ring from the environment.
+   *   OAUTH_ENCRYPTION_KEYS    comma-separated keyId:secret pairs (e.g. "k2:...,k1:...")
+   *   OAUTH_ENCRYPTION_KEY     single secret, stored under key ID "default"
+   *   OAUTH_ENCRYPTION_KEY_ID  active key ID (defaults to the first listed)
+   * @returns {KeyRing|null} null when no key is configured
+   */
+  static fromEnv(env = process.env) {
+    const keys = {};
+
+    if (env.OAUTH_ENCRYPTION_KEYS) {
+      env.OAUTH_ENCRYPTION_KEYS.split(',').forEach(pair => {
+        const separator = pair.indexOf(':');
+        if (separator <= 0) return;
+        const keyId = pair.slice(0, separator).trim();
+        const secret = pair.slice(separator + 1).trim();
+        if (keyId && secret) {
+          keys[keyId] = secret;
+        }
+      });
+    }
+
+    if (env.OAUTH_ENCRYPTION_KEY && !keys.default) {
+      keys.default = env.OAUTH_ENCRYPTION_KEY;
+    }
+
+    if (Object.keys(keys).length === 0) {
+      return null;
+    }
+
+    return new KeyRing({ keys, activeKeyId: env.OAUTH_ENCRYPTION_KEY_ID });
+  }
+
+  /**
+   * @param {string} plaintext
+   * @returns {{ kid: string, iv: string, tag: string, data: string }}
+   */
+  encrypt(plaintext) {
+    return { kid: this.activeKeyId, ...encrypt(plaintext, this.keys.get(this.activeKeyId)) };
+  }
+
+  /**
+   * @param {{ kid: string, iv: string, tag: string, data: string }} payload
+   * @returns {string}
+   */
+  decrypt(payload) {
+    const key = this.keys.get(payload?.kid);
+    if (!key) {
+      throw new Error(`Encryption key "${payload?.kid}" is not configured`);
+    }
+    return decrypt(payload, key);
+  }
+
+  /**
+   * Whether a payload was encrypted with a key other than the active one.
+   * @param {{ kid: string }} payload
+   * @returns {boolean}
+   */
+  needsRotation(payload) {
+    return payload?.kid !== this.activeKeyId;
+  }
+}
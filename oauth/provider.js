@@ -1,5 +1,12 @@
 import crypto from 'crypto';
+import { InvalidScopeError } from '@modelcontextprotocol/sdk/server/auth/errors.js';
 import { generateAuthorizePage } from './authorize-page.js';
+import { createOAuthStore, MemoryOAuthStore } from './store.js';
+import { KeyRing } from './crypto.js';
+import { DEFAULT_SCOPE_POLICIES } from '../tool-policy.js';
+
+// Scope issued before the CRM scopes existed; requesting it asks for all of them
+export const LEGACY_SCOPE = 'mcp:tools';
 
 /**
  * OAuth 2.0 provider for Twenty CRM MCP Server.
@@ -12,15 +19,32 @@ export class TwentyCRMOAuthProvider {
   constructor(options = {}) {
     this.twentyBaseUrl = options.twentyBaseUrl || process.env.TWENTY_BASE_URL || 'https://api.twenty.com';
 
-    // In-memory stores (consider Redis for production multi-instance deployments)
-    this._clients = new Map();          // clientId -> OAuthClientInformationFull
-    this._codes = new Map();            // authCode -> { client, params, twentyApiKey, expiresAt }
-    this._tokens = new Map();           // accessToken -> { clientId, scopes, expiresAt, twentyApiKey }
-    this._refreshTokens = new Map();    // refreshToken -> { clientId, scopes, twentyApiKey }
+    // Scopes users can grant: [{ name, description }]; the server enforces them per tool
+    this.supportedScopes = options.scopes || Object.entries(DEFAULT_SCOPE_POLICIES)
+      .map(([name, policy]) => ({ name, description: policy.description }));
+
+    // Persistence for OAuth state, selected via OAUTH_STORE (memory, file, sqlite).
+    // Namespaces:
+    //   clients        clientId -> OAuthClientInformationFull
+    //   authorizations requestId -> { clientId, clientName, scopes, redirectUri, codeChallenge, state, expiresAt }
+    //   codes          authCode -> { encryptedApiKey, codeChallenge, redirectUri, state, scopes, expiresAt }
+    //   tokens         accessToken -> { clientId, scopes, expiresAt, encryptedApiKey, resource }
+    //   refreshTokens  refreshToken -> { clientId, scopes, encryptedApiKey, createdAt }
+    this.store = options.store || createOAuthStore();
+
+    // Users' Twenty API keys are only ever stored encrypted; see getApiKeyForToken()
+    this.keyRing = options.keyRing || KeyRing.fromEnv();
+    if (!this.keyRing) {
+      this.keyRing = new KeyRing({ keys: { ephemeral: crypto.randomBytes(32) } });
+      if (!(this.store instanceof MemoryOAuthStore)) {
+        console.error('Warning: OAUTH_ENCRYPTION_KEY not set; stored tokens will be unusable after a restart');
+      }
+    }
 
     // Token configuration
     this.accessTokenTTL = options.accessTokenTTL || 3600;          // 1 hour
     this.authCodeTTL = options.authCodeTTL || 300;                 // 5 minutes
+    this.authorizeRequestTTL = options.authorizeRequestTTL || 900; // 15 minutes to fill in the form
     this.refreshTokenTTL = options.refreshTokenTTL || 30 * 24 * 3600; // 30 days
   }
 
@@ -29,8 +53,8 @@ export class TwentyCRMOAuthProvider {
    */
   get clientsStore() {
     return {
-      getClient: (clientId) => this._clients.get(clientId),
-      registerClient: (clientMetadata) => {
+      getClient: (clientId) => this.store.get('clients', clientId),
+      registerClient: async (clientMetadata) => {
         const clientId = this.generateId();
         const clientSecret = this.generateSecret();
         const now = Math.floor(Date.now() / 1000);
@@ -42,7 +66,7 @@ export class TwentyCRMOAuthProvider {
           client_id_issued_at: now
         };
 
-        this._clients.set(clientId, client);
+        await this.store.set('clients', clientId, client);
         return client;
       }
     };
@@ -55,16 +79,46 @@ export class TwentyCRMOAuthProvider {
    * @param {import('express').Response} res
    */
   async authorize(client, params, res) {
-    const html = generateAuthorizePage({
+    const requested = this.resolveRequestedScopes(params.scopes);
+    if (requested.length === 0) {
+      throw new InvalidScopeError(`None of the requested scopes are supported; expected: ${this.supportedScopes.map(scope => scope.name).join(' ')}`);
+    }
+
+    // The form only carries this id, so the scopes, redirect URI and PKCE
+    // challenge the user approves are the ones the client actually sent
+    const requestId = this.generateId();
+    const request = {
+      clientId: client.client_id,
       clientName: client.client_name || client.client_id,
-      scopes: params.scopes || [],
-      state: params.state || '',
+      scopes: requested,
       redirectUri: params.redirectUri,
-      codeChallenge: params.codeChallenge
-    });
+      codeChallenge: params.codeChallenge,
+      state: params.state || '',
+      expiresAt: Date.now() + (this.authorizeRequestTTL * 1000)
+    };
+    await this.store.set('authorizations', requestId, request);
 
     res.setHeader('Content-Type', 'text/html');
-    res.send(html);
+    res.send(this.renderAuthorizePage(requestId, request, requested));
+  }
+
+  /**
+   * Authorize page for a pending request.
+   * @param {string} requestId
+   * @param {Object} request - Pending authorization request
+   * @param {string[]} granted - Scopes to show ticked
+   * @param {string} [error]
+   * @returns {string}
+   */
+  renderAuthorizePage(requestId, request, granted, error) {
+    return generateAuthorizePage({
+      requestId,
+      clientName: request.clientName,
+      scopes: this.describeScopes(request.scopes, granted),
+      state: request.state,
+      redirectUri: request.redirectUri,
+      error
+    });
   }
 
   /**
@@ -74,59 +128,106 @@ export class TwentyCRMOAuthProvider {
    * @param {import('express').Response} res
    */
   async handleAuthorizeSubmit(req, res) {
-    const { api_key, state, redirect_uri, code_challenge } = req.body;
+    const { api_key } = req.body;
+    const requestId = String(req.body.request_id || '');
 
-    if (!api_key || !redirect_uri) {
-      const html = generateAuthorizePage({
-        clientName: 'Unknown',
+    res.setHeader('Content-Type', 'text/html');
+
+    const request = requestId ? await this.store.get('authorizations', requestId) : undefined;
+    if (!request || Date.now() > request.expiresAt) {
+      if (request) {
+        await this.store.delete('authorizations', requestId);
+      }
+      return res.status(400).send(generateAuthorizePage({
+        clientName: request?.clientName,
         scopes: [],
-        state: state || '',
-        redirectUri: redirect_uri || '',
-        codeChallenge: code_challenge || '',
-        error: 'API key is required'
-      });
-      res.setHeader('Content-Type', 'text/html');
-      return res.status(400).send(html);
+        error: 'This authorization request has expired. Start again from the application.'
+      }));
+    }
+
+    // Users can untick scopes but never add ones the client did not request
+    const granted = [].concat(req.body.scope || []).filter(scope => request.scopes.includes(scope));
+
+    if (!api_key) {
+      return res.status(400).send(this.renderAuthorizePage(requestId, request, granted, 'API key is required'));
+    }
+
+    if (granted.length === 0) {
+      return res.status(400).send(this.renderAuthorizePage(requestId, request, granted, 'Select at least one permission to grant'));
     }
 
     // Validate the API key against Twenty CRM
     const isValid = await this.validateTwentyApiKey(api_key);
     if (!isValid) {
-      const html = generateAuthorizePage({
-        clientName: 'Unknown',
-        scopes: [],
-        state: state || '',
-        redirectUri: redirect_uri,
-        codeChallenge: code_challenge || '',
-        error: 'Invalid API key. Please check your Twenty CRM API key and try again.'
-      });
-      res.setHeader('Content-Type', 'text/html');
-      return res.status(400).send(html);
+      return res.status(400).send(this.renderAuthorizePage(
+        requestId,
+        request,
+        granted,
+        'Invalid API key. Please check your Twenty CRM API key and try again.'
+      ));
     }
 
+    // Each request can be approved once
+    await this.store.delete('authorizations', requestId);
+
     // Generate authorization code
     const code = this.generateId();
     const expiresAt = Date.now() + (this.authCodeTTL * 1000);
 
-    this._codes.set(code, {
-      twentyApiKey: api_key,
-      codeChallenge: code_challenge,
-      redirectUri: redirect_uri,
-      state: state,
-      scopes: ['mcp:tools'],
+    await this.store.set('codes', code, {
+      encryptedApiKey: this.keyRing.encrypt(api_key),
+      codeChallenge: request.codeChallenge,
+      redirectUri: request.redirectUri,
+      state: request.state,
+      scopes: granted,
       expiresAt
     });
 
     // Redirect back to the client with the code
-    const redirectUrl = new URL(redirect_uri);
+    const redirectUrl = new URL(request.redirectUri);
     redirectUrl.searchParams.set('code', code);
-    if (state) {
-      redirectUrl.searchParams.set('state', state);
+    if (request.state) {
+      redirectUrl.searchParams.set('state', request.state);
     }
 
     res.redirect(redirectUrl.toString());
   }
 
+  /**
+   * Supported scopes out of a request. No scopes, or the legacy mcp:tools
+   * scope, means every supported scope.
+   * @param {string[]} [requested]
+   * @returns {string[]}
+   */
+  resolveRequestedScopes(requested = []) {
+    return requested.length === 0 ? this.supportedScopes.map(scope => scope.name) : this.expandScopes(requested);
+  }
+
+  /**
+   * Supported scopes out of a stored or requested list, with the legacy
+   * mcp:tools scope standing for every supported scope.
+   * @param {string[]} [scopes]
+   * @returns {string[]}
+   */
+  expandScopes(scopes = []) {
+    const supported = this.supportedScopes.map(scope => scope.name);
+    if (scopes.includes(LEGACY_SCOPE)) {
+      return supported;
+    }
+    return supported.filter(scope => scopes.includes(scope));
+  }
+
+  /**
+   * Scope entries for the authorize page.
+   * @param {string[]} requested
+   * @param {string[]} [granted] - Ticked scopes; defaults to all requested
+   */
+  describeScopes(requested, granted = requested) {
+    return this.supportedScopes
+      .filter(scope => requested.includes(scope.name))
+      .map(scope => ({ ...scope, granted: granted.includes(scope.name) }));
+  }
+
   /**
    * Validate a Twenty CRM API key by making a test request.
    * @param {string} apiKey
@@ -158,13 +259,13 @@ export class TwentyCRMOAuthProvider {
    * @returns {Promise<string>}
    */
   async challengeForAuthorizationCode(client, authorizationCode) {
-    const codeData = this._codes.get(authorizationCode);
+    const codeData = await this.store.get('codes', authorizationCode);
     if (!codeData) {
       throw new Error('Invalid authorization code');
     }
 
     if (Date.now() > codeData.expiresAt) {
-      this._codes.delete(authorizationCode);
+      await this.store.delete('codes', authorizationCode);
       throw new Error('Authorization code expired');
     }
 
@@ -181,18 +282,18 @@ export class TwentyCRMOAuthProvider {
    * @returns {Promise<import('@modelcontextprotocol/sdk/shared/auth.js').OAuthTokens>}
    */
   async exchangeAuthorizationCode(client, authorizationCode, codeVerifier, redirectUri, resource) {
-    const codeData = this._codes.get(authorizationCode);
+    const codeData = await this.store.get('codes', authorizationCode);
     if (!codeData) {
       throw new Error('Invalid authorization code');
     }
 
     if (Date.now() > codeData.expiresAt) {
-      this._codes.delete(authorizationCode);
+      await this.store.delete('codes', authorizationCode);
       throw new Error('Authorization code expired');
     }
 
     // Delete the code (one-time use)
-    this._codes.delete(authorizationCode);
+    await this.store.delete('codes', authorizationCode);
 
     // Generate tokens
     const accessToken = this.generateToken();
@@ -201,19 +302,19 @@ export class TwentyCRMOAuthProvider {
     const expiresAt = now + this.accessTokenTTL;
 
     // Store access token with the user's Twenty API key
-    this._tokens.set(accessToken, {
+    await this.store.set('tokens', accessToken, {
       clientId: client.client_id,
       scopes: codeData.scopes,
       expiresAt,
-      twentyApiKey: codeData.twentyApiKey,
+      encryptedApiKey: codeData.encryptedApiKey,
       resource: resource?.toString()
     });
 
     // Store refresh token
-    this._refreshTokens.set(refreshToken, {
+    await this.store.set('refreshTokens', refreshToken, {
       clientId: client.client_id,
       scopes: codeData.scopes,
-      twentyApiKey: codeData.twentyApiKey,
+      encryptedApiKey: codeData.encryptedApiKey,
       createdAt: now
     });
 
@@ -235,7 +336,7 @@ export class TwentyCRMOAuthProvider {
    * @returns {Promise<import('@modelcontextprotocol/sdk/shared/auth.js').OAuthTokens>}
    */
   async exchangeRefreshToken(client, refreshToken, scopes, resource) {
-    const refreshData = this._refreshTokens.get(refreshToken);
+    const refreshData = await this.store.get('refreshTokens', refreshToken);
     if (!refreshData) {
       throw new Error('Invalid refresh token');
     }
@@ -247,24 +348,35 @@ export class TwentyCRMOAuthProvider {
     // Check refresh token expiry
     const now = Math.floor(Date.now() / 1000);
     if (now - refreshData.createdAt > this.refreshTokenTTL) {
-      this._refreshTokens.delete(refreshToken);
+      await this.store.delete('refreshTokens', refreshToken);
       throw new Error('Refresh token expired');
     }
 
+    // A refresh may narrow the granted scopes but never add to them
+    const grantedScopes = this.expandScopes(refreshData.scopes);
+    const effectiveScopes = scopes && scopes.length > 0
+      ? this.expandScopes(scopes).filter(scope => grantedScopes.includes(scope))
+      : grantedScopes;
+    if (effectiveScopes.length === 0) {
+      throw new InvalidScopeError(`Requested scopes were not granted to this refresh token; granted: ${grantedScopes.join(' ') || 'none'}`);
+    }
+
+    // Re-encrypt under the active key if the refresh token predates a rotation
+    let { encryptedApiKey } = refreshData;
+    if (this.keyRing.needsRotation(encryptedApiKey)) {
+      encryptedApiKey = this.rotateEncryptedApiKey(encryptedApiKey);
+      await this.store.set('refreshTokens', refreshToken, { ...refreshData, encryptedApiKey });
+    }
+
     // Generate new access token
     const accessToken = this.generateToken();
     const expiresAt = now + this.accessTokenTTL;
 
-    // Use requested scopes if provided and valid, otherwise use original scopes
-    const effectiveScopes = scopes && scopes.length > 0
-      ? scopes.filter(s => refreshData.scopes.includes(s))
-      : refreshData.scopes;
-
-    this._tokens.set(accessToken, {
+    await this.store.set('tokens', accessToken, {
       clientId: client.client_id,
       scopes: effectiveScopes,
       expiresAt,
-      twentyApiKey: refreshData.twentyApiKey,
+      encryptedApiKey,
       resource: resource?.toString()
     });
 
@@ -278,30 +390,29 @@ export class TwentyCRMOAuthProvider {
 
   /**
    * Verify an access token and return auth info.
+   * The user's Twenty API key is deliberately not included; call
+   * getApiKeyForToken() where it is actually needed.
    * @param {string} token
    * @returns {Promise<import('@modelcontextprotocol/sdk/server/auth/types.js').AuthInfo>}
    */
   async verifyAccessToken(token) {
-    const tokenData = this._tokens.get(token);
+    const tokenData = await this.store.get('tokens', token);
     if (!tokenData) {
       throw new Error('Invalid access token');
     }
 
     const now = Math.floor(Date.now() / 1000);
     if (now > tokenData.expiresAt) {
-      this._tokens.delete(token);
+      await this.store.delete('tokens', token);
       throw new Error('Access token expired');
     }
 
     return {
       token,
       clientId: tokenData.clientId,
-      scopes: tokenData.scopes,
+      scopes: this.expandScopes(tokenData.scopes),
       expiresAt: tokenData.expiresAt,
-      resource: tokenData.resource ? new URL(tokenData.resource) : undefined,
-      extra: {
-        twentyApiKey: tokenData.twentyApiKey
-      }
+      resource: tokenData.resource ? new URL(tokenData.resource) : undefined
     };
   }
 
@@ -315,18 +426,18 @@ export class TwentyCRMOAuthProvider {
 
     // Try to revoke as access token
     if (!token_type_hint || token_type_hint === 'access_token') {
-      const tokenData = this._tokens.get(token);
+      const tokenData = await this.store.get('tokens', token);
       if (tokenData && tokenData.clientId === client.client_id) {
-        this._tokens.delete(token);
+        await this.store.delete('tokens', token);
         return;
       }
     }
 
     // Try to revoke as refresh token
     if (!token_type_hint || token_type_hint === 'refresh_token') {
-      const refreshData = this._refreshTokens.get(token);
+      const refreshData = await this.store.get('refreshTokens', token);
       if (refreshData && refreshData.clientId === client.client_id) {
-        this._refreshTokens.delete(token);
+        await this.store.delete('refreshTokens', token);
         return;
       }
     }
@@ -336,12 +447,36 @@ export class TwentyCRMOAuthProvider {
 
   /**
    * Get the Twenty CRM API key for a given access token.
+   * This is the only place stored API keys are decrypted for use.
    * @param {string} token
-   * @returns {string|null}
+   * @returns {Promise<string|null>} null for unknown or expired tokens, or when the key cannot be decrypted
+   */
+  async getApiKeyForToken(token) {
+    const tokenData = await this.store.get('tokens', token);
+    if (!tokenData?.encryptedApiKey) {
+      return null;
+    }
+
+    if (Math.floor(Date.now() / 1000) > tokenData.expiresAt) {
+      return null;
+    }
+
+    try {
+      return this.keyRing.decrypt(tokenData.encryptedApiKey);
+    } catch (error) {
+      // Never include the payload or plaintext in logs
+      console.error(`Unable to decrypt Twenty API key for client ${tokenData.clientId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Re-encrypt a stored API key with the active key ID.
+   * @param {{ kid: string, iv: string, tag: string, data: string }} encryptedApiKey
+   * @returns {{ kid: string, iv: string, tag: string, data: string }}
    */
-  getApiKeyForToken(token) {
-    const tokenData = this._tokens.get(token);
-    return tokenData?.twentyApiKey || null;
+  rotateEncryptedApiKey(encryptedApiKey) {
+    return this.keyRing.encrypt(this.keyRing.decrypt(encryptedApiKey));
   }
 
   /**
@@ -371,28 +506,35 @@ export class TwentyCRMOAuthProvider {
   /**
    * Clean up expired tokens (call periodically).
    */
-  cleanup() {
+  async cleanup() {
     const now = Date.now();
     const nowSeconds = Math.floor(now / 1000);
 
+    // Clean abandoned authorization requests
+    for (const [requestId, data] of await this.store.entries('authorizations')) {
+      if (now > data.expiresAt) {
+        await this.store.delete('authorizations', requestId);
+      }
+    }
+
     // Clean expired authorization codes
-    for (const [code, data] of this._codes) {
+    for (const [code, data] of await this.store.entries('codes')) {
       if (now > data.expiresAt) {
-        this._codes.delete(code);
+        await this.store.delete('codes', code);
       }
     }
 
     // Clean expired access tokens
-    for (const [token, data] of this._tokens) {
+    for (const [token, data] of await this.store.entries('tokens')) {
       if (nowSeconds > data.expiresAt) {
-        this._tokens.delete(token);
+        await this.store.delete('tokens', token);
       }
     }
 
     // Clean expired refresh tokens
-    for (const [token, data] of this._refreshTokens) {
+    for (const [token, data] of await this.store.entries('refreshTokens')) {
       if (nowSeconds - data.createdAt > this.refreshTokenTTL) {
-        this._refreshTokens.delete(token);
+        await this.store.delete('refreshTokens', token);
       }
     }
   }
@@ -0,0 +1,271 @@
+import crypto from 'crypto';
+import { existsSync, mkdirSync, readFileSync, renameSync, statSync, writeFileSync } from 'fs';
+import { dirname } from 'path';
+import { decrypt, deriveKey, encrypt } from './crypto.js';
+
+/**
+ * Storage backends for OAuth clients, authorization codes and tokens.
+ *
+ * Every store implements the same async key/value interface, partitioned by
+ * namespace ("clients", "authorizations", "codes", "tokens", "refreshTokens"):
+ *   get(namespace, key) -> value | undefined
+ *   set(namespace, key, value)
+ *   delete(namespace, key)
+ *   entries(namespace) -> Array<[key, value]>
+ * Values are plain JSON-serialisable objects.
+ */
+
+export const OAUTH_NAMESPACES = ['clients', 'authorizations', 'codes', 'tokens', 'refreshTokens'];
+
+/**
+ * Process-local store. Data is lost on restart.
+ */
+export class MemoryOAuthStore {
+  constructor() {
+    this._data = new Map(OAUTH_NAMESPACES.map(namespace => [namespace, new Map()]));
+  }
+
+  _namespace(namespace) {
+    if (!this._data.has(namespace)) {
+      this._data.set(namespace, new Map());
+    }
+    return this._data.get(namespace);
+  }
+
+  async get(namespace, key) {
+    return this._namespace(namespace).get(key);
+  }
+
+  async set(namespace, key, value) {
+    this._namespace(namespace).set(key, value);
+  }
+
+  async delete(namespace, key) {
+    this._namespace(namespace).delete(key);
+  }
+
+  async entries(namespace) {
+    return Array.from(this._namespace(namespace).entries());
+  }
+}
+
+/**
+ * Single JSON file encrypted with AES-256-GCM.
+ * Every write rewrites the whole file (through a temp file and rename) without
+ * locking, so only one server instance may use a given file; concurrent
+ * writers would overwrite each other's tokens. Use SqliteOAuthStore to share
+ * sessions between instances.
+ */
+export class FileOAuthStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.path - File location
+   * @param {string} options.secret - Encryption secret (hex key or passphrase)
+   */
+  constructor({ path, secret }) {
+    if (!path) {
+      throw new Error('FileOAuthStore requires a path');
+    }
+    if (!secret) {
+      throw new Error('FileOAuthStore requires an encryption secret (OAUTH_STORE_KEY)');
+    }
+
+    this.path = path;
+    this.key = deriveKey(secret);
+    this._data = {};
+    this._fileStat = null;
+  }
+
+  _load() {
+    if (!existsSync(this.path)) {
+      this._data = {};
+      this._fileStat = null;
+      return;
+    }
+
+    const { mtimeMs, size } = statSync(this.path);
+    if (this._fileStat && this._fileStat.mtimeMs === mtimeMs && this._fileStat.size === size) {
+      return;
+    }
+
+    const envelope = JSON.parse(readFileSync(this.path, 'utf8'));
+    try {
+      this._data = JSON.parse(decrypt(envelope, this.key));
+    } catch {
+      throw new Error(`Unable to decrypt OAuth store at ${this.path}; check OAUTH_STORE_KEY`);
+    }
+    this._fileStat = { mtimeMs, size };
+  }
+
+  _save() {
+    mkdirSync(dirname(this.path), { recursive: true });
+    const envelope = { version: 1, ...encrypt(JSON.stringify(this._data), this.key) };
+    const tempPath = `${this.path}.${process.pid}.tmp`;
+    writeFileSync(tempPath, JSON.stringify(envelope), { encoding: 'utf8', mode: 0o600 });
+    renameSync(tempPath, this.path);
+    const { mtimeMs, size } = statSync(this.path);
+    this._fileStat = { mtimeMs, size };
+  }
+
+  async get(namespace, key) {
+    this._load();
+    return this._data[namespace]?.[key];
+  }
+
+  async set(namespace, key, value) {
+    this._load();
+    this._data[namespace] = { ...this._data[namespace], [key]: value };
+    this._save();
+  }
+
+  async delete(namespace, key) {
+    this._load();
+    if (!this._data[namespace] || !(key in this._data[namespace])) {
+      return;
+    }
+    const { [key]: _removed, ...rest } = this._data[namespace];
+    this._data[namespace] = rest;
+    this._save();
+  }
+
+  async entries(namespace) {
+    this._load();
+    return Object.entries(this._data[namespace] || {});
+  }
+}
+
+/**
+ * SQLite-backed store using Node's built-in `node:sqlite` module
+ * (Node 22.5+; earlier 22.x releases need --experimental-sqlite).
+ * Point several instances at the same database file to share sessions.
+ *
+ * Like the file store, nothing sensitive is kept in plaintext: keys (tokens,
+ * codes, client IDs) are stored as HMAC-SHA256 digests and each value is
+ * AES-256-GCM encrypted together with its original key, so entries() can
+ * still return it.
+ */
+export class SqliteOAuthStore {
+  /**
+   * @param {Object} options
+   * @param {string} options.path - Database file location
+   * @param {string} options.secret - Encryption secret (hex key or passphrase)
+   */
+  constructor({ path, secret }) {
+    if (!path) {
+      throw new Error('SqliteOAuthStore requires a path');
+    }
+    if (!secret) {
+      throw new Error('SqliteOAuthStore requires an encryption secret (OAUTH_STORE_KEY)');
+    }
+    this.path = path;
+    this.key = deriveKey(secret);
+    this._dbPromise = null;
+  }
+
+  _digest(key) {
+    return crypto.createHmac('sha256', this.key).update(String(key)).digest('hex');
+  }
+
+  _seal(key, value) {
+    return JSON.stringify(encrypt(JSON.stringify({ key, value }), this.key));
+  }
+
+  _open(sealed) {
+    try {
+      return JSON.parse(decrypt(JSON.parse(sealed), this.key));
+    } catch {
+      throw new Error(`Unable to decrypt OAuth store at ${this.path}; check OAUTH_STORE_KEY`);
+    }
+  }
+
+  async _db() {
+    if (!this._dbPromise) {
+      this._dbPromise = (async () => {
+        let sqlite;
+        try {
+          sqlite = await import('node:sqlite');
+        } catch {
+          throw new Error('OAUTH_STORE=sqlite requires a Node.js version with the built-in node:sqlite module (22.5+)');
+        }
+
+        mkdirSync(dirname(this.path), { recursive: true });
+        const db = new sqlite.DatabaseSync(this.path);
+        db.exec('PRAGMA journal_mode = WAL');
+        db.exec(`CREATE TABLE IF NOT EXISTS oauth_entries (
+          namespace TEXT NOT NULL,
+          key_digest TEXT NOT NULL,
+          value TEXT NOT NULL,
+          PRIMARY KEY (namespace, key_digest)
+        )`);
+        return db;
+      })();
+    }
+    return this._dbPromise;
+  }
+
+  async get(namespace, key) {
+    const db = await this._db();
+    const row = db.prepare('SELECT value FROM oauth_entries WHERE namespace = ? AND key_digest = ?')
+      .get(namespace, this._digest(key));
+    return row ? this._open(row.value).value : undefined;
+  }
+
+  async set(namespace, key, value) {
+    const db = await this._db();
+    db.prepare(`INSERT INTO oauth_entries (namespace, key_digest, value) VALUES (?, ?, ?)
+      ON CONFLICT (namespace, key_digest) DO UPDATE SET value = excluded.value`)
+      .run(namespace, this._digest(key), this._seal(key, value));
+  }
+
+  async delete(namespace, key) {
+    const db = await this._db();
+    db.prepare('DELETE FROM oauth_entries WHERE namespace = ? AND key_digest = ?').run(namespace, this._digest(key));
+  }
+
+  async entries(namespace) {
+    const db = await this._db();
+    return db.prepare('SELECT value FROM oauth_entries WHERE namespace = ?')
+      .all(namespace)
+      .map(row => {
+        const { key, value } = this._open(row.value);
+        return [key, value];
+      });
+  }
+
+  async close() {
+    if (this._dbPromise) {
+      const db = await this._dbPromise;
+      db.close();
+      this._dbPromise = null;
+    }
+  }
+}
+
+/**
+ * Create the store selected by environment (or explicit options).
+ *   OAUTH_STORE      memory (default) | file | sqlite
+ *   OAUTH_STORE_PATH file or database location
+ *   OAUTH_STORE_KEY  encryption secret for the file and sqlite stores
+ * @param {Object} [options]
+ * @returns {MemoryOAuthStore|FileOAuthStore|SqliteOAuthStore}
+ */
+export function createOAuthStore(options = {}) {
+  const type = (options.type || process.env.OAUTH_STORE || 'memory').toLowerCase();
+
+  switch (type) {
+    case 'memory':
+      return new MemoryOAuthStore();
+    case 'file':
+      return new FileOAuthStore({
+        path: options.path || process.env.OAUTH_STORE_PATH || './data/oauth-store.json.enc',
+        secret: options.secret || process.env.OAUTH_STORE_KEY
+      });
+    case 'sqlite':
+      return new SqliteOAuthStore({
+        path: options.path || process.env.OAUTH_STORE_PATH || './data/oauth-store.sqlite',
+        secret: options.secret || process.env.OAUTH_STORE_KEY
+      });
+    default:
+      throw new Error(`Unknown OAUTH_STORE "${type}"; expected memory, file or sqlite`);
+  }
+}
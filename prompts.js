@@ -0,0 +1,115 @@
+/**
+ * Prompt templates for recurring CRM workflows, advertised over MCP so
+ * clients can offer them as slash commands.
+ *
+ * Each argument may name a `complete` object; completion requests for it are
+ * answered with matching record names from search_records.
+ */
+
+export const PROMPTS = [
+  {
+    name: 'summarize_account',
+    title: 'Summarize account',
+    description: 'Summarize a company: key facts, people, open opportunities and recent notes and tasks',
+    arguments: [
+      { name: 'company', description: 'Company name or id', required: true, complete: 'companies' },
+      { name: 'focus', description: 'Optional angle, e.g. "renewal risk" or "expansion"', required: false }
+    ],
+    render: ({ company, focus }) => [
+      `Summarize the account "${company}" in Twenty CRM.`,
+      '',
+      `1. Find the company: if "${company}" is not an id, call search_records with objectTypes ["companies"] and pick the best match (ask me if several match).`,
+      '2. Call get_company with include ["accountOwner", "people", "opportunities", "noteTargets", "taskTargets"].',
+      '3. Read the linked notes and tasks with get_note / get_task where the summary needs them.',
+      '',
+      'Write a short briefing: what the company does, size and ARR, account owner, key contacts with roles, open opportunities with stage, amount and close date, and the latest notes and open tasks.',
+      focus ? `Pay particular attention to: ${focus}.` : 'End with risks and suggested next steps.'
+    ]
+  },
+  {
+    name: 'call_prep',
+    title: 'Prepare for a call',
+    description: 'Brief me before a call with a person: who they are, their company and our history with them',
+    arguments: [
+      { name: 'person', description: 'Person name or id', required: true, complete: 'people' },
+      { name: 'goal', description: 'Optional goal for the call', required: false }
+    ],
+    render: ({ person, goal }) => [
+      `Prepare me for a call with "${person}".`,
+      '',
+      `1. Find the person: if "${person}" is not an id, call search_records with objectTypes ["people"] and pick the best match (ask me if several match).`,
+      '2. Call get_person with include ["company", "pointOfContactForOpportunities", "noteTargets", "taskTargets"].',
+      '3. If they belong to a company, call get_company with include ["opportunities"] for context.',
+      '',
+      'Give me: their role and contact details, their company in two sentences, open opportunities they are involved in, what we last discussed (from notes) and any open tasks.',
+      goal ? `The goal of the call is: ${goal}. Suggest talking points and questions for it.` : 'Finish with three suggested talking points.'
+    ]
+  },
+  {
+    name: 'log_meeting_notes',
+    title: 'Log meeting notes',
+    description: 'Save meeting notes as a note linked to every attendee (and their company)',
+    arguments: [
+      { name: 'attendees', description: 'Comma-separated attendee names or ids', required: true, complete: 'people' },
+      { name: 'notes', description: 'Meeting notes (free text)', required: true },
+      { name: 'company', description: 'Optional company to link as well', required: false, complete: 'companies' }
+    ],
+    render: ({ attendees, notes, company }) => [
+      'Log these meeting notes in Twenty CRM.',
+      '',
+      `Attendees: ${attendees}`,
+      company ? `Company: ${company}` : null,
+      '',
+      '1. Resolve each attendee (and the company, if given) to a record id with search_records; ask me before creating anyone who does not exist.',
+      '2. Write a title of the form "Meeting: <topic> (<date>)" and tidy the notes into a markdown body with decisions and action items.',
+      '3. Call create_note_for_person with the first attendee as personId, the company as companyId, and the other attendees as targets.',
+      '4. For each action item with a clear owner, offer to create a task with create_task.',
+      '',
+      'Notes:',
+      notes
+    ]
+  }
+];
+
+/**
+ * Prompt entries for prompts/list (internal fields stripped).
+ */
+export function listPrompts() {
+  return PROMPTS.map(({ name, title, description, arguments: args }) => ({
+    name,
+    title,
+    description,
+    arguments: args.map(({ name: argName, description: argDescription, required }) => ({
+      name: argName,
+      description: argDescription,
+      required
+    }))
+  }));
+}
+
+export function findPrompt(name) {
+  return PROMPTS.find(prompt => prompt.name === name) || null;
+}
+
+/**
+ * @param {Object} prompt - Entry from PROMPTS
+ * @param {Object<string, string>} [args]
+ * @returns {{ description: string, messages: Array<Object> }}
+ */
+export function renderPrompt(prompt, args = {}) {
+  const missing = prompt.arguments
+    .filter(arg => arg.required && !String(args[arg.name] ?? '').trim())
+    .map(arg => arg.name);
+  if (missing.length > 0) {
+    throw new Error(`Missing required argument(s) for ${prompt.name}: ${missing.join(', ')}`);
+  }
+
+  const text = prompt.render(args)
+    .filter(line => line !== null)
+    .join('\n');
+
+  return {
+    description: prompt.description,
+    messages: [{ role: 'user', content: { type: 'text', text } }]
+  };
+}
@@ -0,0 +1,185 @@
+import { AsyncResource } from 'async_hooks';
+import crypto from 'crypto';
+
+/**
+ * Client-side throttling for Twenty API calls.
+ * Each API key gets a token bucket (sustained rate + burst) and a cap on
+ * requests in flight; calls beyond either limit wait in a FIFO queue instead
+ * of being sent and rejected with 429.
+ */
+export class RequestLimiter {
+  /**
+   * @param {Object} options
+   * @param {number} options.requestsPerInterval - Bucket capacity and refill amount; 0 disables rate limiting
+   * @param {number} options.intervalMs - Refill window
+   * @param {number} options.maxConcurrent - Max requests in flight; 0 disables the cap
+   */
+  constructor({ requestsPerInterval, intervalMs, maxConcurrent }) {
+    this.capacity = intervalMs > 0 ? requestsPerInterval : 0;
+    this.refillPerMs = intervalMs > 0 ? requestsPerInterval / intervalMs : 0;
+    this.maxConcurrent = maxConcurrent;
+
+    this.tokens = this.capacity;
+    this.lastRefill = Date.now();
+    this.lastActivity = Date.now();
+    this.inFlight = 0;
+    this.queue = [];
+    this.timer = null;
+  }
+
+  /**
+   * Run `task` once a token and a concurrency slot are available.
+   * @template T
+   * @param {() => Promise<T>} task
+   * @returns {Promise<T>}
+   */
+  schedule(task) {
+    // Keep the caller's async context (request-scoped credentials) for the task
+    const bound = AsyncResource.bind(task);
+    return new Promise((resolve, reject) => {
+      this.queue.push({ task: bound, resolve, reject });
+      this.lastActivity = Date.now();
+      this.drain();
+    });
+  }
+
+  refill() {
+    const now = Date.now();
+    if (this.refillPerMs > 0) {
+      this.tokens = Math.min(this.capacity, this.tokens + (now - this.lastRefill) * this.refillPerMs);
+    }
+    this.lastRefill = now;
+  }
+
+  drain() {
+    if (this.timer) {
+      return;
+    }
+
+    while (this.queue.length > 0) {
+      if (this.maxConcurrent > 0 && this.inFlight >= this.maxConcurrent) {
+        // Resumed when an in-flight request settles
+        return;
+      }
+
+      if (this.capacity > 0) {
+        this.refill();
+        if (this.tokens < 1) {
+          const waitMs = Math.ceil((1 - this.tokens) / this.refillPerMs);
+          this.timer = setTimeout(() => {
+            this.timer = null;
+            this.drain();
+          }, waitMs);
+          return;
+        }
+        this.tokens -= 1;
+      }
+
+      const { task, resolve, reject } = this.queue.shift();
+      this.inFlight += 1;
+
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          this.inFlight -= 1;
+          this.lastActivity = Date.now();
+          this.drain();
+        });
+    }
+  }
+
+  isIdle() {
+    return this.queue.length === 0 && this.inFlight === 0;
+  }
+
+  stats() {
+    return {
+      queued: this.queue.length,
+      inFlight: this.inFlight
+    };
+  }
+}
+
+/**
+ * One RequestLimiter per API key, created on first use.
+ * Keys are tracked by SHA-256 fingerprint so raw credentials are not kept as map keys.
+ */
+export class RateLimiterRegistry {
+  /**
+   * @param {Object} options
+   * @param {number} options.requestsPerInterval
+   * @param {number} options.intervalMs
+   * @param {number} options.maxConcurrent
+   * @param {number} [options.idleTtlMs] - Forget limiters that have been idle this long
+   */
+  constructor({ requestsPerInterval, intervalMs, maxConcurrent, idleTtlMs = 10 * 60 * 1000 }) {
+    this.config = { requestsPerInterval, intervalMs, maxConcurrent };
+    this.idleTtlMs = idleTtlMs;
+    this.limiters = new Map();
+  }
+
+  isEnabled() {
+    const { requestsPerInterval, intervalMs, maxConcurrent } = this.config;
+    return (requestsPerInterval > 0 && intervalMs > 0) || maxConcurrent > 0;
+  }
+
+  forKey(apiKey) {
+    const fingerprint = crypto.createHash('sha256').update(String(apiKey)).digest('hex');
+    let limiter = this.limiters.get(fingerprint);
+    if (!limiter) {
+      this.evictIdle();
+      limiter = new RequestLimiter(this.config);
+      this.limiters.set(fingerprint, limiter);
+    }
+    return limiter;
+  }
+
+  /**
+   * Throttle `task` under the limiter for `apiKey`.
+   * @template T
+   * @param {string} apiKey
+   * @param {() => Promise<T>} task
+   * @returns {Promise<T>}
+   */
+  schedule(apiKey, task) {
+    if (!this.isEnabled()) {
+      return task();
+    }
+    return this.forKey(apiKey).schedule(task);
+  }
+
+  evictIdle() {
+    const cutoff = Date.now() - this.idleTtlMs;
+    for (const [fingerprint, limiter] of this.limiters) {
+      if (limiter.isIdle() && limiter.lastActivity < cutoff) {
+        this.limiters.delete(fingerprint);
+      }
+    }
+  }
+
+  /**
+   * Aggregate queue depth across all API keys, plus the configured limits.
+   * Served on the authenticated /health/details, not the public /health.
+   */
+  stats() {
+    let queued = 0;
+    let inFlight = 0;
+    let maxQueued = 0;
+
+    for (const limiter of this.limiters.values()) {
+      const current = limiter.stats();
+      queued += current.queued;
+      inFlight += current.inFlight;
+      maxQueued = Math.max(maxQueued, current.queued);
+    }
+
+    return {
+      apiKeys: this.limiters.size,
+      queued,
+      inFlight,
+      maxQueuedPerKey: maxQueued,
+      limits: { ...this.config }
+    };
+  }
+}
@@ -0,0 +1,33 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+/**
+ * Request-scoped context for tool calls.
+ * In HTTP mode several users share one TwentyCRMServer, so per-user values
+ * (Twenty API key, session, identity) travel with the async call chain
+ * instead of living on the server instance.
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with the given context bound to every async continuation it creates.
+ * @template T
+ * @param {Object} context
+ * @param {string|null} context.apiKey - Twenty API key used by makeRequest()
+ * @param {string} [context.sessionId] - MCP transport session ID
+ * @param {string} [context.clientId] - OAuth client ID, or "api-key" for direct keys
+ * @param {string[]} [context.scopes] - Granted OAuth scopes
+ * @param {((params: Object) => Promise<Object>)|null} [context.elicit] - Sends an elicitation request to the client, when it supports them
+ * @param {() => T} fn
+ * @returns {T}
+ */
+export function runWithRequestContext(context, fn) {
+  return storage.run(Object.freeze({ ...context }), fn);
+}
+
+/**
+ * Return the context of the current tool call, or null outside of one.
+ * @returns {Readonly<Object>|null}
+ */
+export function getRequestContext() {
+  return storage.getStore() || null;
+}
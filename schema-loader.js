@@ -78,10 +78,12 @@ export class SchemaLoader {
   constructor(options = {}) {
     this.metadata = null;
     this.operations = null;
+    this.graphqlTypes = null;
     this.schemaPath = options.schemaPath || resolveSchemaPath();
     this.fileStats = {
       metadata: null,
-      operations: null
+      operations: null,
+      types: null
     };
   }
 
@@ -563,6 +565,54 @@ export class SchemaLoader {
     return null;
   }
 
+  /**
+   * Look up a type from graphql-types.json. The file is large, so it is only
+   * read on first use and re-read when it changes on disk.
+   * @param {string} name - e.g. "OpportunityConnection"
+   * @returns {Object|null}
+   */
+  getGraphqlType(name) {
+    return this.loadGraphqlTypes()?.get(name) || null;
+  }
+
+  /**
+   * @returns {Map<string, Object>|null} Types by name, or null when the export has none
+   */
+  loadGraphqlTypes() {
+    if (!this.schemaPath) return null;
+
+    const typesPath = join(this.schemaPath, 'graphql-types.json');
+    if (!existsSync(typesPath)) {
+      this.graphqlTypes = null;
+      this.fileStats.types = null;
+      return null;
+    }
+
+    try {
+      const typesStat = statSync(typesPath);
+      const typesChanged =
+        !this.graphqlTypes ||
+        !this.fileStats.types ||
+        this.fileStats.types.mtimeMs !== typesStat.mtimeMs ||
+        this.fileStats.types.size !== typesStat.size;
+
+      if (typesChanged) {
+        const parsed = JSON.parse(readFileSync(typesPath, 'utf8'));
+        const types = parsed?.data?.__schema?.types || [];
+        this.graphqlTypes = new Map(types.map(type => [type.name, type]));
+        this.fileStats.types = {
+          mtimeMs: typesStat.mtimeMs,
+          size: typesStat.size
+        };
+      }
+    } catch (error) {
+      console.error(`Failed to load GraphQL types from ${typesPath}:`, error.message);
+      return null;
+    }
+
+    return this.graphqlTypes;
+  }
+
   getOperations(type = 'all') {
     if (!this.operations) return [];
 
@@ -591,6 +641,73 @@ export class SchemaLoader {
     return results;
   }
 
+  /**
+   * Full field definition for one operation, including `args` and `type` when
+   * the export was written by sync-schema.
+   * @param {string} name
+   * @param {'all'|'query'|'mutation'} [type]
+   * @returns {Object|null} The field plus `operationType`
+   */
+  getOperation(name, type = 'all') {
+    const schema = this.operations?.data?.__schema;
+    if (!schema) return null;
+
+    const requestedTypes = type === 'all' ? ['query', 'mutation'] : [type];
+    for (const currentType of requestedTypes) {
+      const fieldList = currentType === 'query'
+        ? schema.queryType?.fields
+        : schema.mutationType?.fields;
+      const field = Array.isArray(fieldList) ? fieldList.find(entry => entry.name === name) : null;
+      if (field) {
+        return { ...field, operationType: currentType };
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Resolve which objects should receive generated CRUD tools.
+   * Defaults to the core objects plus every active, non-system object in the export.
+   * @param {Object} [options]
+   * @param {string[]} [options.include] - Allowlist; when non-empty only these objects are registered (system objects allowed)
+   * @param {string[]} [options.exclude] - Denylist applied after the allowlist
+   * @returns {string[]} Plural object names
+   */
+  getRegistryObjects(options = {}) {
+    const include = (options.include || []).filter(Boolean);
+    const exclude = (options.exclude || []).filter(Boolean);
+
+    let candidates;
+    if (include.length) {
+      candidates = include.map(name => this.getObjectByName(name)?.namePlural || name);
+    } else {
+      candidates = [
+        ...this.getCoreObjects(),
+        ...this.getActiveObjects().map(obj => obj.namePlural)
+      ];
+    }
+
+    const excluded = new Set();
+    exclude.forEach(name => {
+      excluded.add(name.toLowerCase());
+      const object = this.getObjectByName(name);
+      if (object) {
+        excluded.add(object.namePlural.toLowerCase());
+      }
+    });
+
+    const seen = new Set();
+    return candidates.filter(name => {
+      const key = name.toLowerCase();
+      if (seen.has(key) || excluded.has(key)) {
+        return false;
+      }
+      seen.add(key);
+      return true;
+    });
+  }
+
   getCoreObjects() {
     // Return the most commonly used objects
     return [
@@ -0,0 +1,207 @@
+import { mkdirSync, renameSync, rmSync, writeFileSync } from 'fs';
+import { join } from 'path';
+
+export const METADATA_FILE = 'rest-metadata-objects.json';
+export const OPERATIONS_FILE = 'available-operations.json';
+export const TYPES_FILE = 'graphql-types.json';
+
+const TYPE_REF_FRAGMENT = `
+fragment TypeRef on __Type {
+  kind
+  name
+  ofType {
+    kind
+    name
+    ofType {
+      kind
+      name
+      ofType {
+        kind
+        name
+        ofType {
+          kind
+          name
+        }
+      }
+    }
+  }
+}`;
+
+export const INTROSPECTION_QUERY = `
+query SchemaSyncIntrospection {
+  __schema {
+    queryType { fields { ...FieldInfo } }
+    mutationType { fields { ...FieldInfo } }
+    types {
+      name
+      kind
+      description
+      fields { ...FieldInfo }
+      inputFields { ...InputValue }
+      enumValues { name description }
+    }
+  }
+}
+
+fragment FieldInfo on __Field {
+  name
+  description
+  args { ...InputValue }
+  type { ...TypeRef }
+}
+
+fragment InputValue on __InputValue {
+  name
+  description
+  defaultValue
+  type { ...TypeRef }
+}
+${TYPE_REF_FRAGMENT}`;
+
+const METADATA_PAGE_SIZE = 100;
+const MAX_METADATA_PAGES = 50;
+
+/**
+ * Write a file atomically: write to a sibling temp file, then rename over the target.
+ * @param {string} filePath
+ * @param {unknown} data - JSON-serialisable content
+ */
+export function writeJsonAtomic(filePath, data) {
+  const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+  try {
+    writeFileSync(tempPath, `${JSON.stringify(data, null, 2)}\n`, 'utf8');
+    renameSync(tempPath, filePath);
+  } catch (error) {
+    rmSync(tempPath, { force: true });
+    throw error;
+  }
+}
+
+async function requestJson(fetchImpl, url, apiKey, options = {}) {
+  const response = await fetchImpl(url, {
+    method: options.method || 'GET',
+    headers: {
+      Authorization: `Bearer ${apiKey}`,
+      'Content-Type': 'application/json'
+    },
+    body: options.body ? JSON.stringify(options.body) : undefined
+  });
+
+  if (!response.ok) {
+    const text = await response.text().catch(() => '');
+    throw new Error(`Schema sync request to ${url} failed with HTTP ${response.status}${text ? `: ${text.slice(0, 200)}` : ''}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Fetch every page of /rest/metadata/objects and merge them into one export document.
+ */
+export async function fetchMetadataObjects({ baseUrl, apiKey, fetchImpl = fetch }) {
+  const objects = [];
+  let cursor = null;
+  let pageInfo = null;
+
+  for (let page = 0; page < MAX_METADATA_PAGES; page++) {
+    const query = new URLSearchParams({ limit: String(METADATA_PAGE_SIZE) });
+    if (cursor) {
+      query.set('starting_after', cursor);
+    }
+
+    const response = await requestJson(fetchImpl, `${baseUrl}/rest/metadata/objects?${query}`, apiKey);
+    const pageObjects = response?.data?.objects;
+    if (!Array.isArray(pageObjects)) {
+      throw new Error('Unexpected /rest/metadata/objects response: missing data.objects');
+    }
+
+    objects.push(...pageObjects);
+    pageInfo = response.pageInfo || null;
+
+    if (!pageInfo?.hasNextPage || !pageInfo.endCursor) {
+      return {
+        data: { objects },
+        pageInfo: pageInfo ? { ...pageInfo, hasNextPage: false } : { hasNextPage: false }
+      };
+    }
+    cursor = pageInfo.endCursor;
+  }
+
+  // A truncated export would silently drop objects and their tools
+  throw new Error(
+    `/rest/metadata/objects still reports more pages after ${MAX_METADATA_PAGES * METADATA_PAGE_SIZE} objects; refusing to write a partial schema export`
+  );
+}
+
+/**
+ * Run the GraphQL introspection query against /graphql.
+ */
+export async function fetchIntrospection({ baseUrl, apiKey, fetchImpl = fetch }) {
+  const response = await requestJson(fetchImpl, `${baseUrl}/graphql`, apiKey, {
+    method: 'POST',
+    body: { query: INTROSPECTION_QUERY }
+  });
+
+  if (response?.errors?.length) {
+    throw new Error(`GraphQL introspection failed: ${response.errors.map(error => error.message).join('; ')}`);
+  }
+
+  const schema = response?.data?.__schema;
+  if (!schema) {
+    throw new Error('Unexpected introspection response: missing data.__schema');
+  }
+
+  return schema;
+}
+
+/**
+ * Pull metadata and GraphQL introspection from a running Twenty instance and
+ * write them into the schema directory in the same layout as the manual export.
+ * The metadata file is written last so SchemaLoader.hasSchemaChanged() only
+ * fires once every file is in place.
+ *
+ * @param {Object} options
+ * @param {string} options.baseUrl - Twenty base URL
+ * @param {string} options.apiKey - Twenty API key
+ * @param {string} options.schemaPath - Target directory
+ * @param {typeof fetch} [options.fetchImpl]
+ * @returns {Promise<{ schemaPath: string, objects: number, queries: number, mutations: number, types: number }>}
+ */
+export async function syncSchema({ baseUrl, apiKey, schemaPath, fetchImpl = fetch }) {
+  if (!apiKey) {
+    throw new Error('TWENTY_API_KEY is required to sync the schema');
+  }
+  if (!schemaPath) {
+    throw new Error('No schema path configured; set SCHEMA_PATH');
+  }
+
+  const metadata = await fetchMetadataObjects({ baseUrl, apiKey, fetchImpl });
+  const schema = await fetchIntrospection({ baseUrl, apiKey, fetchImpl });
+
+  const queryFields = schema.queryType?.fields || [];
+  const mutationFields = schema.mutationType?.fields || [];
+  const types = schema.types || [];
+
+  mkdirSync(schemaPath, { recursive: true });
+
+  writeJsonAtomic(join(schemaPath, TYPES_FILE), {
+    data: { __schema: { types } }
+  });
+  writeJsonAtomic(join(schemaPath, OPERATIONS_FILE), {
+    data: {
+      __schema: {
+        queryType: { fields: queryFields },
+        mutationType: { fields: mutationFields }
+      }
+    }
+  });
+  writeJsonAtomic(join(schemaPath, METADATA_FILE), metadata);
+
+  return {
+    schemaPath,
+    objects: metadata.data.objects.length,
+    queries: queryFields.length,
+    mutations: mutationFields.length,
+    types: types.length
+  };
+}
@@ -0,0 +1,127 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+import { json, withFetch } from './helpers/fetch.mjs';
+import { parsePayload } from './helpers/mcp-client.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+process.env.TWENTY_API_KEY ??= 'test-token';
+process.env.TWENTY_BASE_URL ??= 'https://api.example.com';
+process.env.SCHEMA_PATH = join(__dirname, '..', 'schema');
+
+const { TwentyCRMServer } = await import('../index.js');
+
+function aggregate(server, args) {
+  return server.dispatchToolCall({ params: { name: 'aggregate_opportunities', arguments: args } });
+}
+
+test('aggregate tools list the numeric, currency and select fields', () => {
+  const server = new TwentyCRMServer({ quiet: true });
+  const tool = server.tools.find(entry => entry.name === 'aggregate_opportunities');
+
+  assert.ok(tool, 'aggregate_opportunities missing');
+  assert.ok(tool.inputSchema.properties.sum.items.enum.includes('amount'));
+  assert.ok(!tool.inputSchema.properties.sum.items.enum.includes('closeDate'));
+  assert.ok(tool.inputSchema.properties.max.items.enum.includes('closeDate'));
+  assert.deepEqual(tool.inputSchema.properties.groupBy.enum, ['stage']);
+
+  const connection = server.schemaLoader.getGraphqlType('OpportunityConnection');
+  assert.ok(connection.fields.some(field => field.name === 'sumAmountAmountMicros'));
+});
+
+test('uses one GraphQL request with aliased aggregates per group', async () => {
+  const server = new TwentyCRMServer({ quiet: true });
+
+  await withFetch(() => json({
+    data: {
+      total: { totalCount: 3, sumAmountAmountMicros: 4500000, avgAmountAmountMicros: 1500000 },
+      group0: { totalCount: 2, sumAmountAmountMicros: 3000000, avgAmountAmountMicros: 1500000 },
+      group5: { totalCount: 1, sumAmountAmountMicros: 1500000, avgAmountAmountMicros: 1500000 }
+    }
+  }), async (calls) => {
+    const payload = parsePayload(await aggregate(server, {
+      sum: ['amount'],
+      avg: ['amount'],
+      groupBy: 'stage',
+      filters: { stage: { neq: 'CUSTOMER' } }
+    }));
+
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].url.pathname, '/graphql');
+    assert.match(calls[0].body.query, /total: opportunities\(filter: \$filter0\) \{ totalCount sumAmountAmountMicros avgAmountAmountMicros \}/);
+    assert.match(calls[0].body.query, /\$filter1: OpportunityFilterInput/);
+    assert.deepEqual(calls[0].body.variables.filter0, { stage: { neq: 'CUSTOMER' } });
+    assert.deepEqual(calls[0].body.variables.filter1, { and: [{ stage: { neq: 'CUSTOMER' } }, { stage: { eq: 'NEW' } }] });
+    assert.deepEqual(calls[0].body.variables.filter6, { and: [{ stage: { neq: 'CUSTOMER' } }, { stage: { is: 'NULL' } }] });
+
+    assert.equal(payload.source, 'graphql');
+    assert.equal(payload.count, 3);
+    assert.deepEqual(payload.sum, { amount: 4.5 });
+    assert.deepEqual(payload.avg, { amount: 1.5 });
+    assert.equal(payload.groups.length, 6);
+    assert.deepEqual(payload.groups[0], { value: 'NEW', label: 'New', count: 2, sum: { amount: 3 }, avg: { amount: 1.5 } });
+    assert.deepEqual(payload.groups[5], { value: null, label: null, count: 1, sum: { amount: 1.5 }, avg: { amount: 1.5 } });
+  });
+});
+
+test('surfaces GraphQL errors', async () => {
+  const server = new TwentyCRMServer({ quiet: true });
+
+  await withFetch(() => json({ errors: [{ message: 'Forbidden' }] }), async () => {
+    const result = await aggregate(server, {});
+    assert.match(result.content[0].text, /^Error: GraphQL aggregate query failed: Forbidden/);
+  });
+});
+
+test('falls back to REST totalCount for plain counts without GraphQL', async () => {
+  const server = new TwentyCRMServer({ quiet: true });
+  server.schemaLoader.getOperations = () => [];
+
+  await withFetch(() => json({ data: { opportunities: [{ id: 'o-1' }] }, totalCount: 42 }), async (calls) => {
+    const payload = parsePayload(await aggregate(server, { filters: { stage: 'NEW' } }));
+
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].url.searchParams.get('limit'), '1');
+    assert.equal(calls[0].url.searchParams.get('filter'), 'stage[eq]:"NEW"');
+    assert.deepEqual(payload, { source: 'rest', count: 42 });
+  });
+});
+
+test('falls back to paging and aggregating locally for metrics without GraphQL', async () => {
+  const server = new TwentyCRMServer({ quiet: true });
+  server.schemaLoader.getOperations = () => [];
+
+  const records = [
+    { id: 'o-1', stage: 'NEW', amount: { amountMicros: 1000000, currencyCode: 'USD' }, closeDate: '2024-03-01' },
+    { id: 'o-2', stage: 'NEW', amount: { amountMicros: 3000000, currencyCode: 'USD' }, closeDate: '2024-01-01' },
+    { id: 'o-3', stage: null, amount: { amountMicros: null, currencyCode: 'USD' }, closeDate: null }
+  ];
+
+  await withFetch(() => json({ data: { opportunities: records }, pageInfo: { hasNextPage: false } }), async () => {
+    const payload = parsePayload(await aggregate(server, { sum: ['amount'], min: ['closeDate'], groupBy: 'stage' }));
+
+    assert.equal(payload.source, 'rest');
+    assert.equal(payload.count, 3);
+    assert.deepEqual(payload.sum, { amount: 4 });
+    assert.deepEqual(payload.min, { closeDate: '2024-01-01' });
+    assert.deepEqual(payload.groups[0], { value: 'NEW', label: 'New', count: 2, sum: { amount: 4 }, min: { closeDate: '2024-01-01' } });
+    assert.deepEqual(payload.groups.at(-1), { value: null, label: null, count: 1, sum: { amount: null }, min: { closeDate: null } });
+  });
+});
+
+test('rejects unsupported metric fields and group-by fields', async () => {
+  const server = new TwentyCRMServer({ quiet: true });
+
+  await withFetch(() => json({}), async (calls) => {
+    const sumText = await aggregate(server, { sum: ['name'] });
+    assert.match(sumText.content[0].text, /^Error: Cannot compute sum of TEXT field "name"/);
+
+    const groupDate = await aggregate(server, { groupBy: 'closeDate' });
+    assert.match(groupDate.content[0].text, /^Error: Can only group by SELECT fields; "closeDate" is DATE_TIME/);
+
+    assert.equal(calls.length, 0);
+  });
+});
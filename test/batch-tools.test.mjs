@@ -0,0 +1,114 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+import { json, withFetch } from './helpers/fetch.mjs';
+import { parsePayload } from './helpers/mcp-client.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+process.env.TWENTY_API_KEY ??= 'test-token';
+process.env.TWENTY_BASE_URL ??= 'https://api.example.com';
+process.env.SCHEMA_PATH = join(__dirname, '..', 'schema');
+
+const { TwentyCRMServer } = await import('../index.js');
+
+test('batch tools are generated for every object', () => {
+  const server = new TwentyCRMServer({ quiet: true });
+  const names = server.tools.map(tool => tool.name);
+  assert.ok(names.includes('batch_create_people'));
+  assert.ok(names.includes('batch_update_companies'));
+
+  const tool = server.tools.find(entry => entry.name === 'batch_update_people');
+  assert.deepEqual(tool.inputSchema.properties.records.items.required, ['id']);
+});
+
+test('batch_create uses the batch endpoint and sanitizes each record', async () => {
+  const server = new TwentyCRMServer({ quiet: true });
+
+  await withFetch((call) => json({
+    data: { createPeople: call.body.map((_, index) => ({ id: `p-${index}` })) }
+  }), async (calls) => {
+    const result = await server.dispatchToolCall({
+      params: {
+        name: 'batch_create_people',
+        arguments: {
+          records: [
+            { name: { firstName: 'Ada' }, emails: 'ada@example.com', company: { id: 'c-1' } },
+            { name: { firstName: 'Grace' } }
+          ]
+        }
+      }
+    });
+
+    assert.equal(calls.length, 1);
+    assert.ok(calls[0].url.pathname.endsWith('/rest/batch/people'));
+    assert.deepEqual(calls[0].body[0].emails, { primaryEmail: 'ada@example.com', additionalEmails: null });
+    assert.equal(calls[0].body[0].companyId, 'c-1');
+
+    const report = parsePayload(result);
+    assert.deepEqual(report.summary, { total: 2, succeeded: 2, failed: 0 });
+    assert.deepEqual(report.results.map(entry => entry.id), ['p-0', 'p-1']);
+  });
+});
+
+test('batch_create falls back to single creates when the batch is rejected', async () => {
+  const server = new TwentyCRMServer({ quiet: true });
+
+  await withFetch((call) => {
+    if (call.url.pathname.endsWith('/rest/batch/companies')) {
+      return json({ error: 'invalid record' }, 400);
+    }
+    if (call.body.name === 'Bad Co') {
+      return json({ messages: ['name is reserved'] }, 400);
+    }
+    return json({ data: { createCompany: { id: `id-${call.body.name}` } } });
+  }, async (calls) => {
+    const result = await server.dispatchToolCall({
+      params: {
+        name: 'batch_create_companies',
+        arguments: { records: [{ name: 'Good Co' }, { name: 'Bad Co' }, {}] }
+      }
+    });
+
+    // one batch attempt + two single creates; the empty record is never sent
+    assert.equal(calls.length, 3);
+
+    const report = parsePayload(result);
+    assert.deepEqual(report.summary, { total: 3, succeeded: 1, failed: 2 });
+    assert.equal(report.results[0].status, 'created');
+    assert.equal(report.results[1].status, 'error');
+    assert.equal(report.results[1].error.status, 400);
+    assert.equal(report.results[2].error, 'No fields provided');
+  });
+});
+
+test('batch_update reports per-record results', async () => {
+  const server = new TwentyCRMServer({ quiet: true, confirmOperations: [] });
+
+  await withFetch((call) => (
+    call.url.pathname.endsWith('/missing') ? json({ error: 'not found' }, 404) : json({ data: { id: 'ok' } })
+  ), async (calls) => {
+    const result = await server.dispatchToolCall({
+      params: {
+        name: 'batch_update_people',
+        arguments: {
+          records: [
+            { id: 'p-1', jobTitle: 'CTO' },
+            { id: 'missing', jobTitle: 'CEO' },
+            { jobTitle: 'No id' }
+          ]
+        }
+      }
+    });
+
+    assert.equal(calls.length, 2);
+    assert.ok(calls.every(call => call.method === 'PUT'));
+
+    const report = parsePayload(result);
+    assert.deepEqual(report.summary, { total: 3, succeeded: 1, failed: 2 });
+    assert.equal(report.results[1].error.status, 404);
+    assert.equal(report.results[2].error, 'Missing "id"');
+  });
+});
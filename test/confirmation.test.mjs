@@ -0,0 +1,130 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+import { ElicitRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+import { withFetch } from './helpers/fetch.mjs';
+import { withMcpClient } from './helpers/mcp-client.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+process.env.TWENTY_API_KEY ??= 'test-token';
+process.env.TWENTY_BASE_URL ??= 'https://api.example.com';
+process.env.SCHEMA_PATH = join(__dirname, '..', 'schema');
+
+const { TwentyCRMServer } = await import('../index.js');
+const { ConfirmationPolicy } = await import('../confirmation.js');
+
+function call(server, name, args) {
+  return server.dispatchToolCall({ params: { name, arguments: args } });
+}
+
+const deleted = () => ({ data: { deleteCompany: { id: 'c1' } } });
+
+async function withElicitingClient(answer, fn) {
+  const prompts = [];
+  await withMcpClient(new TwentyCRMServer({ quiet: true }), client => fn(client, prompts), {
+    capabilities: { elicitation: {} },
+    setup: client => client.setRequestHandler(ElicitRequestSchema, async request => {
+      prompts.push(request.params);
+      return answer;
+    })
+  });
+}
+
+test('ConfirmationPolicy defaults to delete, destroy and batch_update with per-object exemptions', () => {
+  const defaults = new ConfirmationPolicy();
+  assert.equal(defaults.requires('delete', ['companies', 'company']), true);
+  assert.equal(defaults.requires('batch_update', ['people', 'person']), true);
+  assert.equal(defaults.requires('update', ['people', 'person']), false);
+
+  const custom = new ConfirmationPolicy({ confirm: ['delete', 'update:companies'], skip: ['delete:notes'] });
+  assert.equal(custom.requires('delete', ['notes', 'note']), false);
+  assert.equal(custom.requires('update', ['companies', 'company']), true);
+  assert.equal(custom.requires('destroy', ['companies', 'company']), false);
+});
+
+test('without elicitation a dry run returns a one-time token bound to the arguments', async () => {
+  const server = new TwentyCRMServer({ quiet: true });
+
+  await withFetch(deleted, async calls => {
+    const dryRun = await call(server, 'delete_company', { id: 'c1' });
+    assert.equal(calls.length, 0);
+    assert.equal(dryRun.isError, undefined);
+    assert.match(dryRun.content[0].text, /^Confirmation required \(dry run, nothing was changed\)\. Would delete Company c1/);
+    const token = dryRun.structuredContent.confirmationToken;
+    assert.match(dryRun.content[0].text, new RegExp(`"confirmationToken": "${token}"`));
+    assert.equal(dryRun.structuredContent.confirmationRequired, true);
+
+    const otherRecord = await call(server, 'delete_company', { id: 'c2', confirmationToken: token });
+    assert.match(otherRecord.content[0].text, /^Error: Invalid or expired confirmationToken/);
+    assert.equal(calls.length, 0);
+
+    const confirmed = await call(server, 'delete_company', { id: 'c1', confirmationToken: token });
+    assert.match(confirmed.content[0].text, /^Deleted Company c1/);
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].method, 'DELETE');
+
+    const replay = await call(server, 'delete_company', { id: 'c1', confirmationToken: token });
+    assert.match(replay.content[0].text, /^Error: Invalid or expired confirmationToken/);
+    assert.equal(calls.length, 1);
+  });
+});
+
+test('clients with elicitation are asked before the call runs', async () => {
+  await withElicitingClient({ action: 'accept', content: { confirm: true } }, async (client, prompts) => {
+    await withFetch(deleted, async calls => {
+      const result = await client.callTool({ name: 'delete_company', arguments: { id: 'c1' } });
+
+      assert.equal(prompts.length, 1);
+      assert.match(prompts[0].message, /Would delete Company c1/);
+      assert.equal(calls.length, 1);
+      assert.deepEqual(result.structuredContent, { id: 'c1' });
+    });
+  });
+
+  await withElicitingClient({ action: 'decline' }, async (client, prompts) => {
+    await withFetch(deleted, async calls => {
+      const result = await client.callTool({ name: 'destroy_company', arguments: { id: 'c1' } });
+
+      assert.equal(prompts.length, 1);
+      assert.equal(calls.length, 0);
+      assert.equal(result.isError, true);
+      assert.match(result.content[0].text, /^Cancelled: the user did not confirm/);
+    });
+  });
+});
+
+test('dry runs are normal results that satisfy the tool output schema', async () => {
+  await withMcpClient(new TwentyCRMServer({ quiet: true }), async client => {
+    await client.listTools();
+
+    await withFetch(deleted, async calls => {
+      for (const [name, args] of [['delete_company', { id: 'c1' }], ['batch_update_people', { records: [{ id: 'p1', jobTitle: 'CTO' }] }]]) {
+        const result = await client.callTool({ name, arguments: args });
+        assert.equal(result.isError, undefined);
+        assert.equal(result.structuredContent.confirmationRequired, true);
+        assert.equal(result.structuredContent.expiresInMinutes, 5);
+        assert.match(result.structuredContent.summary, /^Would /);
+        assert.match(result.structuredContent.confirmationToken, /^[0-9a-f]+$/);
+      }
+      assert.equal(calls.length, 0);
+    });
+  });
+});
+
+test('exempted objects skip confirmation and do not advertise a token', async () => {
+  const server = new TwentyCRMServer({ quiet: true, skipConfirmation: ['delete:notes'] });
+  const tool = name => server.tools.find(entry => entry.name === name);
+
+  assert.ok(tool('delete_company').inputSchema.properties.confirmationToken);
+  assert.equal(tool('delete_note').inputSchema.properties.confirmationToken, undefined);
+  assert.equal(tool('update_company').inputSchema.properties.confirmationToken, undefined);
+
+  await withFetch(deleted, async calls => {
+    const result = await call(server, 'delete_note', { id: 'n1' });
+    assert.match(result.content[0].text, /^Deleted Note n1/);
+    assert.equal(calls.length, 1);
+  });
+});
@@ -0,0 +1,96 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+import { withFetch } from './helpers/fetch.mjs';
+import { parsePayload } from './helpers/mcp-client.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+process.env.TWENTY_API_KEY ??= 'test-token';
+process.env.TWENTY_BASE_URL ??= 'https://api.example.com';
+process.env.SCHEMA_PATH = join(__dirname, '..', 'schema');
+
+const { TwentyCRMServer } = await import('../index.js');
+
+const PERSON = {
+  id: 'p-1',
+  name: { firstName: 'Ada', lastName: 'Lovelace' },
+  emails: { primaryEmail: 'ada@example.com', additionalEmails: ['ada@work.example'] },
+  jobTitle: 'Engineer',
+  city: 'London',
+  createdAt: '2024-01-01T00:00:00.000Z'
+};
+
+function call(server, name, args) {
+  return server.dispatchToolCall({ params: { name, arguments: args } });
+}
+
+test('builds projection trees from field paths', () => {
+  const server = new TwentyCRMServer({ quiet: true });
+  const schema = server.resolveObject('people').schema;
+
+  assert.deepEqual(
+    server.buildFieldSelection(['name.firstName', 'emails', 'emails.primaryEmail', 'city'], schema),
+    { id: true, name: { firstName: true }, emails: true, city: true }
+  );
+  assert.equal(server.buildFieldSelection(undefined, schema), null);
+  assert.equal(server.buildFieldSelection([], schema), null);
+});
+
+test('rejects unknown fields and subfields', () => {
+  const server = new TwentyCRMServer({ quiet: true });
+  const schema = server.resolveObject('people').schema;
+
+  assert.throws(() => server.buildFieldSelection(['nope'], schema), /Unknown field "nope" on people/);
+  assert.throws(() => server.buildFieldSelection(['name.middleName'], schema), /Unknown subfield "middleName" for "name"/);
+  assert.throws(() => server.buildFieldSelection(['city.code'], schema), /Field "city" has no subfields/);
+  assert.throws(() => server.buildFieldSelection('city', schema), /"fields" must be an array/);
+});
+
+test('get_* returns only the selected fields of the unwrapped record', async () => {
+  const server = new TwentyCRMServer({ quiet: true });
+
+  await withFetch(() => ({ data: { person: PERSON } }), async () => {
+    const payload = parsePayload(await call(server, 'get_person', { id: 'p-1', fields: ['name.firstName', 'emails.primaryEmail'] }));
+    assert.deepEqual(payload, { id: 'p-1', name: { firstName: 'Ada' }, emails: { primaryEmail: 'ada@example.com' } });
+
+    const full = parsePayload(await call(server, 'get_person', { id: 'p-1' }));
+    assert.deepEqual(full, { data: { person: PERSON } });
+  });
+});
+
+test('list_* projects items and drops raw when fields are set', async () => {
+  const server = new TwentyCRMServer({ quiet: true });
+
+  await withFetch(() => ({ data: { people: [PERSON] }, totalCount: 1 }), async () => {
+    const projected = parsePayload(await call(server, 'list_people', { fields: ['jobTitle'] }));
+    assert.deepEqual(projected.items, [{ id: 'p-1', jobTitle: 'Engineer' }]);
+    assert.equal(projected.raw, undefined);
+
+    const withRaw = parsePayload(await call(server, 'list_people', { fields: ['jobTitle'], includeRaw: true }));
+    assert.ok(withRaw.raw);
+
+    const noRaw = parsePayload(await call(server, 'list_people', { includeRaw: false }));
+    assert.deepEqual(noRaw.items, [PERSON]);
+    assert.equal(noRaw.raw, undefined);
+
+    const unknown = await call(server, 'list_people', { fields: ['nope'] });
+    assert.match(unknown.content[0].text, /^Error: Unknown field "nope"/);
+  });
+});
+
+test('search_records applies fields to every object type', async () => {
+  const server = new TwentyCRMServer({ quiet: true });
+
+  await withFetch(() => ({ data: { people: [PERSON] } }), async () => {
+    const payload = parsePayload(await call(server, 'search_records', {
+      query: 'ada',
+      objectTypes: ['people'],
+      fields: ['name.lastName']
+    }));
+    assert.deepEqual(payload.people.data.items, [{ id: 'p-1', name: { lastName: 'Lovelace' } }]);
+    assert.equal(payload.people.data.raw, undefined);
+  });
+});
@@ -0,0 +1,165 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+import { buildFilterSchema, buildOrderBySchema, compileFilter, compileGraphqlFilter, compileOrderBy } from '../filter-builder.js';
+import { withFetch } from './helpers/fetch.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+process.env.TWENTY_API_KEY ??= 'test-token';
+process.env.TWENTY_BASE_URL ??= 'https://api.example.com';
+process.env.SCHEMA_PATH = join(__dirname, '..', 'schema');
+
+const { TwentyCRMServer } = await import('../index.js');
+
+const server = new TwentyCRMServer({ quiet: true });
+const people = server.resolveObject('people').schema;
+const opportunities = server.resolveObject('opportunities').schema;
+
+test('compiles field conditions and shorthands', () => {
+  assert.equal(compileFilter({ city: 'Paris' }, people), 'city[eq]:"Paris"');
+  assert.equal(compileFilter({ city: ['Paris', 'Lyon'] }, people), 'city[in]:["Paris","Lyon"]');
+  assert.equal(compileFilter({ jobTitle: null }, people), 'jobTitle[is]:NULL');
+  assert.equal(
+    compileFilter({ 'name.firstName': { ilike: '%ada%' }, createdAt: { gte: '2024-01-01', lt: '2025-01-01' } }, people),
+    'and(name.firstName[ilike]:"%ada%",createdAt[gte]:"2024-01-01",createdAt[lt]:"2025-01-01")'
+  );
+});
+
+test('compiles and/or/not groups', () => {
+  assert.equal(
+    compileFilter({
+      or: [{ city: 'Paris' }, { city: 'Lyon', jobTitle: { is: 'NOT_NULL' } }],
+      not: { 'emails.primaryEmail': { like: '%@example.com' } }
+    }, people),
+    'and(or(city[eq]:"Paris",and(city[eq]:"Lyon",jobTitle[is]:NOT_NULL)),not(emails.primaryEmail[like]:"%@example.com"))'
+  );
+});
+
+test('maps composite fields to their primary subfield and relations to their id column', () => {
+  assert.equal(compileFilter({ emails: 'ada@example.com' }, people), 'emails.primaryEmail[eq]:"ada@example.com"');
+  assert.equal(compileFilter({ company: 'c-1' }, people), 'companyId[eq]:"c-1"');
+  assert.equal(
+    compileFilter({ 'amount.amountMicros': { gte: 1000000 }, stage: { in: ['NEW', 'MEETING'] } }, opportunities),
+    'and(amount.amountMicros[gte]:1000000,stage[in]:["NEW","MEETING"])'
+  );
+});
+
+test('compiles the same filters into GraphQL filter objects', () => {
+  assert.deepEqual(
+    compileGraphqlFilter({
+      'name.firstName': { ilike: '%ada%' },
+      company: 'c-1',
+      or: [{ city: 'Paris' }, { jobTitle: null }]
+    }, people),
+    {
+      and: [
+        { name: { firstName: { ilike: '%ada%' } } },
+        { companyId: { eq: 'c-1' } },
+        { or: [{ city: { eq: 'Paris' } }, { jobTitle: { is: 'NULL' } }] }
+      ]
+    }
+  );
+  assert.deepEqual(compileGraphqlFilter({ not: { city: ['Paris', 'Lyon'] } }, people), { not: { city: { in: ['Paris', 'Lyon'] } } });
+  assert.throws(() => compileGraphqlFilter('city[eq]:"Paris"', people), /Raw filter strings cannot be used with GraphQL/);
+});
+
+test('parses and validates filter strings in Twenty syntax', () => {
+  assert.equal(compileFilter('city[eq]:"Paris"', people), 'city[eq]:"Paris"');
+  assert.equal(
+    compileFilter('and(city[in]:["Paris","Lyon"], or(jobTitle[is]:NULL,not(company[eq]:c-1)))', people),
+    'and(city[in]:["Paris","Lyon"],or(jobTitle[is]:NULL,not(companyId[eq]:"c-1")))'
+  );
+  assert.equal(compileFilter('amount.amountMicros[gte]:1000000', opportunities), 'amount.amountMicros[gte]:1000000');
+  assert.equal(compileFilter('  ', people), undefined);
+
+  assert.throws(() => compileFilter('nope[eq]:1', people), /Unknown filter field "nope" on people/);
+  assert.throws(() => compileFilter('city[near]:"x"', people), /Unknown filter operator "near"/);
+  assert.throws(() => compileFilter('stage[eq]:LOST', opportunities), /Invalid value "LOST" for "stage"/);
+  assert.throws(() => compileFilter('city[eq]:"Paris"&deletedAt[is]:NOT_NULL', people), /Invalid filter string at position 16: expected end of filter/);
+  assert.throws(() => compileFilter('and(city[eq]:"Paris"', people), /expected "," or "\)"/);
+  assert.throws(() => compileFilter('not(city[eq]:"Paris",city[eq]:"Lyon")', people), /a single condition inside not/);
+});
+
+test('rejects unknown fields, operators and invalid values', () => {
+  assert.throws(() => compileFilter({ nope: 1 }, people), /Unknown filter field "nope" on people/);
+  assert.throws(() => compileFilter({ city: { near: 'x' } }, people), /Unknown filter operator "near"/);
+  assert.throws(() => compileFilter({ name: 'Ada' }, people), /"name" is composite; use one of: name.firstName, name.lastName/);
+  assert.throws(() => compileFilter({ 'name.middleName': 'x' }, people), /Unknown subfield "middleName"/);
+  assert.throws(() => compileFilter({ stage: 'LOST' }, opportunities), /Invalid value "LOST" for "stage"/);
+  assert.throws(() => compileFilter({ createdAt: { like: '2024%' } }, people), /"like" is not supported on DATE_TIME/);
+  assert.throws(() => compileFilter({ city: { in: [] } }, people), /takes a non-empty array/);
+  assert.throws(() => compileFilter({ or: [] }, people), /"filters.or" must be a non-empty array/);
+  assert.throws(() => compileFilter({ noteTargets: 'x' }, people), /Cannot filter people on relation "noteTargets"/);
+});
+
+test('list schema documents filterable fields and combinators', () => {
+  const schema = buildFilterSchema(opportunities);
+  const [filterObject, filterString] = schema.oneOf;
+  assert.ok(filterObject.properties.stage.description.includes('NEW'));
+  assert.ok(filterObject.properties.companyId);
+  assert.equal(filterObject.properties.or.type, 'array');
+  assert.equal(filterString.type, 'string');
+
+  const tool = server.tools.find(entry => entry.name === 'list_opportunities');
+  assert.deepEqual(tool.inputSchema.properties.filters, schema);
+
+  // Aggregates go through GraphQL, which has no filter strings
+  const aggregate = server.tools.find(entry => entry.name === 'aggregate_opportunities');
+  assert.deepEqual(aggregate.inputSchema.properties.filters, filterObject);
+});
+
+test('compiles sort orders with direction and nulls placement', () => {
+  assert.equal(
+    compileOrderBy([{ field: 'amount', direction: 'desc' }, { field: 'createdAt' }, { field: 'company', nulls: 'first' }], opportunities),
+    'amount.amountMicros[DescNullsLast],createdAt[AscNullsLast],companyId[AscNullsFirst]'
+  );
+  assert.equal(compileOrderBy({ field: 'name.lastName', direction: 'DESC' }, people), 'name.lastName[DescNullsLast]');
+  assert.equal(compileOrderBy([], people), undefined);
+});
+
+test('rejects unsortable fields and bad directions', () => {
+  assert.throws(() => compileOrderBy([{ field: 'nope' }], people), /Unknown sort field "nope" on people; sortable fields:/);
+  assert.throws(() => compileOrderBy([{ field: 'name' }], people), /Sort field "name" is composite/);
+  assert.throws(() => compileOrderBy([{ field: 'stage', direction: 'up' }], opportunities), /Invalid sort direction "up"/);
+  assert.throws(() => compileOrderBy([{ field: 'stage', nulls: 'middle' }], opportunities), /Invalid nulls position "middle"/);
+  assert.throws(() => compileOrderBy([{ field: 'emails.additionalEmails' }], people), /Cannot sort people by list subfield/);
+  assert.throws(() => compileOrderBy([{ direction: 'asc' }], people), /"orderBy\[0\]" needs a "field"/);
+
+  const tool = server.tools.find(entry => entry.name === 'list_people');
+  assert.deepEqual(tool.inputSchema.properties.orderBy, buildOrderBySchema(people));
+});
+
+test('list tools send the compiled filter to Twenty', async () => {
+  await withFetch(() => ({ data: { people: [] } }), async calls => {
+    await server.dispatchToolCall({
+      params: { name: 'list_people', arguments: { limit: 5, filters: { city: 'Paris', jobTitle: 'CTO' }, orderBy: [{ field: 'createdAt', direction: 'desc' }] } }
+    });
+    const result = await server.dispatchToolCall({
+      params: { name: 'list_people', arguments: { filters: { nope: 1 } } }
+    });
+
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].url.searchParams.get('filter'), 'and(city[eq]:"Paris",jobTitle[eq]:"CTO")');
+    assert.equal(calls[0].url.searchParams.get('order_by'), 'createdAt[DescNullsLast]');
+    assert.equal(calls[0].url.searchParams.get('limit'), '5');
+    assert.match(result.content[0].text, /^Error: Unknown filter field "nope"/);
+  });
+});
+
+test('list tools refuse arguments they do not declare', async () => {
+  await withFetch(() => ({ data: { people: [] } }), async calls => {
+    const typo = await server.dispatchToolCall({ params: { name: 'list_people', arguments: { limt: 5 } } });
+    const field = await server.dispatchToolCall({ params: { name: 'list_people', arguments: { city: 'Paris' } } });
+
+    assert.equal(calls.length, 0);
+    assert.match(typo.content[0].text, /^Error: Unknown argument\(s\) for list_people: limt; expected: limit, offset, /);
+    assert.match(field.content[0].text, /^Error: Unknown argument\(s\) for list_people: city; filter on fields under "filters", e\.g\. \{"filters": \{"city": \.\.\.\}\}/);
+  });
+
+  const tool = server.tools.find(entry => entry.name === 'list_people');
+  assert.equal(tool.inputSchema.additionalProperties, false);
+});
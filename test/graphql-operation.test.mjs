@@ -0,0 +1,330 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+import { withFetch } from './helpers/fetch.mjs';
+import { parsePayload } from './helpers/mcp-client.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+process.env.TWENTY_API_KEY ??= 'test-token';
+process.env.TWENTY_BASE_URL ??= 'https://api.example.com';
+process.env.SCHEMA_PATH = join(__dirname, '..', 'schema');
+
+const { TwentyCRMServer } = await import('../index.js');
+const { SchemaLoader } = await import('../schema-loader.js');
+const { buildOperationDocument } = await import('../graphql-document.js');
+
+const scalar = name => ({ kind: 'SCALAR', name });
+const object = name => ({ kind: 'OBJECT', name });
+const nonNull = ofType => ({ kind: 'NON_NULL', name: null, ofType });
+const list = ofType => ({ kind: 'LIST', name: null, ofType });
+const field = (name, type, args = []) => ({ name, description: null, args, type });
+const arg = (name, type) => ({ name, description: null, defaultValue: null, type });
+
+// Shaped like the files sync-schema writes
+const OPERATIONS = {
+  data: {
+    __schema: {
+      queryType: {
+        fields: [
+          field('companies', object('CompanyConnection'), [
+            arg('filter', { kind: 'INPUT_OBJECT', name: 'CompanyFilterInput' }),
+            arg('first', scalar('Int'))
+          ]),
+          field('company', object('Company'), [arg('filter', { kind: 'INPUT_OBJECT', name: 'CompanyFilterInput' })])
+        ]
+      },
+      mutationType: {
+        fields: [
+          field('createCompany', object('Company'), [arg('data', nonNull({ kind: 'INPUT_OBJECT', name: 'CompanyCreateInput' }))]),
+          field('deleteCompany', object('Company'), [arg('id', nonNull(scalar('UUID')))]),
+          field('destroyCompanies', list(object('Company')), [arg('filter', nonNull({ kind: 'INPUT_OBJECT', name: 'CompanyFilterInput' }))])
+        ]
+      }
+    }
+  }
+};
+
+const TYPES = {
+  data: {
+    __schema: {
+      types: [
+        {
+          name: 'Company',
+          kind: 'OBJECT',
+          fields: [
+            field('id', nonNull(scalar('UUID'))),
+            field('name', scalar('String')),
+            field('domainName', object('Links')),
+            field('people', object('PersonConnection'), [arg('first', scalar('Int'))])
+          ]
+        },
+        { name: 'Links', kind: 'OBJECT', fields: [field('primaryLinkUrl', scalar('String'))] },
+        { name: 'Person', kind: 'OBJECT', fields: [field('id', nonNull(scalar('UUID'))), field('jobTitle', scalar('String'))] },
+        {
+          name: 'CompanyConnection',
+          kind: 'OBJECT',
+          fields: [
+            field('totalCount', scalar('Int')),
+            field('sumEmployees', scalar('Float')),
+            field('edges', nonNull(list(nonNull(object('CompanyEdge')))))
+          ]
+        },
+        { name: 'CompanyEdge', kind: 'OBJECT', fields: [field('node', nonNull(object('Company')))] },
+        {
+          name: 'PersonConnection',
+          kind: 'OBJECT',
+          fields: [field('edges', nonNull(list(nonNull(object('PersonEdge')))))]
+        },
+        { name: 'PersonEdge', kind: 'OBJECT', fields: [field('node', nonNull(object('Person')))] }
+      ]
+    }
+  }
+};
+
+const COMPANY_OBJECT = {
+  nameSingular: 'company',
+  namePlural: 'companies',
+  labelSingular: 'Company',
+  labelPlural: 'Companies',
+  isActive: true,
+  isSystem: false,
+  fields: []
+};
+
+const getType = name => TYPES.data.__schema.types.find(type => type.name === name) || null;
+
+async function withSyncedServer(options, fn) {
+  const schemaPath = mkdtempSync(join(tmpdir(), 'twenty-graphql-'));
+  writeFileSync(join(schemaPath, 'rest-metadata-objects.json'), JSON.stringify({ data: { objects: [COMPANY_OBJECT] } }));
+  writeFileSync(join(schemaPath, 'available-operations.json'), JSON.stringify(OPERATIONS));
+  writeFileSync(join(schemaPath, 'graphql-types.json'), JSON.stringify(TYPES));
+
+  try {
+    await withFetch(() => ({ data: { companies: { totalCount: 1 }, createCompany: { id: 'c1' } } }), calls => {
+      const server = new TwentyCRMServer({ quiet: true, ...options });
+      server.schemaLoader = new SchemaLoader({ schemaPath });
+      server.schemaLoader.loadSchemas({ force: true });
+      return fn(server, calls);
+    });
+  } finally {
+    rmSync(schemaPath, { recursive: true, force: true });
+  }
+}
+
+function execute(server, args) {
+  return server.dispatchToolCall({ params: { name: 'execute_graphql_operation', arguments: args } });
+}
+
+test('builds a document from argument and return types', () => {
+  const { document, variables } = buildOperationDocument({
+    operation: OPERATIONS.data.__schema.queryType.fields[0],
+    operationType: 'query',
+    variables: { filter: { name: { eq: 'Acme' } } },
+    getType
+  });
+
+  assert.equal(document, [
+    'query Companies($filter: CompanyFilterInput) {',
+    '  companies(filter: $filter) {',
+    '    totalCount',
+    '    edges {',
+    '      node {',
+    '        id',
+    '        name',
+    '      }',
+    '    }',
+    '  }',
+    '}'
+  ].join('\n'));
+  assert.deepEqual(variables, { filter: { name: { eq: 'Acme' } } });
+});
+
+test('depth expands nested objects and relation connections', () => {
+  const { document } = buildOperationDocument({
+    operation: OPERATIONS.data.__schema.queryType.fields[1],
+    operationType: 'query',
+    depth: 2,
+    getType
+  });
+
+  assert.match(document, /^query Company \{\n {2}company \{/);
+  assert.match(document, /domainName \{\n\s+primaryLinkUrl\n\s+\}/);
+  assert.match(document, /people \{\n\s+edges \{\n\s+node \{\n\s+id\n\s+jobTitle/);
+});
+
+test('runs a query through /graphql and returns the operation data', async () => {
+  await withSyncedServer({}, async (server, calls) => {
+    const result = await execute(server, { operation: 'companies', variables: { first: 5 } });
+
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].url.pathname, '/graphql');
+    assert.match(calls[0].body.query, /^query Companies\(\$first: Int\)/);
+    assert.deepEqual(calls[0].body.variables, { first: 5 });
+    assert.doesNotMatch(calls[0].body.query, /sumEmployees/);
+
+    assert.match(result.content[0].text, /^Executed query companies/);
+    assert.deepEqual(parsePayload(result).data, { totalCount: 1 });
+  });
+});
+
+test('rejects unknown and missing arguments before calling Twenty', async () => {
+  await withSyncedServer({ allowedGraphqlMutations: ['*'], confirmOperations: [] }, async (server, calls) => {
+    const unknown = await execute(server, { operation: 'companies', variables: { limit: 5 } });
+    const missing = await execute(server, { operation: 'createCompany' });
+
+    assert.equal(calls.length, 0);
+    assert.match(unknown.content[0].text, /^Error: Unknown argument\(s\) for companies: limit; expected: filter, first/);
+    assert.match(missing.content[0].text, /^Error: Missing required argument\(s\) for createCompany: data \(CompanyCreateInput!\)/);
+  });
+});
+
+test('mutations only run when allowlisted', async () => {
+  await withSyncedServer({ allowedGraphqlMutations: ['create*'], confirmOperations: [] }, async (server, calls) => {
+    const created = await execute(server, { operation: 'createCompany', variables: { data: { name: 'Acme' } } });
+    const blocked = await execute(server, { operation: 'destroyCompanies', variables: { filter: {} } });
+
+    assert.equal(calls.length, 1);
+    assert.match(calls[0].body.query, /^mutation CreateCompany\(\$data: CompanyCreateInput!\)/);
+    assert.match(created.content[0].text, /^Executed mutation createCompany/);
+    assert.match(blocked.content[0].text, /^Error: Mutation "destroyCompanies" is not allowed/);
+  });
+
+  await withSyncedServer({}, async (server, calls) => {
+    const blocked = await execute(server, { operation: 'createCompany', variables: { data: {} } });
+
+    assert.equal(calls.length, 0);
+    assert.match(blocked.content[0].text, /TWENTY_GRAPHQL_ALLOWED_MUTATIONS/);
+  });
+});
+
+test('allowlisted mutations wait for confirmation, queries do not', async () => {
+  await withSyncedServer({ allowedGraphqlMutations: ['deleteCompany'] }, async (server, calls) => {
+    const tool = server.tools.find(entry => entry.name === 'execute_graphql_operation');
+    assert.ok(tool.inputSchema.properties.confirmationToken);
+
+    const args = { operation: 'deleteCompany', variables: { id: 'c1' } };
+    const held = await execute(server, args);
+    assert.equal(held.isError, undefined);
+    assert.match(held.content[0].text, /^Confirmation required \(dry run, nothing was changed\)\. Would run the deleteCompany mutation with \{"id":"c1"\}/);
+    assert.equal(calls.length, 0);
+
+    const token = held.content[0].text.match(/"confirmationToken": "([0-9a-f]+)"/)[1];
+    const deleted = await execute(server, { ...args, confirmationToken: token });
+    assert.match(deleted.content[0].text, /^Executed mutation deleteCompany/);
+    assert.equal(calls.length, 1);
+
+    const queried = await execute(server, { operation: 'companies' });
+    assert.match(queried.content[0].text, /^Executed query companies/);
+    assert.equal(calls.length, 2);
+  });
+
+  await withSyncedServer({ allowedGraphqlMutations: ['deleteCompany'], skipConfirmation: ['graphql'] }, async (server, calls) => {
+    await execute(server, { operation: 'deleteCompany', variables: { id: 'c1' } });
+    assert.equal(calls.length, 1);
+  });
+});
+
+test('GraphQL operations on objects left out by the object lists are refused', async () => {
+  await withSyncedServer({ allowedGraphqlMutations: ['*'], confirmOperations: [], excludeObjects: ['companies'] }, async (server, calls) => {
+    const listed = await execute(server, { operation: 'companies' });
+    const deleted = await execute(server, { operation: 'deleteCompany', variables: { id: 'c1' } });
+    assert.match(listed.content[0].text, /^Error: GraphQL operation "companies" is not permitted: companies is excluded/);
+    assert.match(deleted.content[0].text, /^Error: GraphQL operation "deleteCompany" is not permitted: companies is excluded/);
+    assert.equal(calls.length, 0);
+  });
+
+  await withSyncedServer({ includeObjects: ['people'] }, async (server, calls) => {
+    const listed = await execute(server, { operation: 'companies' });
+    assert.match(listed.content[0].text, /is not permitted: companies is excluded/);
+    assert.equal(calls.length, 0);
+  });
+});
+
+test('operation rules for an object apply to GraphQL operations on it', async () => {
+  const mutations = { allowedGraphqlMutations: ['*'], confirmOperations: [] };
+
+  await withSyncedServer({ ...mutations, denyOperations: ['delete:companies'] }, async (server, calls) => {
+    const denied = await execute(server, { operation: 'deleteCompany', variables: { id: 'c1' } });
+    assert.equal(denied.isError, true);
+    assert.match(denied.content[0].text, /^Error: GraphQL operation "deleteCompany" is not permitted: it is blocked by the server's tool policy/);
+
+    const created = await execute(server, { operation: 'createCompany', variables: { data: { name: 'Acme' } } });
+    assert.match(created.content[0].text, /^Executed mutation createCompany/);
+    assert.equal(calls.length, 1);
+  });
+
+  await withSyncedServer({ ...mutations, denyOperations: ['*:people', 'destroy'] }, async (server, calls) => {
+    const destroyed = await execute(server, { operation: 'destroyCompanies', variables: { filter: {} } });
+    assert.match(destroyed.content[0].text, /is not permitted: it is blocked by the server's tool policy/);
+    assert.equal(calls.length, 0);
+  });
+
+  await withSyncedServer({ ...mutations, denyOperations: ['*:company'] }, async (server, calls) => {
+    const listed = await execute(server, { operation: 'companies' });
+    const fetched = await execute(server, { operation: 'company', variables: {} });
+    assert.match(listed.content[0].text, /^Error: GraphQL operation "companies" is not permitted/);
+    assert.match(fetched.content[0].text, /^Error: GraphQL operation "company" is not permitted/);
+    assert.equal(calls.length, 0);
+  });
+
+  // Refused before the dry run, so no confirmation token is handed out
+  await withSyncedServer({ allowedGraphqlMutations: ['*'], denyOperations: ['delete'] }, async (server, calls) => {
+    const held = await execute(server, { operation: 'deleteCompany', variables: { id: 'c1' } });
+    assert.match(held.content[0].text, /^Error: GraphQL operation "deleteCompany" is not permitted/);
+    assert.doesNotMatch(held.content[0].text, /confirmationToken/);
+    assert.equal(calls.length, 0);
+  });
+});
+
+test('asks for a schema sync when the export lacks argument types', async () => {
+  const server = new TwentyCRMServer({ quiet: true });
+  const result = await execute(server, { operation: 'companies' });
+
+  assert.match(result.content[0].text, /^Error: The schema export has no argument or return types for "companies"; run "npm run sync-schema"/);
+});
+
+function describe(server, args) {
+  return server.dispatchToolCall({ params: { name: 'get_available_operations', arguments: args } });
+}
+
+test('get_available_operations describes arguments and the return-type tree', async () => {
+  await withSyncedServer({}, async server => {
+    const summary = parsePayload(await describe(server, { nameContains: 'createCompany' }));
+    assert.deepEqual(summary.operations, [{ name: 'createCompany', type: 'mutation', description: null }]);
+
+    const full = parsePayload(await describe(server, { nameContains: 'createCompany', detail: 'full' }));
+    assert.deepEqual(full.operations[0].arguments, [
+      { name: 'data', type: 'CompanyCreateInput!', nonNull: true, defaultValue: null }
+    ]);
+    assert.deepEqual(full.operations[0].returns, {
+      type: 'Company',
+      fields: { id: 'UUID!', name: 'String', domainName: 'Links', people: 'PersonConnection' }
+    });
+
+    const nested = parsePayload(await describe(server, { nameContains: 'companies', detail: 'full', depth: 2 }));
+    assert.deepEqual(nested.operations[0].returns.fields.edges.fields.node.fields.domainName, {
+      type: 'Links',
+      fields: { primaryLinkUrl: 'String' }
+    });
+    assert.equal(nested.operations[0].returns.fields.sumEmployees, undefined);
+  });
+});
+
+test('detailed operation listings are capped and flag exports without types', async () => {
+  const server = new TwentyCRMServer({ quiet: true });
+  const payload = parsePayload(await describe(server, { type: 'query', detail: 'arguments' }));
+
+  assert.equal(payload.operations.length, 20);
+  assert.equal(payload.operations[0].arguments, null);
+  assert.ok(payload.total > 20);
+  assert.match(payload.note, /narrow with nameContains/);
+  assert.match(payload.note, /npm run sync-schema/);
+
+  const invalid = await describe(server, { detail: 'everything' });
+  assert.match(invalid.content[0].text, /^Error: "detail" must be one of: summary, arguments, full/);
+});
@@ -0,0 +1,42 @@
+/**
+ * Fetch stub shared by the tests: swaps globalThis.fetch while a test body
+ * runs and records every request made through it.
+ */
+
+export function json(body, status = 200) {
+  return new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json' } });
+}
+
+function parseBody(body) {
+  if (typeof body !== 'string') {
+    return body;
+  }
+  try {
+    return JSON.parse(body);
+  } catch {
+    return body;
+  }
+}
+
+/**
+ * @param {(call: { url: URL, method?: string, headers?: Object, body?: any, init: Object }) => any} respond
+ *   Returns a Response, or a plain value that is sent as JSON; a thrown error
+ *   reaches the caller like a network failure
+ * @param {(calls: Array<Object>) => Promise<void>} fn - Receives the recorded calls
+ */
+export async function withFetch(respond, fn) {
+  const originalFetch = globalThis.fetch;
+  const calls = [];
+  globalThis.fetch = async (url, init = {}) => {
+    const call = { url: new URL(url), method: init.method, headers: init.headers, body: parseBody(init.body), init };
+    calls.push(call);
+    const response = await respond(call);
+    return response instanceof Response ? response : json(response);
+  };
+
+  try {
+    await fn(calls);
+  } finally {
+    globalThis.fetch = originalFetch;
+  }
+}
@@ -0,0 +1,38 @@
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+
+/**
+ * JSON payload of a tool result: everything after the summary line.
+ * @param {Object} result - CallToolResult
+ * @returns {*}
+ */
+export function parsePayload(result) {
+  const text = result.content[0].text;
+  return JSON.parse(text.slice(text.indexOf('\n') + 1));
+}
+
+/**
+ * Connect an in-memory MCP client to a fresh server session of `crmServer`,
+ * run `fn` with it and close it afterwards.
+ * @param {Object} crmServer - TwentyCRMServer
+ * @param {(client: Client) => Promise<void>} fn
+ * @param {Object} [options]
+ * @param {Object} [options.capabilities] - Client capabilities, e.g. { elicitation: {} }
+ * @param {(client: Client) => void} [options.setup] - Runs before connecting, e.g. to add request handlers
+ */
+export async function withMcpClient(crmServer, fn, { capabilities, setup } = {}) {
+  const mcpServer = crmServer.createMCPServer();
+  crmServer.setupHandlers(mcpServer);
+
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await mcpServer.connect(serverTransport);
+  const client = new Client({ name: 'test', version: '1.0.0' }, capabilities ? { capabilities } : undefined);
+  setup?.(client);
+  await client.connect(clientTransport);
+
+  try {
+    await fn(client);
+  } finally {
+    await client.close();
+  }
+}
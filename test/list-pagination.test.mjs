@@ -0,0 +1,127 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+import { json, withFetch } from './helpers/fetch.mjs';
+import { parsePayload } from './helpers/mcp-client.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+process.env.TWENTY_API_KEY ??= 'test-token';
+process.env.TWENTY_BASE_URL ??= 'https://api.example.com';
+process.env.SCHEMA_PATH = join(__dirname, '..', 'schema');
+
+const { TwentyCRMServer } = await import('../index.js');
+
+function list(server, args) {
+  return server.dispatchToolCall({ params: { name: 'list_companies', arguments: args } });
+}
+
+// 130 companies served in pages keyed by cursor "c-<index of last record>"
+const TOTAL = 130;
+function pagedCompanies(call) {
+  const after = call.url.searchParams.get('starting_after');
+  const limit = Number(call.url.searchParams.get('limit'));
+  const start = after ? Number(after.slice(2)) + 1 : 0;
+  const end = Math.min(start + limit, TOTAL);
+  const companies = [];
+  for (let index = start; index < end; index++) {
+    companies.push({ id: `id-${index}` });
+  }
+  return json({
+    data: { companies },
+    pageInfo: {
+      hasNextPage: end < TOTAL,
+      hasPreviousPage: start > 0,
+      startCursor: `c-${start}`,
+      endCursor: `c-${end - 1}`
+    },
+    totalCount: TOTAL
+  });
+}
+
+test('list returns cursors and forwards startingAfter / endingBefore', async () => {
+  const server = new TwentyCRMServer({ quiet: true });
+
+  await withFetch(pagedCompanies, async (calls) => {
+    const first = parsePayload(await list(server, { limit: 10 }));
+    assert.equal(first.items.length, 10);
+    assert.equal(first.summary.total, TOTAL);
+    assert.equal(first.summary.hasNextPage, true);
+    assert.equal(first.summary.nextCursor, 'c-9');
+    assert.equal(first.summary.previousCursor, undefined);
+
+    const second = parsePayload(await list(server, { limit: 10, startingAfter: first.summary.nextCursor }));
+    assert.equal(second.items[0].id, 'id-10');
+    assert.equal(second.summary.previousCursor, 'c-10');
+    assert.equal(calls[1].url.searchParams.get('starting_after'), 'c-9');
+    assert.equal(calls[1].url.searchParams.has('offset'), false);
+
+    await list(server, { limit: 10, endingBefore: 'c-10' });
+    assert.equal(calls[2].url.searchParams.get('ending_before'), 'c-10');
+  });
+});
+
+test('all: true walks every page without gaps or duplicates', async () => {
+  const server = new TwentyCRMServer({ quiet: true });
+
+  await withFetch(pagedCompanies, async (calls) => {
+    const payload = parsePayload(await list(server, { all: true, filters: { name: { like: '%a%' } } }));
+
+    assert.equal(payload.items.length, TOTAL);
+    assert.equal(new Set(payload.items.map(item => item.id)).size, TOTAL);
+    assert.equal(payload.summary.pages, 3);
+    assert.equal(payload.summary.hasNextPage, false);
+    assert.equal(payload.raw, undefined);
+    assert.ok(calls.every(call => call.url.searchParams.get('filter') === 'name[like]:"%a%"'));
+  });
+});
+
+test('all: true stops at maxRecords and returns a cursor to resume from', async () => {
+  const server = new TwentyCRMServer({ quiet: true });
+
+  await withFetch(pagedCompanies, async (calls) => {
+    const payload = parsePayload(await list(server, { all: true, maxRecords: 75 }));
+
+    assert.equal(payload.items.length, 75);
+    assert.equal(payload.summary.hasNextPage, true);
+    assert.equal(payload.summary.nextCursor, 'c-74');
+    assert.equal(calls[1].url.searchParams.get('limit'), '15');
+
+    const rest = parsePayload(await list(server, { all: true, startingAfter: payload.summary.nextCursor }));
+    assert.equal(rest.items.length, TOTAL - 75);
+    assert.equal(rest.items[0].id, 'id-75');
+  });
+});
+
+test('all: true stops when the cursor does not advance', async () => {
+  const server = new TwentyCRMServer({ quiet: true });
+
+  await withFetch(() => json({
+    data: { companies: [{ id: 'a' }] },
+    pageInfo: { hasNextPage: true, endCursor: 'stuck' }
+  }), async (calls) => {
+    const payload = parsePayload(await list(server, { all: true, startingAfter: 'stuck' }));
+    assert.equal(calls.length, 1);
+    assert.equal(payload.items.length, 1);
+    assert.equal(payload.summary.hasNextPage, false);
+  });
+});
+
+test('rejects conflicting pagination arguments', async () => {
+  const server = new TwentyCRMServer({ quiet: true });
+
+  await withFetch(pagedCompanies, async (calls) => {
+    const both = await list(server, { startingAfter: 'a', endingBefore: 'b' });
+    assert.match(both.content[0].text, /^Error: Use either "startingAfter" or "endingBefore"/);
+
+    const withOffset = await list(server, { offset: 20, startingAfter: 'a' });
+    assert.match(withOffset.content[0].text, /^Error: "offset" cannot be combined with a cursor/);
+
+    const backwards = await list(server, { all: true, endingBefore: 'b' });
+    assert.match(backwards.content[0].text, /^Error: "all" walks forward/);
+
+    assert.equal(calls.length, 0);
+  });
+});
@@ -0,0 +1,77 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TwentyCRMOAuthProvider } from '../oauth/provider.js';
+import { KeyRing } from '../oauth/crypto.js';
+import { MemoryOAuthStore } from '../oauth/store.js';
+import { withFetch } from './helpers/fetch.mjs';
+
+async function authorize(provider, apiKey) {
+  const client = await provider.clientsStore.registerClient({ client_name: 'Test', redirect_uris: ['https://client.example.com/cb'] });
+
+  let page;
+  let redirectedTo;
+  const res = { redirect: (url) => { redirectedTo = url; }, setHeader() {}, status() { return this; }, send(body) { page = body; } };
+  await provider.authorize(client, { redirectUri: 'https://client.example.com/cb', codeChallenge: 'c' }, res);
+  const requestId = page.match(/name="request_id" value="([^"]+)"/)[1];
+
+  await withFetch(() => ({}), () => provider.handleAuthorizeSubmit(
+    { body: { api_key: apiKey, request_id: requestId, scope: 'crm:read' } },
+    res
+  ));
+
+  const code = new URL(redirectedTo).searchParams.get('code');
+  const tokens = await provider.exchangeAuthorizationCode(client, code);
+  return { client, tokens };
+}
+
+test('API keys are stored encrypted and only returned by getApiKeyForToken', async () => {
+  const store = new MemoryOAuthStore();
+  const provider = new TwentyCRMOAuthProvider({ store, keyRing: new KeyRing({ keys: { k1: 'secret-one' } }) });
+  const { tokens } = await authorize(provider, 'twenty-plain-key');
+
+  for (const namespace of ['codes', 'tokens', 'refreshTokens']) {
+    const serialized = JSON.stringify(await store.entries(namespace));
+    assert.ok(!serialized.includes('twenty-plain-key'), `plaintext key found in ${namespace}`);
+  }
+
+  const authInfo = await provider.verifyAccessToken(tokens.access_token);
+  assert.ok(!JSON.stringify(authInfo).includes('twenty-plain-key'), 'verifyAccessToken leaked the API key');
+
+  assert.equal(await provider.getApiKeyForToken(tokens.access_token), 'twenty-plain-key');
+  assert.equal(await provider.getApiKeyForToken('unknown-token'), null);
+});
+
+test('rotating the active key keeps old tokens readable and re-encrypts on refresh', async () => {
+  const store = new MemoryOAuthStore();
+  const oldRing = new KeyRing({ keys: { k1: 'secret-one' } });
+  const provider = new TwentyCRMOAuthProvider({ store, keyRing: oldRing });
+  const { client, tokens } = await authorize(provider, 'twenty-plain-key');
+
+  const rotatedRing = new KeyRing({ keys: { k2: 'secret-two', k1: 'secret-one' }, activeKeyId: 'k2' });
+  const rotated = new TwentyCRMOAuthProvider({ store, keyRing: rotatedRing });
+
+  assert.equal(await rotated.getApiKeyForToken(tokens.access_token), 'twenty-plain-key');
+
+  const refreshed = await rotated.exchangeRefreshToken(client, tokens.refresh_token);
+  const newToken = await store.get('tokens', refreshed.access_token);
+  assert.equal(newToken.encryptedApiKey.kid, 'k2');
+  assert.equal((await store.get('refreshTokens', tokens.refresh_token)).encryptedApiKey.kid, 'k2');
+
+  // Once k1 is retired, only tokens re-encrypted under k2 still work
+  const retired = new TwentyCRMOAuthProvider({ store, keyRing: new KeyRing({ keys: { k2: 'secret-two' } }) });
+  assert.equal(await retired.getApiKeyForToken(refreshed.access_token), 'twenty-plain-key');
+});
+
+test('KeyRing.fromEnv parses key lists and the active key ID', () => {
+  assert.equal(KeyRing.fromEnv({}), null);
+
+  const ring = KeyRing.fromEnv({ OAUTH_ENCRYPTION_KEYS: 'k2:two,k1:one', OAUTH_ENCRYPTION_KEY_ID: 'k1' });
+  assert.equal(ring.activeKeyId, 'k1');
+  assert.deepEqual([...ring.keys.keys()], ['k2', 'k1']);
+
+  const single = KeyRing.fromEnv({ OAUTH_ENCRYPTION_KEY: 'only' });
+  assert.equal(single.activeKeyId, 'default');
+
+  assert.throws(() => KeyRing.fromEnv({ OAUTH_ENCRYPTION_KEY: 'x', OAUTH_ENCRYPTION_KEY_ID: 'missing' }), /not configured/);
+});
@@ -0,0 +1,156 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+import { TwentyCRMOAuthProvider } from '../oauth/provider.js';
+
+function mockResponse() {
+  return {
+    statusCode: 200,
+    headers: {},
+    setHeader(name, value) { this.headers[name] = value; },
+    status(code) { this.statusCode = code; return this; },
+    send(body) { this.body = body; return this; },
+    redirect(url) { this.redirectedTo = new URL(url); }
+  };
+}
+
+function createProvider() {
+  const provider = new TwentyCRMOAuthProvider();
+  provider.validateTwentyApiKey = async () => true;
+  return provider;
+}
+
+async function registerClient(provider) {
+  return provider.clientsStore.registerClient({ client_name: 'Agent', redirect_uris: ['https://client.example.com/cb'] });
+}
+
+// Render the authorize page for `scopes` and return the pending request id it carries
+async function startAuthorization(provider, client, scopes) {
+  const res = mockResponse();
+  await provider.authorize(client, { scopes, redirectUri: 'https://client.example.com/cb', codeChallenge: 'challenge', state: 's1' }, res);
+  return res.body.match(/name="request_id" value="([^"]+)"/)[1];
+}
+
+function submit(provider, body) {
+  const res = mockResponse();
+  return provider.handleAuthorizeSubmit({ body: { api_key: 'twenty-key', ...body } }, res).then(() => res);
+}
+
+test('authorize page lists requested scopes as ticked checkboxes', async () => {
+  const provider = createProvider();
+  const client = { client_id: 'c1', client_name: 'Agent' };
+
+  const res = mockResponse();
+  await provider.authorize(client, { scopes: ['crm:read', 'crm:delete', 'unknown'], redirectUri: 'https://client.example.com/cb' }, res);
+  assert.match(res.body, /name="scope" value="crm:read" checked/);
+  assert.match(res.body, /name="scope" value="crm:delete" checked/);
+  assert.doesNotMatch(res.body, /value="crm:write"/);
+  assert.doesNotMatch(res.body, /requested_scope|code_challenge/);
+
+  const requestId = res.body.match(/name="request_id" value="([^"]+)"/)[1];
+  const pending = await provider.store.get('authorizations', requestId);
+  assert.deepEqual(pending.scopes, ['crm:read', 'crm:delete']);
+
+  const legacy = mockResponse();
+  await provider.authorize(client, { scopes: ['mcp:tools'], redirectUri: 'https://client.example.com/cb' }, legacy);
+  for (const scope of ['crm:read', 'crm:write', 'crm:delete', 'crm:metadata', 'crm:graphql']) {
+    assert.match(legacy.body, new RegExp(`value="${scope}" checked`));
+  }
+
+  await assert.rejects(
+    provider.authorize(client, { scopes: ['admin'], redirectUri: 'https://client.example.com/cb' }, mockResponse()),
+    error => error.errorCode === 'invalid_scope'
+  );
+});
+
+test('tokens carry only the scopes the user ticked', async () => {
+  const provider = createProvider();
+  const client = await registerClient(provider);
+  const requestId = await startAuthorization(provider, client, ['crm:read', 'crm:write']);
+
+  // crm:graphql was not requested by the client, so ticking it or editing the
+  // form's hidden fields does not grant it
+  const res = await submit(provider, {
+    request_id: requestId,
+    requested_scope: 'crm:graphql',
+    redirect_uri: 'https://attacker.example.com/cb',
+    scope: ['crm:read', 'crm:graphql']
+  });
+  assert.equal(res.redirectedTo.origin, 'https://client.example.com');
+  assert.equal(res.redirectedTo.searchParams.get('state'), 's1');
+  const code = res.redirectedTo.searchParams.get('code');
+  assert.equal(await provider.challengeForAuthorizationCode(client, code), 'challenge');
+
+  const tokens = await provider.exchangeAuthorizationCode(client, code);
+  assert.equal(tokens.scope, 'crm:read');
+
+  const authInfo = await provider.verifyAccessToken(tokens.access_token);
+  assert.deepEqual(authInfo.scopes, ['crm:read']);
+});
+
+test('refreshing can narrow scopes but never widen them', async () => {
+  const provider = createProvider();
+  const client = await registerClient(provider);
+
+  const res = await submit(provider, { request_id: await startAuthorization(provider, client, ['crm:read']), scope: 'crm:read' });
+  const tokens = await provider.exchangeAuthorizationCode(client, res.redirectedTo.searchParams.get('code'));
+
+  for (const scopes of [['crm:write'], ['crm:delete', 'admin']]) {
+    await assert.rejects(
+      provider.exchangeRefreshToken(client, tokens.refresh_token, scopes),
+      error => error.errorCode === 'invalid_scope'
+    );
+  }
+
+  // mcp:tools stands for every scope, so it resolves to what was granted
+  const legacy = await provider.exchangeRefreshToken(client, tokens.refresh_token, ['mcp:tools']);
+  assert.equal(legacy.scope, 'crm:read');
+  const partial = await provider.exchangeRefreshToken(client, tokens.refresh_token, ['crm:read', 'crm:write']);
+  assert.deepEqual((await provider.verifyAccessToken(partial.access_token)).scopes, ['crm:read']);
+});
+
+test('tokens issued with the legacy mcp:tools scope keep every scope', async () => {
+  const provider = createProvider();
+  await provider.store.set('tokens', 'legacy-token', {
+    clientId: 'c1',
+    scopes: ['mcp:tools'],
+    expiresAt: Math.floor(Date.now() / 1000) + 60,
+    encryptedApiKey: provider.keyRing.encrypt('twenty-key')
+  });
+
+  const authInfo = await provider.verifyAccessToken('legacy-token');
+  assert.deepEqual(authInfo.scopes, ['crm:read', 'crm:write', 'crm:delete', 'crm:metadata', 'crm:graphql']);
+});
+
+test('submitting without any permission re-renders the page', async () => {
+  const provider = createProvider();
+  const requestId = await startAuthorization(provider, await registerClient(provider), ['crm:read', 'crm:write']);
+
+  const res = await submit(provider, { request_id: requestId });
+  assert.equal(res.statusCode, 400);
+  assert.match(res.body, /Select at least one permission/);
+  assert.match(res.body, /value="crm:read">/);
+  assert.match(res.body, new RegExp(`name="request_id" value="${requestId}"`));
+  assert.equal(res.redirectedTo, undefined);
+});
+
+test('unknown, expired and already approved requests are refused', async () => {
+  const provider = createProvider();
+  const client = await registerClient(provider);
+
+  // A form without a pending request cannot pick its own scopes
+  const forged = await submit(provider, { requested_scope: 'crm:delete', scope: 'crm:delete', redirect_uri: 'https://client.example.com/cb' });
+  assert.equal(forged.statusCode, 400);
+  assert.match(forged.body, /authorization request has expired/);
+  assert.equal(forged.redirectedTo, undefined);
+
+  const requestId = await startAuthorization(provider, client, ['crm:read']);
+  assert.ok((await submit(provider, { request_id: requestId, scope: 'crm:read' })).redirectedTo);
+  assert.equal((await submit(provider, { request_id: requestId, scope: 'crm:read' })).statusCode, 400);
+
+  const stale = await startAuthorization(provider, client, ['crm:read']);
+  const pending = await provider.store.get('authorizations', stale);
+  await provider.store.set('authorizations', stale, { ...pending, expiresAt: Date.now() - 1 });
+  assert.equal((await submit(provider, { request_id: stale, scope: 'crm:read' })).statusCode, 400);
+  assert.equal(await provider.store.get('authorizations', stale), undefined);
+});
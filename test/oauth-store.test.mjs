@@ -0,0 +1,111 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { existsSync, mkdtempSync, readFileSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { TwentyCRMOAuthProvider } from '../oauth/provider.js';
+import { KeyRing } from '../oauth/crypto.js';
+import { FileOAuthStore, SqliteOAuthStore, createOAuthStore, MemoryOAuthStore } from '../oauth/store.js';
+
+const hasNodeSqlite = await import('node:sqlite').then(() => true, () => false);
+
+async function issueTokens(provider) {
+  const client = await provider.clientsStore.registerClient({ client_name: 'Test', redirect_uris: ['https://client.example.com/cb'] });
+  await provider.store.set('codes', 'code-1', {
+    encryptedApiKey: provider.keyRing.encrypt('twenty-secret-key'),
+    codeChallenge: 'challenge',
+    redirectUri: 'https://client.example.com/cb',
+    scopes: ['mcp:tools'],
+    expiresAt: Date.now() + 60000
+  });
+  const tokens = await provider.exchangeAuthorizationCode(client, 'code-1');
+  return { client, tokens };
+}
+
+test('createOAuthStore defaults to memory and rejects unknown types', () => {
+  assert.ok(createOAuthStore({ type: 'memory' }) instanceof MemoryOAuthStore);
+  assert.throws(() => createOAuthStore({ type: 'redis' }), /Unknown OAUTH_STORE/);
+  assert.throws(() => createOAuthStore({ type: 'file', path: '/tmp/x', secret: '' }), /encryption secret/);
+  assert.throws(() => createOAuthStore({ type: 'sqlite', path: '/tmp/x', secret: '' }), /encryption secret/);
+});
+
+test('file store keeps tokens across provider restarts and encrypts at rest', async () => {
+  const dir = mkdtempSync(join(tmpdir(), 'oauth-store-'));
+  const path = join(dir, 'store.enc');
+
+  try {
+    const keyRing = new KeyRing({ keys: { k1: 'api-key-secret' } });
+    const first = new TwentyCRMOAuthProvider({ store: new FileOAuthStore({ path, secret: 'passphrase' }), keyRing });
+    const { client, tokens } = await issueTokens(first);
+
+    const raw = readFileSync(path, 'utf8');
+    assert.ok(!raw.includes('twenty-secret-key'), 'API key stored in plaintext');
+    assert.ok(!raw.includes(tokens.access_token), 'access token stored in plaintext');
+
+    // Simulate a redeploy: new provider, new store instance, same file
+    const second = new TwentyCRMOAuthProvider({ store: new FileOAuthStore({ path, secret: 'passphrase' }), keyRing });
+    assert.deepEqual(await second.clientsStore.getClient(client.client_id), client);
+
+    await second.verifyAccessToken(tokens.access_token);
+    assert.equal(await second.getApiKeyForToken(tokens.access_token), 'twenty-secret-key');
+
+    const refreshed = await second.exchangeRefreshToken(client, tokens.refresh_token);
+    assert.ok(refreshed.access_token);
+
+    const wrongKey = new FileOAuthStore({ path, secret: 'other-passphrase' });
+    await assert.rejects(wrongKey.get('tokens', tokens.access_token), /Unable to decrypt/);
+  } finally {
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('sqlite store shares tokens between provider instances', { skip: !hasNodeSqlite && 'node:sqlite unavailable' }, async () => {
+  const dir = mkdtempSync(join(tmpdir(), 'oauth-store-'));
+  const path = join(dir, 'store.sqlite');
+  const storeA = new SqliteOAuthStore({ path, secret: 'passphrase' });
+  const storeB = new SqliteOAuthStore({ path, secret: 'passphrase' });
+
+  try {
+    const first = new TwentyCRMOAuthProvider({ store: storeA });
+    const { tokens } = await issueTokens(first);
+
+    const second = new TwentyCRMOAuthProvider({ store: storeB, keyRing: first.keyRing });
+    await second.verifyAccessToken(tokens.access_token);
+    assert.equal(await second.getApiKeyForToken(tokens.access_token), 'twenty-secret-key');
+
+    await second.cleanup();
+    assert.equal((await storeA.entries('tokens')).length, 1);
+  } finally {
+    await storeA.close();
+    await storeB.close();
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test('sqlite store keeps keys and values encrypted', { skip: !hasNodeSqlite && 'node:sqlite unavailable' }, async () => {
+  const dir = mkdtempSync(join(tmpdir(), 'oauth-store-'));
+  const path = join(dir, 'store.sqlite');
+
+  const store = new SqliteOAuthStore({ path, secret: 'passphrase' });
+  try {
+    const provider = new TwentyCRMOAuthProvider({ store });
+    const { client, tokens } = await issueTokens(provider);
+
+    assert.deepEqual(await store.get('clients', client.client_id), client);
+    assert.ok((await store.entries('tokens')).some(([key]) => key === tokens.access_token));
+
+    await store.close();
+    const raw = [path, `${path}-wal`].filter(existsSync).map(file => readFileSync(file).toString('latin1')).join('');
+    for (const secret of [tokens.access_token, tokens.refresh_token, client.client_id, 'mcp:tools']) {
+      assert.ok(!raw.includes(secret), `${secret} stored in plaintext`);
+    }
+
+    const wrongKey = new SqliteOAuthStore({ path, secret: 'other-passphrase' });
+    await assert.rejects(wrongKey.entries('tokens'), /Unable to decrypt/);
+    await wrongKey.close();
+  } finally {
+    await store.close();
+    rmSync(dir, { recursive: true, force: true });
+  }
+});
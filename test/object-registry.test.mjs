@@ -0,0 +1,48 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+process.env.TWENTY_API_KEY ??= 'test-token';
+process.env.TWENTY_BASE_URL ??= 'https://api.example.com';
+process.env.SCHEMA_PATH = join(__dirname, '..', 'schema');
+
+const { SchemaLoader } = await import('../schema-loader.js');
+const { TwentyCRMServer } = await import('../index.js');
+
+test('registry covers every active non-system object plus core objects', () => {
+  const server = new TwentyCRMServer({ quiet: true });
+
+  assert.ok(server.objectSchemas.has('workflows'), 'workflows missing from registry');
+  assert.ok(server.objectSchemas.has('notetargets'), 'core noteTargets missing from registry');
+  assert.ok(!server.objectSchemas.has('views'), 'system objects should not be registered by default');
+
+  const toolNames = server.tools.map(tool => tool.name);
+  assert.ok(toolNames.includes('create_workflow'));
+  assert.ok(toolNames.includes('list_workflowRuns'));
+});
+
+test('getRegistryObjects honours include and exclude lists', () => {
+  const loader = new SchemaLoader({ schemaPath: process.env.SCHEMA_PATH });
+  loader.loadSchemas({ force: true });
+
+  const included = loader.getRegistryObjects({ include: ['person', 'views'] });
+  assert.deepEqual(included, ['people', 'views']);
+
+  const excluded = loader.getRegistryObjects({ exclude: ['workflow', 'workflowRuns'] });
+  assert.ok(excluded.includes('people'));
+  assert.ok(!excluded.includes('workflows'));
+  assert.ok(!excluded.includes('workflowRuns'));
+});
+
+test('server applies object filters from options', () => {
+  const server = new TwentyCRMServer({ quiet: true, excludeObjects: ['workflows'] });
+  assert.ok(!server.objectSchemas.has('workflows'));
+  assert.ok(server.objectSchemas.has('people'));
+
+  const restricted = new TwentyCRMServer({ quiet: true, includeObjects: ['companies'] });
+  assert.deepEqual(restricted.supportedObjects.map(schema => schema.namePlural), ['companies']);
+});
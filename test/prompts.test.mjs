@@ -0,0 +1,85 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+import { withFetch } from './helpers/fetch.mjs';
+import { withMcpClient } from './helpers/mcp-client.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+process.env.TWENTY_API_KEY ??= 'test-token';
+process.env.TWENTY_BASE_URL ??= 'https://api.example.com';
+process.env.SCHEMA_PATH = join(__dirname, '..', 'schema');
+
+const { TwentyCRMServer } = await import('../index.js');
+
+test('advertises the workflow prompts', async () => {
+  await withMcpClient(new TwentyCRMServer({ quiet: true }), async client => {
+    const capabilities = client.getServerCapabilities();
+    assert.ok(capabilities.prompts);
+    assert.ok(capabilities.completions);
+
+    const { prompts } = await client.listPrompts();
+    assert.deepEqual(prompts.map(prompt => prompt.name), ['summarize_account', 'call_prep', 'log_meeting_notes']);
+
+    const logNotes = prompts.find(prompt => prompt.name === 'log_meeting_notes');
+    assert.deepEqual(logNotes.arguments.map(arg => [arg.name, arg.required]), [
+      ['attendees', true],
+      ['notes', true],
+      ['company', false]
+    ]);
+    assert.equal(logNotes.arguments[0].complete, undefined);
+  });
+});
+
+test('renders a prompt with its arguments', async () => {
+  await withMcpClient(new TwentyCRMServer({ quiet: true }), async client => {
+    const result = await client.getPrompt({ name: 'call_prep', arguments: { person: 'Grace Hopper', goal: 'renewal' } });
+    const text = result.messages[0].content.text;
+
+    assert.equal(result.messages[0].role, 'user');
+    assert.match(text, /call with "Grace Hopper"/);
+    assert.match(text, /get_person with include/);
+    assert.match(text, /The goal of the call is: renewal/);
+
+    await assert.rejects(client.getPrompt({ name: 'log_meeting_notes', arguments: { attendees: 'Ada' } }), /Missing required argument\(s\) for log_meeting_notes: notes/);
+    await assert.rejects(client.getPrompt({ name: 'nope', arguments: {} }), /Unknown prompt: nope/);
+  });
+});
+
+test('completes record names through search', async () => {
+  await withMcpClient(new TwentyCRMServer({ quiet: true }), async client => {
+    const people = { data: { people: [
+      { id: 'p1', name: { firstName: 'Grace', lastName: 'Hopper' } },
+      { id: 'p2', name: { firstName: 'Grace', lastName: 'Kelly' } }
+    ] } };
+
+    await withFetch(() => people, async calls => {
+      const result = await client.complete({
+        ref: { type: 'ref/prompt', name: 'log_meeting_notes' },
+        argument: { name: 'attendees', value: 'Ada Lovelace, Gra' }
+      });
+
+      assert.equal(calls.length, 1);
+      assert.equal(calls[0].url.pathname, '/rest/people');
+      assert.equal(calls[0].url.searchParams.get('search'), 'Gra');
+      assert.deepEqual(result.completion.values, ['Ada Lovelace, Grace Hopper', 'Ada Lovelace, Grace Kelly']);
+    });
+
+    await withFetch(() => ({ data: { companies: [{ id: 'c1', name: 'Acme' }] } }), async calls => {
+      const company = await client.complete({
+        ref: { type: 'ref/prompt', name: 'summarize_account' },
+        argument: { name: 'company', value: 'Ac' }
+      });
+      const freeText = await client.complete({
+        ref: { type: 'ref/prompt', name: 'summarize_account' },
+        argument: { name: 'focus', value: 'ren' }
+      });
+
+      assert.equal(calls.length, 1);
+      assert.deepEqual(company.completion.values, ['Acme']);
+      assert.deepEqual(freeText.completion.values, []);
+    });
+  });
+});
@@ -0,0 +1,92 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+
+import { RateLimiterRegistry, RequestLimiter } from '../rate-limiter.js';
+import { withFetch } from './helpers/fetch.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+process.env.TWENTY_API_KEY ??= 'test-token';
+process.env.TWENTY_BASE_URL ??= 'https://api.example.com';
+process.env.SCHEMA_PATH = join(__dirname, '..', 'schema');
+
+const { TwentyCRMServer } = await import('../index.js');
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+test('RequestLimiter caps requests in flight', async () => {
+  const limiter = new RequestLimiter({ requestsPerInterval: 0, intervalMs: 0, maxConcurrent: 2 });
+  let active = 0;
+  let peak = 0;
+
+  const task = async () => {
+    active += 1;
+    peak = Math.max(peak, active);
+    await delay(10);
+    active -= 1;
+  };
+
+  const runs = Array.from({ length: 6 }, () => limiter.schedule(task));
+  assert.equal(limiter.stats().queued, 4);
+  await Promise.all(runs);
+
+  assert.equal(peak, 2);
+  assert.deepEqual(limiter.stats(), { queued: 0, inFlight: 0 });
+});
+
+test('RequestLimiter queues calls beyond the token bucket instead of failing', async () => {
+  const limiter = new RequestLimiter({ requestsPerInterval: 2, intervalMs: 100, maxConcurrent: 0 });
+  const started = [];
+  const begin = Date.now();
+
+  await Promise.all(Array.from({ length: 4 }, (_, index) => limiter.schedule(async () => {
+    started.push({ index, at: Date.now() - begin });
+  })));
+
+  assert.deepEqual(started.map(entry => entry.index), [0, 1, 2, 3]);
+  assert.ok(started[1].at < 40, 'burst should run immediately');
+  assert.ok(started[3].at >= 80, `fourth call ran too early (${started[3].at}ms)`);
+});
+
+test('RateLimiterRegistry keeps separate buckets per API key', async () => {
+  const registry = new RateLimiterRegistry({ requestsPerInterval: 1, intervalMs: 50, maxConcurrent: 0 });
+
+  await registry.schedule('key-a', async () => 'a');
+  // key-a's bucket is now empty, key-b's is untouched
+  assert.equal(await registry.schedule('key-b', async () => 'b'), 'b');
+
+  const pending = registry.schedule('key-a', async () => 'a2');
+  assert.equal(registry.stats().queued, 1);
+  assert.equal(registry.stats().apiKeys, 2);
+
+  assert.equal(await pending, 'a2');
+  assert.equal(registry.stats().queued, 0);
+});
+
+test('only the detailed health status reports the request queue', async () => {
+  let release;
+  const gate = new Promise(resolve => { release = resolve; });
+
+  await withFetch(async () => {
+    await gate;
+    return {};
+  }, async () => {
+    const server = new TwentyCRMServer({ quiet: true, maxConcurrentRequests: 1 });
+    const requests = [server.makeRequest('/rest/people'), server.makeRequest('/rest/companies')];
+    await delay(0);
+
+    assert.deepEqual(server.getHealthStatus(), { status: 'ok', mode: 'stdio' });
+
+    const health = server.getHealthStatus({ detailed: true });
+    assert.equal(health.status, 'ok');
+    assert.equal(health.requestQueue.inFlight, 1);
+    assert.equal(health.requestQueue.queued, 1);
+
+    release();
+    await Promise.all(requests);
+    assert.equal(server.getHealthStatus({ detailed: true }).requestQueue.queued, 0);
+  });
+});
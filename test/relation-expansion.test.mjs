@@ -0,0 +1,146 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+import { withFetch } from './helpers/fetch.mjs';
+import { parsePayload } from './helpers/mcp-client.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+process.env.TWENTY_API_KEY ??= 'test-token';
+process.env.TWENTY_BASE_URL ??= 'https://api.example.com';
+process.env.SCHEMA_PATH = join(__dirname, '..', 'schema');
+
+const { TwentyCRMServer } = await import('../index.js');
+
+const opportunities = Array.from({ length: 15 }, (_, index) => ({ id: `o-${index}`, name: `Deal ${index}` }));
+
+const PERSON = {
+  id: 'p-1',
+  jobTitle: 'CTO',
+  companyId: 'c-1',
+  company: { id: 'c-1', name: 'Acme', people: [{ id: 'p-1' }, { id: 'p-2' }, { id: 'p-3' }] },
+  pointOfContactForOpportunities: opportunities,
+  timelineActivities: [{ id: 't-1' }]
+};
+
+function call(server, name, args) {
+  return server.dispatchToolCall({ params: { name, arguments: args } });
+}
+
+test('get_* embeds only the included relations and caps one-to-many lists', async () => {
+  const server = new TwentyCRMServer({ quiet: true });
+
+  await withFetch(() => ({ data: { person: PERSON } }), async (calls) => {
+    const payload = parsePayload(await call(server, 'get_person', {
+      id: 'p-1',
+      include: ['company', 'pointOfContactForOpportunities']
+    }));
+
+    assert.equal(calls[0].url.pathname, '/rest/people/p-1');
+    assert.equal(calls[0].url.searchParams.get('depth'), '1');
+
+    assert.equal(payload.company.name, 'Acme');
+    assert.equal(payload.pointOfContactForOpportunities.length, 10);
+    assert.deepEqual(payload._truncatedRelations, ['pointOfContactForOpportunities']);
+    assert.equal(payload.timelineActivities, undefined);
+    assert.equal(payload.companyId, 'c-1');
+  });
+});
+
+test('relationLimit applies to nested lists and survives field projection', async () => {
+  const server = new TwentyCRMServer({ quiet: true });
+
+  await withFetch(() => ({ data: { person: PERSON } }), async (calls) => {
+    const payload = parsePayload(await call(server, 'get_person', {
+      id: 'p-1',
+      depth: 2,
+      include: ['company'],
+      relationLimit: 2,
+      fields: ['jobTitle', 'company.name', 'company.people']
+    }));
+
+    assert.equal(calls[0].url.searchParams.get('depth'), '2');
+    assert.deepEqual(payload, {
+      id: 'p-1',
+      jobTitle: 'CTO',
+      company: { name: 'Acme', people: [{ id: 'p-1' }, { id: 'p-2' }] }
+    });
+  });
+});
+
+test('list_* expands relations on every item', async () => {
+  const server = new TwentyCRMServer({ quiet: true });
+
+  await withFetch(() => ({ data: { people: [PERSON, { ...PERSON, id: 'p-2' }] } }), async (calls) => {
+    const payload = parsePayload(await call(server, 'list_people', { include: ['company'], includeRaw: false }));
+
+    assert.equal(calls[0].url.searchParams.get('depth'), '1');
+    assert.equal(payload.items.length, 2);
+    for (const item of payload.items) {
+      assert.equal(item.company.id, 'c-1');
+      assert.equal(item.pointOfContactForOpportunities, undefined);
+    }
+  });
+});
+
+test('rejects unknown relations, out-of-range depth and include at depth 0', async () => {
+  const server = new TwentyCRMServer({ quiet: true });
+
+  await withFetch(() => ({}), async (calls) => {
+    const unknown = await call(server, 'get_person', { id: 'p-1', include: ['boss'] });
+    assert.match(unknown.content[0].text, /^Error: Unknown relation "boss" on people; available: .*company/);
+
+    const tooDeep = await call(server, 'list_people', { depth: 5 });
+    assert.match(tooDeep.content[0].text, /^Error: "depth" must be an integer from 0 to 2/);
+
+    const flat = await call(server, 'get_person', { id: 'p-1', include: ['company'], depth: 0 });
+    assert.match(flat.content[0].text, /^Error: "include" needs a "depth" of at least 1/);
+
+    assert.equal(calls.length, 0);
+  });
+
+  const tool = server.tools.find(entry => entry.name === 'get_person');
+  assert.ok(tool.inputSchema.properties.include.items.enum.includes('company'));
+});
+
+test('relations to objects the caller may not read are refused or dropped', async () => {
+  const server = new TwentyCRMServer({ quiet: true, denyOperations: ['get:companies'] });
+  const opportunity = { id: 'o-1', name: 'Deal', company: { id: 'c-1', name: 'Acme' } };
+
+  await withFetch(() => ({ data: { person: { ...PERSON, pointOfContactForOpportunities: [opportunity] } } }), async (calls) => {
+    const included = await call(server, 'get_person', { id: 'p-1', include: ['company'] });
+    assert.equal(included.isError, true);
+    assert.match(included.content[0].text, /^Error: Including "company" is not permitted: reading companies is not allowed/);
+    assert.equal(calls.length, 0);
+
+    const payload = parsePayload(await call(server, 'get_person', { id: 'p-1', depth: 2 }));
+    assert.equal(payload.company, undefined);
+    assert.equal(payload.companyId, 'c-1');
+    assert.deepEqual(payload.pointOfContactForOpportunities, [{ id: 'o-1', name: 'Deal' }]);
+  });
+
+  await withFetch(() => ({ data: { people: [PERSON] } }), async () => {
+    const payload = parsePayload(await call(server, 'list_people', { depth: 1, includeRaw: true }));
+    assert.equal(payload.items[0].company, undefined);
+    assert.equal(payload.raw, undefined);
+  });
+
+  const excluded = new TwentyCRMServer({ quiet: true, excludeObjects: ['companies'] });
+  await withFetch(() => ({ data: { person: PERSON } }), async () => {
+    const payload = parsePayload(await call(excluded, 'get_person', { id: 'p-1', depth: 1 }));
+    assert.equal(payload.company, undefined);
+    assert.equal(payload.pointOfContactForOpportunities.length, 10);
+  });
+});
+
+test('requests without include or depth are unchanged', async () => {
+  const server = new TwentyCRMServer({ quiet: true });
+
+  await withFetch(() => ({ data: { person: PERSON } }), async (calls) => {
+    const payload = parsePayload(await call(server, 'get_person', { id: 'p-1' }));
+    assert.equal(calls[0].url.search, '');
+    assert.equal(payload.data.person.pointOfContactForOpportunities.length, 15);
+  });
+});
@@ -0,0 +1,90 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+import { withFetch } from './helpers/fetch.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+process.env.TWENTY_API_KEY ??= 'test-token';
+process.env.TWENTY_BASE_URL ??= 'https://api.example.com';
+process.env.SCHEMA_PATH = join(__dirname, '..', 'schema');
+
+const { TwentyCRMServer } = await import('../index.js');
+
+/**
+ * Connect a client to a fresh per-session MCP server, attaching `twentyApiKey`
+ * as auth info on every message the way flexibleBearerAuth does over HTTP.
+ */
+async function connectSession(crmServer, twentyApiKey) {
+  const mcpServer = crmServer.createMCPServer();
+  crmServer.setupToolHandlers(mcpServer);
+
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  const send = clientTransport.send.bind(clientTransport);
+  clientTransport.send = (message, options = {}) => send(message, {
+    ...options,
+    authInfo: {
+      token: `token-for-${twentyApiKey}`,
+      clientId: `client-${twentyApiKey}`,
+      scopes: ['crm:read'],
+      extra: { twentyApiKey }
+    }
+  });
+
+  await mcpServer.connect(serverTransport);
+  const client = new Client({ name: 'test', version: '1.0.0' });
+  await client.connect(clientTransport);
+  return client;
+}
+
+test('concurrent HTTP sessions keep their own Twenty API keys', async () => {
+  const seen = [];
+
+  await withFetch(async ({ url, headers }) => {
+    const apiKey = headers.Authorization.replace('Bearer ', '');
+    const id = url.pathname.split('/').pop();
+    // Make user A's request slow so user B's call starts while A's is in flight
+    await new Promise(resolve => setTimeout(resolve, apiKey === 'key-a' ? 30 : 5));
+    seen.push({ apiKey, id });
+    return { data: { id, apiKey } };
+  }, async () => {
+    const crmServer = new TwentyCRMServer({ quiet: true, oauthMode: true });
+    const clientA = await connectSession(crmServer, 'key-a');
+    const clientB = await connectSession(crmServer, 'key-b');
+
+    const calls = [];
+    for (let i = 0; i < 5; i++) {
+      calls.push(clientA.callTool({ name: 'get_person', arguments: { id: `a-${i}` } }));
+      calls.push(clientB.callTool({ name: 'get_person', arguments: { id: `b-${i}` } }));
+    }
+    await Promise.all(calls);
+
+    assert.equal(seen.length, 10);
+    for (const { apiKey, id } of seen) {
+      assert.equal(apiKey, id.startsWith('a-') ? 'key-a' : 'key-b', `request ${id} used the wrong key`);
+    }
+
+    await clientA.close();
+    await clientB.close();
+  });
+});
+
+test('OAuth mode never falls back to the server API key', async () => {
+  const crmServer = new TwentyCRMServer({ quiet: true, oauthMode: true });
+  const mcpServer = crmServer.createMCPServer();
+  crmServer.setupToolHandlers(mcpServer);
+
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await mcpServer.connect(serverTransport);
+  const client = new Client({ name: 'test', version: '1.0.0' });
+  await client.connect(clientTransport);
+
+  const result = await client.callTool({ name: 'get_person', arguments: { id: 'p-1' } });
+  assert.match(result.content[0].text, /No API key available/);
+
+  await client.close();
+});
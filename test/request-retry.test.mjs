@@ -0,0 +1,116 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+import { withFetch } from './helpers/fetch.mjs';
+import { parsePayload } from './helpers/mcp-client.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+process.env.TWENTY_API_KEY ??= 'test-token';
+process.env.TWENTY_BASE_URL ??= 'https://api.example.com';
+process.env.SCHEMA_PATH = join(__dirname, '..', 'schema');
+
+const { TwentyCRMServer } = await import('../index.js');
+
+function createServer(options = {}) {
+  const server = new TwentyCRMServer({ quiet: true, maxRetries: 3, ...options });
+  server.delays = [];
+  server.sleep = async (ms) => { server.delays.push(ms); };
+  return server;
+}
+
+/**
+ * Answer successive requests with the given responses, errors (thrown as
+ * network failures) or functions of the fetch options.
+ */
+function inOrder(responses) {
+  return ({ init }) => {
+    const next = responses.shift();
+    if (next instanceof Error) throw next;
+    return typeof next === 'function' ? next(init) : next;
+  };
+}
+
+const ok = () => new Response(JSON.stringify({ data: { id: '1' } }), {
+  status: 200,
+  headers: { 'content-type': 'application/json' }
+});
+
+test('GET retries 503 and network errors, then succeeds', async () => {
+  const server = createServer();
+  const networkError = Object.assign(new TypeError('fetch failed'), { cause: { code: 'ECONNRESET' } });
+
+  await withFetch(inOrder([new Response('busy', { status: 503 }), networkError, ok()]), async (calls) => {
+    const result = await server.makeRequest('/rest/people/1');
+    assert.deepEqual(result, { data: { id: '1' } });
+    assert.equal(calls.length, 3);
+    assert.equal(server.delays.length, 2);
+  });
+});
+
+test('Retry-After header sets the delay', async () => {
+  const server = createServer();
+
+  await withFetch(inOrder([new Response('slow down', { status: 429, headers: { 'retry-after': '2' } }), ok()]), async () => {
+    await server.makeRequest('/rest/people');
+    assert.deepEqual(server.delays, [2000]);
+  });
+});
+
+test('POST is not replayed after a 503 but is after a 429', async () => {
+  const server = createServer();
+
+  await withFetch(inOrder([new Response('busy', { status: 503 })]), async (calls) => {
+    await assert.rejects(server.makeRequest('/rest/people', 'POST', { name: 'x' }), (error) => {
+      assert.equal(error.name, 'HttpError');
+      assert.equal(error.status, 503);
+      assert.equal(error.body, 'busy');
+      return true;
+    });
+    assert.equal(calls.length, 1);
+  });
+
+  await withFetch(inOrder([new Response('', { status: 429 }), ok()]), async (calls) => {
+    await server.makeRequest('/rest/people', 'POST', { name: 'x' });
+    assert.equal(calls.length, 2);
+  });
+});
+
+test('exhausted retries surface the original HttpError to tool output', async () => {
+  const server = createServer({ maxRetries: 1 });
+  const body = JSON.stringify({ error: 'Bad Gateway' });
+
+  const headers = { 'content-type': 'application/json', 'set-cookie': 'session=secret', 'x-request-id': 'req-42' };
+
+  await withFetch(inOrder([
+    new Response(body, { status: 502, headers }),
+    new Response(body, { status: 502, headers })
+  ]), async (calls) => {
+    const result = await server.dispatchToolCall({ params: { name: 'get_person', arguments: { id: 'p-1' } } });
+    assert.equal(calls.length, 2);
+    const text = result.content[0].text;
+    assert.match(text, /HTTP error 502 on GET \/rest\/people\/p-1/);
+    assert.match(text, /"attempts": 2/);
+    assert.match(text, /Bad Gateway/);
+    assert.deepEqual(parsePayload(result).headers, { 'x-request-id': 'req-42' });
+    assert.doesNotMatch(text, /session=secret|content-type/);
+  });
+});
+
+test('requests time out and are reported', async () => {
+  const server = createServer({ maxRetries: 0, requestTimeoutMs: 20 });
+
+  // AbortSignal.timeout() timers are unref'd; keep the event loop alive meanwhile
+  const keepAlive = setTimeout(() => {}, 1000);
+  try {
+    await withFetch(inOrder([(options) => new Promise((resolve, reject) => {
+      options.signal.addEventListener('abort', () => reject(options.signal.reason));
+    })]), async () => {
+      await assert.rejects(server.makeRequest('/rest/people'), /timed out after 20ms/);
+    });
+  } finally {
+    clearTimeout(keepAlive);
+  }
+});
@@ -0,0 +1,71 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+import { withFetch } from './helpers/fetch.mjs';
+import { withMcpClient } from './helpers/mcp-client.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+process.env.TWENTY_API_KEY ??= 'test-token';
+process.env.TWENTY_BASE_URL ??= 'https://api.example.com';
+process.env.SCHEMA_PATH = join(__dirname, '..', 'schema');
+
+const { TwentyCRMServer } = await import('../index.js');
+
+test('advertises object schemas, operations and record templates', async () => {
+  await withMcpClient(new TwentyCRMServer({ quiet: true }), async client => {
+    assert.ok(client.getServerCapabilities().resources);
+
+    const { resources } = await client.listResources();
+    const uris = resources.map(resource => resource.uri);
+    assert.ok(uris.includes('twenty://schema/people'));
+    assert.ok(uris.includes('twenty://schema/operations'));
+
+    const { resourceTemplates } = await client.listResourceTemplates();
+    const templates = resourceTemplates.map(template => template.uriTemplate);
+    assert.ok(templates.includes('twenty://people/{id}'));
+    assert.ok(templates.includes('twenty://companies/{id}'));
+    assert.ok(templates.includes('twenty://schema/{object}'));
+  });
+});
+
+test('reads a record through the REST get endpoint', async () => {
+  await withMcpClient(new TwentyCRMServer({ quiet: true }), async client => {
+    await withFetch(() => ({ data: { person: { id: 'p1', jobTitle: 'CTO' } } }), async calls => {
+      const result = await client.readResource({ uri: 'twenty://people/p1' });
+
+      assert.equal(calls.length, 1);
+      assert.equal(calls[0].url.pathname, '/rest/people/p1');
+      assert.equal(result.contents[0].uri, 'twenty://people/p1');
+      assert.equal(result.contents[0].mimeType, 'application/json');
+      assert.deepEqual(JSON.parse(result.contents[0].text), { id: 'p1', jobTitle: 'CTO' });
+    });
+  });
+});
+
+test('reads object metadata and the operation list from the local export', async () => {
+  await withMcpClient(new TwentyCRMServer({ quiet: true }), async client => {
+    await withFetch(() => ({}), async calls => {
+      const schema = JSON.parse((await client.readResource({ uri: 'twenty://schema/person' })).contents[0].text);
+      const operations = JSON.parse((await client.readResource({ uri: 'twenty://schema/operations' })).contents[0].text);
+
+      assert.equal(calls.length, 0);
+      assert.equal(schema.namePlural, 'people');
+      assert.ok(schema.fields.some(field => field.name === 'jobTitle'));
+      assert.ok(operations.operations.some(operation => operation.name === 'createPerson'));
+    });
+  });
+});
+
+test('rejects unknown objects and malformed record ids', async () => {
+  await withMcpClient(new TwentyCRMServer({ quiet: true }), async client => {
+    await withFetch(() => ({}), async calls => {
+      await assert.rejects(client.readResource({ uri: 'twenty://widgets/1' }), /Unsupported object "widgets"/);
+      await assert.rejects(client.readResource({ uri: 'twenty://people/..%2Fmetadata' }), /Invalid record id/);
+      await assert.rejects(client.readResource({ uri: 'https://example.com/x' }), /Unsupported resource URI/);
+      assert.equal(calls.length, 0);
+    });
+  });
+});
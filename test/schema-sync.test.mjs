@@ -0,0 +1,135 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, readdirSync, rmSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import { syncSchema } from '../schema-sync.js';
+import { SchemaLoader } from '../schema-loader.js';
+
+function jsonResponse(body, status = 200) {
+  return new Response(JSON.stringify(body), {
+    status,
+    headers: { 'content-type': 'application/json' }
+  });
+}
+
+const projectObject = {
+  nameSingular: 'project',
+  namePlural: 'projects',
+  labelSingular: 'Project',
+  labelPlural: 'Projects',
+  isActive: true,
+  isSystem: false,
+  isCustom: true,
+  fields: [
+    { name: 'name', type: 'TEXT', label: 'Name', isActive: true, isSystem: false, isNullable: true }
+  ]
+};
+
+test('syncSchema pages metadata, introspects GraphQL and writes the export', async () => {
+  const schemaPath = mkdtempSync(join(tmpdir(), 'twenty-schema-'));
+  const calls = [];
+
+  const fetchImpl = async (url, options = {}) => {
+    calls.push({ url, method: options.method });
+
+    if (url.includes('/rest/metadata/objects') && !url.includes('starting_after')) {
+      return jsonResponse({
+        data: { objects: [projectObject] },
+        pageInfo: { hasNextPage: true, endCursor: 'cursor-1' }
+      });
+    }
+
+    if (url.includes('starting_after=cursor-1')) {
+      return jsonResponse({
+        data: { objects: [{ ...projectObject, nameSingular: 'invoice', namePlural: 'invoices' }] },
+        pageInfo: { hasNextPage: false, endCursor: 'cursor-2' }
+      });
+    }
+
+    if (url.endsWith('/graphql')) {
+      return jsonResponse({
+        data: {
+          __schema: {
+            queryType: { fields: [{ name: 'projects', description: null, args: [] }] },
+            mutationType: { fields: [{ name: 'createProject', description: null, args: [] }] },
+            types: [{ name: 'Project', kind: 'OBJECT', fields: [] }]
+          }
+        }
+      });
+    }
+
+    return new Response('Not Found', { status: 404 });
+  };
+
+  try {
+    const result = await syncSchema({
+      baseUrl: 'https://crm.example.com',
+      apiKey: 'sync-key',
+      schemaPath,
+      fetchImpl
+    });
+
+    assert.equal(result.objects, 2);
+    assert.equal(result.queries, 1);
+    assert.equal(result.mutations, 1);
+    assert.equal(calls.length, 3);
+
+    const files = readdirSync(schemaPath).sort();
+    assert.deepEqual(files, ['available-operations.json', 'graphql-types.json', 'rest-metadata-objects.json']);
+
+    const loader = new SchemaLoader({ schemaPath });
+    assert.ok(loader.loadSchemas({ force: true }));
+    assert.ok(loader.getObjectByName('invoices'));
+    assert.deepEqual(loader.getOperations('mutation').map(op => op.name), ['createProject']);
+  } finally {
+    rmSync(schemaPath, { recursive: true, force: true });
+  }
+});
+
+test('syncSchema leaves existing files untouched when a request fails', async () => {
+  const schemaPath = mkdtempSync(join(tmpdir(), 'twenty-schema-'));
+
+  try {
+    await assert.rejects(
+      syncSchema({
+        baseUrl: 'https://crm.example.com',
+        apiKey: 'sync-key',
+        schemaPath,
+        fetchImpl: async () => new Response('Unauthorized', { status: 401 })
+      }),
+      /HTTP 401/
+    );
+    assert.deepEqual(readdirSync(schemaPath), []);
+  } finally {
+    rmSync(schemaPath, { recursive: true, force: true });
+  }
+});
+
+test('syncSchema refuses to write a truncated metadata export', async () => {
+  const schemaPath = mkdtempSync(join(tmpdir(), 'twenty-schema-'));
+  let pages = 0;
+
+  try {
+    await assert.rejects(
+      syncSchema({
+        baseUrl: 'https://crm.example.com',
+        apiKey: 'sync-key',
+        schemaPath,
+        fetchImpl: async () => {
+          pages += 1;
+          return jsonResponse({
+            data: { objects: [projectObject] },
+            pageInfo: { hasNextPage: true, endCursor: `cursor-${pages}` }
+          });
+        }
+      }),
+      /still reports more pages after 5000 objects; refusing to write a partial schema export/
+    );
+    assert.equal(pages, 50);
+    assert.deepEqual(readdirSync(schemaPath), []);
+  } finally {
+    rmSync(schemaPath, { recursive: true, force: true });
+  }
+});
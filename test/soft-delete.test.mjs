@@ -0,0 +1,80 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+import { json, withFetch } from './helpers/fetch.mjs';
+import { parsePayload } from './helpers/mcp-client.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+process.env.TWENTY_API_KEY ??= 'test-token';
+process.env.TWENTY_BASE_URL ??= 'https://api.example.com';
+process.env.SCHEMA_PATH = join(__dirname, '..', 'schema');
+
+const { TwentyCRMServer } = await import('../index.js');
+
+function call(server, name, args) {
+  return server.dispatchToolCall({ params: { name, arguments: args } });
+}
+
+test('generates restore and destroy tools for each object', () => {
+  const server = new TwentyCRMServer({ quiet: true });
+  const names = server.tools.map(tool => tool.name);
+
+  assert.ok(names.includes('restore_company'));
+  assert.ok(names.includes('destroy_person'));
+
+  const list = server.tools.find(tool => tool.name === 'list_companies');
+  assert.equal(list.inputSchema.properties.onlyDeleted.type, 'boolean');
+  assert.equal(list.inputSchema.properties.withDeleted.type, 'boolean');
+});
+
+test('restore_company runs the restoreCompany mutation', async () => {
+  const server = new TwentyCRMServer({ quiet: true });
+
+  await withFetch(() => json({ data: { restoreCompany: { id: 'c1', deletedAt: null } } }), async calls => {
+    const result = await call(server, 'restore_company', { id: 'c1' });
+
+    assert.equal(calls.length, 1);
+    assert.equal(calls[0].url.pathname, '/graphql');
+    assert.match(calls[0].body.query, /restoreCompany\(id: \$id\)/);
+    assert.deepEqual(calls[0].body.variables, { id: 'c1' });
+    assert.match(result.content[0].text, /^Restored Company c1/);
+    assert.deepEqual(parsePayload(result), { id: 'c1', deletedAt: null });
+  });
+});
+
+test('destroy_person surfaces GraphQL errors', async () => {
+  const server = new TwentyCRMServer({ quiet: true, confirmOperations: [] });
+
+  await withFetch(() => json({ errors: [{ message: 'Record not found' }] }), async calls => {
+    const result = await call(server, 'destroy_person', { id: 'p1' });
+
+    assert.match(calls[0].body.query, /destroyPerson\(id: \$id\)/);
+    assert.match(result.content[0].text, /^Error: GraphQL destroyPerson mutation failed: Record not found/);
+  });
+});
+
+test('onlyDeleted and withDeleted add a deletedAt filter', async () => {
+  const server = new TwentyCRMServer({ quiet: true });
+
+  await withFetch(() => json({ data: { companies: [] } }), async calls => {
+    await call(server, 'list_companies', { onlyDeleted: true, filters: { name: { like: '%Acme%' } } });
+    await call(server, 'list_companies', { withDeleted: true });
+
+    assert.equal(calls[0].url.searchParams.get('filter'), 'and(name[like]:"%Acme%",deletedAt[is]:NOT_NULL)');
+    assert.equal(calls[1].url.searchParams.get('filter'), 'or(deletedAt[is]:NULL,deletedAt[is]:NOT_NULL)');
+  });
+});
+
+test('rejects withDeleted together with onlyDeleted', async () => {
+  const server = new TwentyCRMServer({ quiet: true });
+
+  await withFetch(() => json({}), async calls => {
+    const result = await call(server, 'list_companies', { withDeleted: true, onlyDeleted: true });
+
+    assert.equal(calls.length, 0);
+    assert.match(result.content[0].text, /^Error: Use either "withDeleted" or "onlyDeleted"/);
+  });
+});
@@ -0,0 +1,101 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+import { json, withFetch } from './helpers/fetch.mjs';
+import { withMcpClient } from './helpers/mcp-client.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+process.env.TWENTY_API_KEY ??= 'test-token';
+process.env.TWENTY_BASE_URL ??= 'https://api.example.com';
+process.env.SCHEMA_PATH = join(__dirname, '..', 'schema');
+
+const { TwentyCRMServer } = await import('../index.js');
+
+// The SDK client validates structuredContent against each tool's outputSchema
+async function withClient(respond, fn) {
+  await withFetch(({ url }) => respond(url), () => withMcpClient(
+    new TwentyCRMServer({ quiet: true, confirmOperations: [] }),
+    async client => {
+      await client.listTools();
+      await fn(client);
+    }
+  ));
+}
+
+// The SDK client validates structuredContent against each tool's outputSchema
+test('record output schemas are typed from field metadata', () => {
+  const server = new TwentyCRMServer({ quiet: true });
+  const output = name => server.tools.find(tool => tool.name === name).outputSchema;
+
+  const person = output('get_person');
+  assert.equal(person.type, 'object');
+  assert.deepEqual(person.properties.jobTitle.type, ['string', 'null']);
+  assert.deepEqual(person.properties.name.type, ['object', 'null']);
+  assert.ok('firstName' in person.properties.name.properties);
+  assert.equal(person.properties.company.type, undefined);
+
+  const list = output('list_people');
+  assert.deepEqual(list.required, ['items', 'pagination', 'summary']);
+  assert.deepEqual(list.properties.items.items, person);
+
+  assert.equal(output('get_company').properties.employees.type[0], 'number');
+  assert.equal(server.tools.find(tool => tool.name === 'search_records').outputSchema, undefined);
+});
+
+test('get and list return structuredContent that passes client validation', async () => {
+  const person = { id: 'p1', name: { firstName: 'Ada', lastName: 'Lovelace' }, jobTitle: null, city: 'London' };
+
+  await withClient(url => (url.pathname === '/rest/people'
+    ? json({ data: { people: [person] }, pageInfo: { hasNextPage: true, endCursor: 'cur-1' }, totalCount: 7 })
+    : json({ data: { person } })), async client => {
+    const got = await client.callTool({ name: 'get_person', arguments: { id: 'p1' } });
+    assert.deepEqual(got.structuredContent, person);
+    assert.match(got.content[0].text, /^Person details/);
+
+    const listed = await client.callTool({ name: 'list_people', arguments: { fields: ['name.firstName'] } });
+    assert.deepEqual(listed.structuredContent.items, [{ id: 'p1', name: { firstName: 'Ada' } }]);
+    assert.deepEqual(listed.structuredContent.pagination, {
+      hasNextPage: true,
+      hasPreviousPage: null,
+      startCursor: null,
+      endCursor: 'cur-1',
+      totalCount: 7
+    });
+    assert.equal(listed.structuredContent.summary.nextCursor, 'cur-1');
+  });
+});
+
+test('all: true lists keep the same structured shape', async () => {
+  await withClient(() => json({
+    data: { companies: [{ id: 'c1', name: 'Acme' }] },
+    pageInfo: { hasNextPage: false, endCursor: 'c1' },
+    totalCount: 1
+  }), async client => {
+    const result = await client.callTool({ name: 'list_companies', arguments: { all: true } });
+
+    assert.deepEqual(result.structuredContent.items, [{ id: 'c1', name: 'Acme' }]);
+    assert.equal(result.structuredContent.pagination.hasNextPage, false);
+    assert.equal(result.structuredContent.pagination.totalCount, 1);
+    assert.equal(result.structuredContent.summary.pages, 1);
+  });
+});
+
+test('writes return the record and errors are flagged with isError', async () => {
+  await withClient(url => (url.pathname === '/rest/companies/missing'
+    ? json({ error: 'Not found' }, 404)
+    : json({ data: { createCompany: { id: 'c2', name: 'Globex' } } })), async client => {
+    const created = await client.callTool({ name: 'create_company', arguments: { name: 'Globex' } });
+    assert.deepEqual(created.structuredContent, { id: 'c2', name: 'Globex' });
+
+    const deleted = await client.callTool({ name: 'delete_company', arguments: { id: 'c2' } });
+    assert.deepEqual(deleted.structuredContent, { id: 'c2' });
+
+    const failed = await client.callTool({ name: 'get_company', arguments: { id: 'missing' } });
+    assert.equal(failed.isError, true);
+    assert.equal(failed.structuredContent, undefined);
+    assert.match(failed.content[0].text, /^HTTP error 404/);
+  });
+});
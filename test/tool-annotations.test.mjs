@@ -0,0 +1,74 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+process.env.TWENTY_API_KEY ??= 'test-token';
+process.env.TWENTY_BASE_URL ??= 'https://api.example.com';
+process.env.SCHEMA_PATH = join(__dirname, '..', 'schema');
+
+const { TwentyCRMServer } = await import('../index.js');
+
+test('every tool carries a title and the three behaviour hints', () => {
+  const server = new TwentyCRMServer({ quiet: true });
+
+  for (const tool of server.tools) {
+    assert.equal(typeof tool.title, 'string', `${tool.name} has no title`);
+    assert.equal(tool.annotations?.title, tool.title);
+    for (const hint of ['readOnlyHint', 'destructiveHint', 'idempotentHint']) {
+      assert.equal(typeof tool.annotations[hint], 'boolean', `${tool.name} lacks ${hint}`);
+    }
+  }
+});
+
+test('hints follow the CRUD operation', () => {
+  const server = new TwentyCRMServer({ quiet: true });
+  const annotations = name => server.tools.find(tool => tool.name === name).annotations;
+
+  assert.deepEqual(annotations('list_people'), {
+    title: 'List People',
+    readOnlyHint: true,
+    destructiveHint: false,
+    idempotentHint: true
+  });
+  assert.equal(annotations('get_person').title, 'Get Person');
+  assert.equal(annotations('aggregate_opportunities').readOnlyHint, true);
+  assert.equal(annotations('search_records').readOnlyHint, true);
+
+  assert.equal(annotations('create_company').destructiveHint, false);
+  assert.equal(annotations('create_company').idempotentHint, false);
+  assert.equal(annotations('update_company').destructiveHint, true);
+  assert.equal(annotations('restore_person').destructiveHint, false);
+
+  assert.deepEqual(annotations('delete_person'), {
+    title: 'Delete Person',
+    readOnlyHint: false,
+    destructiveHint: true,
+    idempotentHint: true
+  });
+  assert.equal(annotations('destroy_person').title, 'Permanently Delete Person');
+  assert.equal(annotations('execute_graphql_operation').readOnlyHint, false);
+});
+
+test('annotations reach MCP clients through tools/list', async () => {
+  const crmServer = new TwentyCRMServer({ quiet: true });
+  const mcpServer = crmServer.createMCPServer();
+  crmServer.setupHandlers(mcpServer);
+
+  const [clientTransport, serverTransport] = InMemoryTransport.createLinkedPair();
+  await mcpServer.connect(serverTransport);
+  const client = new Client({ name: 'test', version: '1.0.0' });
+  await client.connect(clientTransport);
+
+  const { tools } = await client.listTools();
+  const deleteTool = tools.find(tool => tool.name === 'delete_company');
+  assert.equal(deleteTool.title, 'Delete Company');
+  assert.equal(deleteTool.annotations.destructiveHint, true);
+
+  await client.close();
+});
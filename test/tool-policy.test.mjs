@@ -0,0 +1,128 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+import { withFetch } from './helpers/fetch.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+process.env.TWENTY_API_KEY ??= 'test-token';
+process.env.TWENTY_BASE_URL ??= 'https://api.example.com';
+process.env.SCHEMA_PATH = join(__dirname, '..', 'schema');
+
+const { TwentyCRMServer } = await import('../index.js');
+const { runWithRequestContext } = await import('../request-context.js');
+const { buildScopePolicies, evaluateAccess, ToolPolicy } = await import('../tool-policy.js');
+
+function listedTools(server, authInfo) {
+  return server.tools.filter(tool => server.isToolAllowed(tool.name, server.buildRequestContext({ authInfo })));
+}
+
+// With scopes the call is made as an OAuth token, without as the env API key
+function call(server, name, args, scopes) {
+  const context = scopes ? { authType: 'oauth', scopes } : {};
+  return runWithRequestContext(context, () => server.dispatchToolCall({ params: { name, arguments: args } }));
+}
+
+test('ToolPolicy matches operation, operation:object and *:object rules', () => {
+  const policy = new ToolPolicy({ allow: ['get', 'list', '*:notes'], deny: ['delete:notes'] });
+
+  assert.equal(policy.allows('get', ['companies', 'company']), true);
+  assert.equal(policy.allows('create', ['notes', 'note']), true);
+  assert.equal(policy.allows('delete', ['notes', 'note']), false);
+  assert.equal(policy.allows('update', ['companies', 'company']), false);
+
+  assert.throws(() => new ToolPolicy({ deny: ['remove'], source: 'TWENTY_DENY_OPERATIONS' }), /Unknown operation "remove" in TWENTY_DENY_OPERATIONS/);
+});
+
+test('scope policies narrow the server policy', () => {
+  const policy = new ToolPolicy({ deny: ['destroy'] });
+  const scopePolicies = buildScopePolicies();
+
+  const oauth = { policy, scopePolicies, authType: 'oauth' };
+
+  assert.equal(evaluateAccess({ ...oauth, scopes: ['crm:read'] }, 'create', ['notes']), false);
+  assert.equal(evaluateAccess({ ...oauth, scopes: ['crm:read', 'crm:write'] }, 'create', ['notes']), true);
+  assert.equal(evaluateAccess({ ...oauth, scopes: ['crm:delete'] }, 'delete', ['notes']), true);
+  assert.equal(evaluateAccess({ ...oauth, scopes: ['crm:delete'] }, 'destroy', ['notes']), false);
+  assert.equal(evaluateAccess({ policy, scopePolicies, authType: 'api_key', scopes: [] }, 'update', ['notes']), true);
+  assert.equal(evaluateAccess({ policy, scopePolicies, scopes: [] }, 'update', ['notes']), true);
+});
+
+test('OAuth tokens without a CRM scope are denied everything', async () => {
+  const policy = new ToolPolicy();
+  const scopePolicies = buildScopePolicies();
+
+  assert.equal(evaluateAccess({ policy, scopePolicies, authType: 'oauth', scopes: [] }, 'get', ['notes']), false);
+  assert.equal(evaluateAccess({ policy, scopePolicies, authType: 'oauth', scopes: ['mcp:tools', 'admin'] }, 'update', ['notes']), false);
+
+  const server = new TwentyCRMServer({ quiet: true });
+  assert.ok(!listedTools(server, { scopes: [] }).some(tool => tool.name === 'list_companies'));
+  assert.ok(listedTools(server, { scopes: [], extra: { authType: 'api_key' } }).some(tool => tool.name === 'update_person'));
+
+  await withFetch(() => assert.fail('a refused tool must not reach the API'), async calls => {
+    const result = await call(server, 'update_person', { id: 'p1', jobTitle: 'CEO' }, []);
+    assert.match(result.content[0].text, /^Error: Tool "update_person" is not permitted: the current token's scopes do not allow it/);
+    assert.equal(calls.length, 0);
+  });
+});
+
+test('read-only mode hides write tools and refuses them on dispatch', async () => {
+  const server = new TwentyCRMServer({ quiet: true, readOnly: true });
+  const names = listedTools(server).map(tool => tool.name);
+
+  assert.ok(names.includes('list_companies'));
+  assert.ok(names.includes('search_records'));
+  assert.ok(names.includes('get_available_operations'));
+  assert.ok(!names.includes('create_company'));
+  assert.ok(!names.includes('delete_person'));
+  assert.ok(!names.includes('execute_graphql_operation'));
+
+  await withFetch(() => assert.fail('a refused tool must not reach the API'), async calls => {
+    const result = await call(server, 'delete_person', { id: 'p1' });
+    assert.equal(result.isError, true);
+    assert.match(result.content[0].text, /^Error: Tool "delete_person" is not permitted: the server is in read-only mode/);
+    assert.equal(calls.length, 0);
+  });
+});
+
+test('object rules apply to CRUD tools and create_note_for_person', () => {
+  const server = new TwentyCRMServer({ quiet: true, denyOperations: ['*:notes', 'update:companies'] });
+  const names = listedTools(server).map(tool => tool.name);
+
+  assert.ok(!names.includes('create_note'));
+  assert.ok(!names.includes('list_notes'));
+  assert.ok(!names.includes('create_note_for_person'));
+  assert.ok(!names.includes('update_company'));
+  assert.ok(names.includes('update_person'));
+  assert.ok(names.includes('get_company'));
+});
+
+test('crm:read tokens only see read tools and cannot write', async () => {
+  const server = new TwentyCRMServer({ quiet: true });
+  const names = listedTools(server, { scopes: ['crm:read'] }).map(tool => tool.name);
+
+  assert.ok(names.includes('get_person'));
+  assert.ok(!names.includes('update_person'));
+  assert.ok(listedTools(server, { scopes: ['crm:write'] }).some(tool => tool.name === 'update_person'));
+
+  const result = await call(server, 'update_person', { id: 'p1', jobTitle: 'CEO' }, ['crm:read']);
+  assert.match(result.content[0].text, /^Error: Tool "update_person" is not permitted: the current token's scopes do not allow it/);
+});
+
+test('crm:graphql alone cannot reach records through execute_graphql_operation', async () => {
+  const server = new TwentyCRMServer({ quiet: true, allowedGraphqlMutations: ['*'], confirmOperations: [] });
+
+  await withFetch(() => assert.fail('a refused operation must not reach the API'), async calls => {
+    const listed = await call(server, 'execute_graphql_operation', { operation: 'companies' }, ['crm:graphql']);
+    const deleted = await call(server, 'execute_graphql_operation', { operation: 'deletePerson', variables: { id: 'p1' } }, ['crm:graphql', 'crm:read']);
+    assert.match(listed.content[0].text, /^Error: GraphQL operation "companies" is not permitted: the current token's scopes do not allow it/);
+    assert.match(deleted.content[0].text, /^Error: GraphQL operation "deletePerson" is not permitted: the current token's scopes do not allow it/);
+
+    // Past the policy; the bundled export has no argument types to build the document from
+    const allowed = await call(server, 'execute_graphql_operation', { operation: 'companies' }, ['crm:graphql', 'crm:read']);
+    assert.match(allowed.content[0].text, /run "npm run sync-schema"/);
+    assert.equal(calls.length, 0);
+  });
+});
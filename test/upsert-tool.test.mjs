@@ -0,0 +1,125 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { fileURLToPath } from 'node:url';
+import { dirname, join } from 'node:path';
+import { json, withFetch } from './helpers/fetch.mjs';
+import { parsePayload } from './helpers/mcp-client.mjs';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+process.env.TWENTY_API_KEY ??= 'test-token';
+process.env.TWENTY_BASE_URL ??= 'https://api.example.com';
+process.env.SCHEMA_PATH = join(__dirname, '..', 'schema');
+
+const { TwentyCRMServer } = await import('../index.js');
+
+function upsert(server, name, args) {
+  return server.dispatchToolCall({ params: { name, arguments: args } });
+}
+
+test('upsert tools are generated with composite match suggestions', () => {
+  const server = new TwentyCRMServer({ quiet: true });
+  const tool = server.tools.find(entry => entry.name === 'upsert_company');
+
+  assert.ok(tool, 'upsert_company missing');
+  assert.deepEqual(tool.inputSchema.required, ['matchField', 'record']);
+  assert.match(tool.inputSchema.properties.matchField.description, /domainName\.primaryLinkUrl/);
+  assert.ok('name' in tool.inputSchema.properties.record.properties);
+});
+
+test('upsert and batch tools list field names instead of repeating the create schema', () => {
+  const server = new TwentyCRMServer({ quiet: true });
+  const size = name => JSON.stringify(server.tools.find(entry => entry.name === name)).length;
+
+  const record = server.tools.find(entry => entry.name === 'upsert_person').inputSchema.properties.record;
+  assert.deepEqual(Object.keys(record.properties), Object.keys(server.tools.find(entry => entry.name === 'create_person').inputSchema.properties));
+  assert.equal(record.properties.name.properties, undefined);
+
+  for (const name of ['upsert_person', 'batch_create_people', 'batch_update_people']) {
+    assert.ok(size(name) < size('create_person') / 2, `${name} is ${size(name)} bytes`);
+  }
+
+  // tools/list grew to ~395 KB when each of these tools carried a full copy
+  const total = JSON.stringify(server.tools).length;
+  assert.ok(total < 340000, `tools/list is ${total} bytes`);
+});
+
+test('upsert creates the record when nothing matches', async () => {
+  const server = new TwentyCRMServer({ quiet: true });
+
+  await withFetch((call) => (call.method === 'POST'
+    ? json({ data: { createCompany: { id: 'c-new', name: 'Acme' } } })
+    : json({ data: { companies: [] }, totalCount: 0 })), async (calls) => {
+    const result = await upsert(server, 'upsert_company', {
+      matchField: 'domainName',
+      record: { name: 'Acme', domainName: 'https://acme.com' }
+    });
+
+    assert.doesNotMatch(result.content[0].text, /^Error/);
+    assert.equal(calls[0].method, 'GET');
+    assert.equal(calls[0].url.pathname, '/rest/companies');
+    assert.equal(calls[0].url.searchParams.get('filter'), 'domainName.primaryLinkUrl[eq]:"https://acme.com"');
+
+    assert.equal(calls[1].method, 'POST');
+    assert.equal(calls[1].body.domainName.primaryLinkUrl, 'https://acme.com');
+
+    const payload = parsePayload(result);
+    assert.equal(payload.action, 'created');
+    assert.equal(payload.id, 'c-new');
+    assert.equal(payload.matchField, 'domainName.primaryLinkUrl');
+  });
+});
+
+test('upsert updates the single matching record', async () => {
+  const server = new TwentyCRMServer({ quiet: true });
+
+  await withFetch((call) => (call.method === 'PUT'
+    ? json({ data: { updatePerson: { id: 'p-1' } } })
+    : json({ data: { people: [{ id: 'p-1' }] } })), async (calls) => {
+    const result = await upsert(server, 'upsert_person', {
+      matchField: 'emails.primaryEmail',
+      record: { emails: 'ada@example.com', jobTitle: 'Engineer' }
+    });
+
+    assert.equal(calls[0].url.searchParams.get('filter'), 'emails.primaryEmail[eq]:"ada@example.com"');
+    assert.equal(calls[1].method, 'PUT');
+    assert.equal(calls[1].url.pathname, '/rest/people/p-1');
+    assert.equal(calls[1].body.jobTitle, 'Engineer');
+
+    const payload = parsePayload(result);
+    assert.equal(payload.action, 'updated');
+    assert.equal(payload.id, 'p-1');
+  });
+});
+
+test('upsert refuses to pick between several matches', async () => {
+  const server = new TwentyCRMServer({ quiet: true });
+
+  await withFetch(() => json({ data: { people: [{ id: 'p-1' }, { id: 'p-2' }] } }), async (calls) => {
+    const result = await upsert(server, 'upsert_person', {
+      matchField: 'emails',
+      record: { emails: 'dup@example.com' }
+    });
+
+    assert.match(result.content[0].text, /^Error: More than one Person.*p-1, p-2/);
+    assert.equal(calls.length, 1);
+  });
+});
+
+test('upsert validates the match field before calling the API', async () => {
+  const server = new TwentyCRMServer({ quiet: true });
+
+  await withFetch(() => json({}), async (calls) => {
+    const unknown = await upsert(server, 'upsert_company', { matchField: 'nope', record: { name: 'Acme' } });
+    assert.match(unknown.content[0].text, /Unknown match field "nope"/);
+
+    const missingValue = await upsert(server, 'upsert_company', { matchField: 'domainName', record: { name: 'Acme' } });
+    assert.match(missingValue.content[0].text, /no value for match field "domainName.primaryLinkUrl"/);
+
+    const composite = await upsert(server, 'upsert_person', { matchField: 'name', record: { name: { firstName: 'Ada' } } });
+    assert.match(composite.content[0].text, /name a subfield/);
+
+    assert.equal(calls.length, 0);
+  });
+});
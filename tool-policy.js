@@ -0,0 +1,157 @@
+/**
+ * Which tool operations a caller may use.
+ *
+ * Rules are "operation", "operation:object" or "*:object", e.g.
+ *   delete            every delete_* tool
+ *   update:companies  update_company only
+ *   *:people          every tool on people
+ * A policy is read-only, an allowlist (empty allows everything) and a
+ * denylist that wins over both. The server-wide policy comes from env/CLI;
+ * OAuth scopes can narrow it further.
+ *
+ * Scope policies are grants: a token may do what any of its scopes allows.
+ * The defaults split access into read, write, delete, metadata and graphql
+ * so a user can hand an agent, say, only crm:read on the authorize page.
+ */
+
+export const READ_OPERATIONS = ['get', 'list', 'aggregate', 'search', 'metadata'];
+export const WRITE_OPERATIONS = ['create', 'update', 'upsert', 'restore', 'batch_create', 'batch_update'];
+export const DELETE_OPERATIONS = ['delete', 'destroy'];
+export const OPERATIONS = [...READ_OPERATIONS, ...WRITE_OPERATIONS, ...DELETE_OPERATIONS, 'graphql'];
+
+// Used when TWENTY_SCOPE_POLICIES is not set; descriptions are shown on the authorize page
+export const DEFAULT_SCOPE_POLICIES = {
+  'crm:read': {
+    description: 'Read, list, search and aggregate records',
+    allow: ['get', 'list', 'aggregate', 'search']
+  },
+  'crm:write': {
+    description: 'Create, update and restore records',
+    allow: WRITE_OPERATIONS
+  },
+  'crm:delete': {
+    description: 'Delete records, including permanent deletion',
+    allow: DELETE_OPERATIONS
+  },
+  'crm:metadata': {
+    description: 'Read the data model: objects, fields and available operations',
+    allow: ['metadata']
+  },
+  'crm:graphql': {
+    description: 'Run GraphQL operations directly',
+    allow: ['graphql']
+  }
+};
+
+export function parseRule(rule, source) {
+  const [operation, object = '*'] = String(rule).trim().toLowerCase().split(':');
+  if (operation !== '*' && !OPERATIONS.includes(operation)) {
+    throw new Error(`Unknown operation "${operation}" in ${source}; expected one of: ${OPERATIONS.join(', ')}`);
+  }
+  return { operation, object: object || '*' };
+}
+
+/**
+ * @param {{ operation: string, object: string }} rule - From parseRule()
+ * @param {string} operation
+ * @param {string[]} objectNames - Lower-case object names
+ */
+export function matches(rule, operation, objectNames) {
+  if (rule.operation !== '*' && rule.operation !== operation) {
+    return false;
+  }
+  return rule.object === '*' || objectNames.includes(rule.object);
+}
+
+export class ToolPolicy {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.readOnly] - Only allow READ_OPERATIONS
+   * @param {string[]} [options.allow] - When non-empty, only matching operations are allowed
+   * @param {string[]} [options.deny] - Matching operations are always refused
+   * @param {string} [options.source] - Named in validation errors
+   * @param {string} [options.description] - Shown to users granting an OAuth scope
+   */
+  constructor({ readOnly = false, allow = [], deny = [], source = 'tool policy', description = '' } = {}) {
+    this.readOnly = Boolean(readOnly);
+    this.description = description;
+    this.allow = allow.filter(Boolean).map(rule => parseRule(rule, source));
+    this.deny = deny.filter(Boolean).map(rule => parseRule(rule, source));
+  }
+
+  /**
+   * @param {string} operation - Entry of OPERATIONS
+   * @param {string[]} [objectNames] - Plural and singular name of the object, if any
+   * @returns {boolean}
+   */
+  allows(operation, objectNames = []) {
+    const names = objectNames.filter(Boolean).map(name => name.toLowerCase());
+
+    if (this.readOnly && !READ_OPERATIONS.includes(operation)) {
+      return false;
+    }
+    if (this.deny.some(rule => matches(rule, operation, names))) {
+      return false;
+    }
+    return this.allow.length === 0 || this.allow.some(rule => matches(rule, operation, names));
+  }
+}
+
+/**
+ * Parse TWENTY_SCOPE_POLICIES, a JSON object keyed by scope:
+ *   {"crm:read":{"readOnly":true},"crm:sales":{"allow":["*:people","*:companies"]}}
+ * @param {string} [value]
+ */
+export function parseScopePolicies(value) {
+  if (!value) {
+    return DEFAULT_SCOPE_POLICIES;
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch (error) {
+    throw new Error(`TWENTY_SCOPE_POLICIES is not valid JSON: ${error.message}`);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('TWENTY_SCOPE_POLICIES must be a JSON object keyed by scope');
+  }
+  return parsed;
+}
+
+/**
+ * @param {Object<string, { readOnly?: boolean, allow?: string[], deny?: string[], description?: string }>} config - Policy per OAuth scope
+ * @returns {Map<string, ToolPolicy>}
+ */
+export function buildScopePolicies(config = DEFAULT_SCOPE_POLICIES) {
+  return new Map(
+    Object.entries(config).map(([scope, options]) => [
+      scope,
+      new ToolPolicy({ ...options, source: `scope policy "${scope}"` })
+    ])
+  );
+}
+
+/**
+ * Server policy first, then the caller's scopes: an OAuth call is allowed
+ * only when one of its scopes has a policy that allows it, so a token with no
+ * such scope can do nothing. API keys and stdio have no scopes and are only
+ * bound by the server policy.
+ * @param {Object} options
+ * @param {ToolPolicy} options.policy
+ * @param {Map<string, ToolPolicy>} options.scopePolicies
+ * @param {string} [options.authType] - "oauth", "api_key" or "env"
+ * @param {string[]} [options.scopes]
+ * @param {string} operation
+ * @param {string[]} [objectNames]
+ */
+export function evaluateAccess({ policy, scopePolicies, authType, scopes = [] }, operation, objectNames = []) {
+  if (!policy.allows(operation, objectNames)) {
+    return false;
+  }
+
+  if (authType !== 'oauth') {
+    return true;
+  }
+  return scopes.some(scope => scopePolicies.get(scope)?.allows(operation, objectNames));
+}